@@ -7,13 +7,14 @@ const API = {
     /**
      * Generate HMAC signature for request
      * @param {number} timestamp - Unix timestamp
-     * @param {Object} body - Request body
+     * @param {Object|string} body - Request body, or the request line ("GET /job/<id>") of a read
      * @param {string} secret - HMAC secret
      * @returns {Promise<string>} Hex-encoded signature
      */
     async generateSignature(timestamp, body, secret) {
         const encoder = new TextEncoder();
-        const message = `${timestamp}:${JSON.stringify(body)}`;
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        const message = `${timestamp}:${payload}`;
         const keyData = encoder.encode(secret);
         const messageData = encoder.encode(message);
 
@@ -56,13 +57,14 @@ const API = {
             headers
         };
 
-        // Add HMAC authentication for non-GET requests
-        if (body) {
-            const timestamp = Math.floor(Date.now() / 1000);
-            const signature = await this.generateSignature(timestamp, body, config.hmacSecret);
+        // Sign the body, or the request line for reads without one
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = await this.generateSignature(timestamp, body || `${method} ${endpoint}`, config.hmacSecret);
+
+        headers['X-Signature'] = signature;
+        headers['X-Timestamp'] = timestamp.toString();
 
-            headers['X-Signature'] = signature;
-            headers['X-Timestamp'] = timestamp.toString();
+        if (body) {
             options.body = JSON.stringify(body);
         }
 
@@ -111,6 +113,36 @@ const API = {
         return this.request('POST', '/generate-video', data);
     },
 
+    /**
+     * Render the tweet card without creating a job
+     * @param {Object} data - Tweet data (profileName, username, profilePhotoUrl, tweetBody, theme)
+     * @returns {Promise<string>} Rendered HTML
+     */
+    async preview(data) {
+        const config = Config.load();
+        const baseUrl = config.apiUrl.replace(/\/$/, '');
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = await this.generateSignature(timestamp, data, config.hmacSecret);
+
+        const response = await fetch(`${baseUrl}/preview`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Signature': signature,
+                'X-Timestamp': timestamp.toString()
+            },
+            body: JSON.stringify(data)
+        });
+
+        // Errors come back as JSON, previews as HTML
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || error.error || `HTTP ${response.status}`);
+        }
+
+        return response.text();
+    },
+
     /**
      * Get job status
      * @param {string} jobId - Job ID
@@ -137,7 +169,7 @@ const API = {
                 onProgress(job);
             }
 
-            if (job.status === 'completed' || job.status === 'failed') {
+            if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
                 return job;
             }
 
@@ -2,8 +2,13 @@
  * Main Application Logic
  */
 
+// Pause in typing before the live preview is re-rendered
+const PREVIEW_DEBOUNCE_MS = 500;
+
 const App = {
     pollingJobs: new Set(),
+    previewTimer: null,
+    previewRequestId: 0,
 
     /**
      * Initialize the application
@@ -69,6 +74,11 @@ const App = {
             document.getElementById('charCount').textContent = count;
         });
 
+        // Live preview
+        document.getElementById('videoForm').addEventListener('input', () => {
+            this.schedulePreview();
+        });
+
         // Close modal on outside click
         document.getElementById('settingsModal').addEventListener('click', (e) => {
             if (e.target.id === 'settingsModal') {
@@ -160,6 +170,7 @@ const App = {
         }
 
         UI.showToast('Default values loaded', 'success');
+        this.schedulePreview();
     },
 
     /**
@@ -168,6 +179,60 @@ const App = {
     clearForm() {
         document.getElementById('videoForm').reset();
         document.getElementById('charCount').textContent = '0';
+        this.schedulePreview();
+    },
+
+    /**
+     * Read the video form
+     * @returns {Object} Form data
+     */
+    getFormData() {
+        return {
+            profileName: document.getElementById('profileName').value.trim(),
+            username: document.getElementById('username').value.trim(),
+            profilePhotoUrl: document.getElementById('profilePhotoUrl').value.trim(),
+            tweetBody: document.getElementById('tweetBody').value,
+            theme: document.querySelector('input[name="theme"]:checked').value
+        };
+    },
+
+    /**
+     * Re-render the live preview once the user pauses typing
+     */
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), PREVIEW_DEBOUNCE_MS);
+    },
+
+    /**
+     * Render the live preview from the current form values
+     */
+    async updatePreview() {
+        const formData = this.getFormData();
+
+        if (!formData.profileName || !formData.username || !formData.profilePhotoUrl || !formData.tweetBody) {
+            UI.showPreviewMessage('Fill in the required fields to see a preview');
+            return;
+        }
+
+        if (!Config.validate().valid) {
+            UI.showPreviewMessage('Configure your settings to see a preview');
+            return;
+        }
+
+        // Only the latest request may update the panel
+        const requestId = ++this.previewRequestId;
+
+        try {
+            const html = await API.preview(formData);
+            if (requestId === this.previewRequestId) {
+                UI.showPreview(html);
+            }
+        } catch (error) {
+            if (requestId === this.previewRequestId) {
+                UI.showPreviewMessage(`Preview unavailable: ${error.message}`);
+            }
+        }
     },
 
     /**
@@ -183,13 +248,7 @@ const App = {
         }
 
         // Get form data
-        const formData = {
-            profileName: document.getElementById('profileName').value.trim(),
-            username: document.getElementById('username').value.trim(),
-            profilePhotoUrl: document.getElementById('profilePhotoUrl').value.trim(),
-            tweetBody: document.getElementById('tweetBody').value,
-            theme: document.querySelector('input[name="theme"]:checked').value
-        };
+        const formData = this.getFormData();
 
         // Validate form
         if (!formData.profileName || !formData.username || !formData.profilePhotoUrl || !formData.tweetBody) {
@@ -254,6 +313,7 @@ const App = {
                     progress: job.progress,
                     currentStep: job.currentStep,
                     downloadUrl: job.downloadUrl,
+                    thumbnailUrl: job.thumbnailUrl,
                     fileSize: job.fileSize,
                     error: job.error
                 });
@@ -335,6 +395,7 @@ Profile: ${job.profileName} (@${job.username})
 Theme: ${job.theme}
 ${job.fileSize ? `File Size: ${UI.formatBytes(job.fileSize)}` : ''}
 ${job.downloadUrl ? `Download URL: ${job.downloadUrl}` : ''}
+${job.thumbnailUrl ? `Thumbnail URL: ${job.thumbnailUrl}` : ''}
 ${job.error ? `Error: ${job.error}` : ''}
         `.trim();
 
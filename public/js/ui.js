@@ -67,6 +67,25 @@ const UI = {
         }
     },
 
+    /**
+     * Show rendered HTML in the live preview panel
+     * @param {string} html - Rendered tweet card
+     */
+    showPreview(html) {
+        document.getElementById('previewFrame').srcdoc = html;
+        document.getElementById('previewMessage').classList.remove('active');
+    },
+
+    /**
+     * Show a message over the live preview panel
+     * @param {string} message - Message to display
+     */
+    showPreviewMessage(message) {
+        const element = document.getElementById('previewMessage');
+        element.textContent = message;
+        element.classList.add('active');
+    },
+
     /**
      * Format date to relative time
      * @param {string} dateString - ISO date string
@@ -132,6 +151,7 @@ const UI = {
         let actionsHtml = '';
         let progressHtml = '';
         let errorHtml = '';
+        let thumbnailHtml = '';
 
         if (job.status === 'processing' && job.progress !== undefined) {
             progressHtml = `
@@ -144,6 +164,12 @@ const UI = {
             `;
         }
 
+        if (job.status === 'completed' && job.thumbnailUrl) {
+            thumbnailHtml = `
+                <img class="job-thumbnail" src="${this.escapeHtml(job.thumbnailUrl)}" alt="Video poster" loading="lazy">
+            `;
+        }
+
         if (job.status === 'completed') {
             actionsHtml = `
                 <div class="job-actions">
@@ -178,6 +204,7 @@ const UI = {
                     <div class="job-status ${statusClass}">${job.status}</div>
                 </div>
                 <div class="job-content">
+                    ${thumbnailHtml}
                     <strong>${profileName}</strong> <span class="username">@${username}</span><br>
                     ${tweetBody}
                 </div>
@@ -77,17 +77,25 @@ envVars.forEach(({ name, required, default: defaultValue }) => {
   }
 });
 
-// Check for background music
+// Check the asset library (backgrounds and music registered in assets/manifest.json)
 console.log('\nChecking assets:');
-const audioPath = path.join(__dirname, '..', 'assets', 'background-music.mp3');
-if (fs.existsSync(audioPath)) {
-  const stats = fs.statSync(audioPath);
-  console.log(`  ✓ background-music.mp3 (${(stats.size / 1024).toFixed(2)} KB)`);
-} else {
-  console.log('  ⚠️  background-music.mp3 - NOT FOUND');
-  console.log('     Videos will be generated without audio');
-  console.log('     See assets/README.md for instructions');
-}
+const { AssetLibrary, ASSET_TYPES } = require('../utils/asset-library');
+const assetLibrary = new AssetLibrary({
+  assetsPath: process.env.ASSETS_PATH || path.join(__dirname, '..', 'assets'),
+});
+const assets = assetLibrary.list();
+Object.keys(ASSET_TYPES).forEach(type => {
+  assets[type].forEach(asset => {
+    const isDefault = assets.defaults[type] === asset.name ? ' (default)' : '';
+    if (asset.available) {
+      const stats = fs.statSync(path.join(assetLibrary.assetsPath, asset.file));
+      console.log(`  ✓ ${type} "${asset.name}"${isDefault}: ${asset.file} (${(stats.size / 1024).toFixed(2)} KB)`);
+    } else {
+      console.log(`  ⚠️  ${type} "${asset.name}"${isDefault}: ${asset.file} - NOT FOUND`);
+      console.log('     Jobs using this asset will fail; see assets/README.md');
+    }
+  });
+});
 
 // Check FFmpeg
 console.log('\nChecking system dependencies:');
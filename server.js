@@ -8,14 +8,28 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 
 // Import utilities
-const { jobManager } = require('./utils/job-manager');
-const { verifySignature } = require('./utils/signature-verifier');
+const { jobManager, TERMINAL_STATUSES, JOB_PRIORITIES, DEFAULT_PRIORITY } = require('./utils/job-manager');
+const { verifySignature, verifyReadSignature, requireSignedParams, DEFAULT_CLIENT_ID } = require('./utils/signature-verifier');
 const { createDefaultStorageProvider } = require('./utils/storage');
 const { CleanupScheduler } = require('./utils/cleanup-scheduler');
 const { isValidFilename } = require('./utils/url-generator');
+const { WebhookNotifier } = require('./utils/webhook-notifier');
+const { VideoComposer } = require('./utils/video/video-composer');
+const { resolveCaptionOptions } = require('./utils/video/captions');
+const { ATTACHMENT_KEYS, resolveAttachments } = require('./utils/rendering/tweet-attachments');
+const { OUTPUT_PRESETS, DEFAULT_OUTPUT_PRESET, isValidOutputPreset, getOutputPreset } = require('./utils/output-presets');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, isValidOutputFormat, getOutputFormat } = require('./utils/video/output-formats');
+const { assetLibrary, ASSET_TYPES } = require('./utils/asset-library');
+const { ScreenshotGenerator, IMAGE_FORMATS } = require('./utils/rendering/screenshot-generator');
+const { TemplateRenderer } = require('./utils/rendering/template-renderer');
+const { browserPool } = require('./utils/rendering/browser-pool');
+const { RateLimiter } = require('./utils/rate-limiter');
+const { getCallbackUrlError } = require('./utils/callback-url');
 
 // Import worker
 const { VideoGenerationWorker } = require('./workers/video-worker');
@@ -25,7 +39,35 @@ const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 const TEMPLATE_PATH = process.env.TWEET_TEMPLATE_PATH || path.join(__dirname, 'claude', 'twitter-post-template.html');
-const AUDIO_PATH = process.env.BACKGROUND_MUSIC_PATH || path.join(__dirname, 'assets', 'background-music.mp3');
+const WORKER_MODE = process.env.WORKER_MODE === 'standalone' ? 'standalone' : 'embedded';
+const REQUIRE_SIGNED_READS = process.env.REQUIRE_SIGNED_READS === 'true';
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_STORE_POLL_MS = 1000;
+const MAX_BATCH_SIZE = 50;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const MAX_THREAD_TWEETS = 20;
+const DEFAULT_THREAD_TWEET_DURATION = 5;
+const THREAD_TWEET_DURATION_RANGE = [0.5, 60];
+const THREAD_TWEET_KEYS = ['tweetBody', 'profilePhotoUrl', 'profileName', 'username', 'duration', ...ATTACHMENT_KEYS];
+const VOICEOVER_VOICE_PATTERN = /^[a-zA-Z0-9_+-]{1,40}$/;
+const VOICEOVER_RATE_RANGE = [80, 450];
+const PREVIEW_RATE_LIMIT = parseInt(process.env.PREVIEW_RATE_LIMIT || '30', 10);
+const PREVIEW_KEYS = ['tweetBody', 'profilePhotoUrl', 'profileName', 'username', 'theme', 'preset', 'format', 'scale', ...ATTACHMENT_KEYS];
+const PREVIEW_FORMATS = ['html', 'png'];
+const DEFAULT_PREVIEW_SCALE = 0.5;
+const PREVIEW_SCALE_RANGE = [0.25, 1];
+const IMAGE_OPTION_KEYS = ['format', 'scale', 'quality'];
+const DEFAULT_IMAGE_OPTIONS = { format: 'png', scale: 2, quality: 90 };
+const IMAGE_SCALE_RANGE = [0.5, 4];
+const IMAGE_QUALITY_RANGE = [1, 100];
+// Request fields that only shape a video; an image job is the card alone
+const VIDEO_ONLY_KEYS = ['tweets', 'outputFormat', 'background', 'music', 'video', 'voiceover', 'captions', 'poster'];
+const VIDEO_OPTION_KEYS = [
+  'duration', 'fps', 'fadeInDuration', 'fadeOutDuration',
+  'audioVolume', 'backgroundAudio', 'backgroundVolume',
+  'motion', 'reveal', 'revealDuration',
+  'transition', 'transitionDuration',
+];
 
 // Initialize Express app
 const app = express();
@@ -51,8 +93,13 @@ app.use((req, res, next) => {
 let storage;
 let worker;
 let cleanupScheduler;
+let webhookNotifier;
 let server;
 
+// Previews render synchronously, so they are rate limited per client
+const previewRenderer = new TemplateRenderer(TEMPLATE_PATH);
+const previewRateLimiter = new RateLimiter({ maxRequests: PREVIEW_RATE_LIMIT, windowMs: 60 * 1000, name: 'PreviewRateLimiter' });
+
 /**
  * Initialize all application components
  */
@@ -95,26 +142,50 @@ async function initializeComponents() {
       console.warn('[Server]    Using default template path');
     }
 
-    // Verify audio exists
-    try {
-      await fs.access(AUDIO_PATH);
-      console.log('[Server] ✓ Background music found:', AUDIO_PATH);
-    } catch (error) {
-      console.warn('[Server] ⚠️  Background music not found:', AUDIO_PATH);
-      console.warn('[Server]    Videos will be generated without audio');
+    // Verify the asset library's files exist
+    const assets = assetLibrary.list();
+    for (const type of Object.keys(ASSET_TYPES)) {
+      const missing = assets[type].filter(asset => !asset.available).map(asset => asset.name);
+      console.log(`[Server] ✓ ${assets[type].length} ${type} asset(s) registered, default: ${assets.defaults[type]}`);
+      if (missing.length > 0) {
+        console.warn(`[Server] ⚠️  Missing ${type} asset file(s): ${missing.join(', ')}`);
+      }
     }
 
-    // Initialize background worker
-    worker = new VideoGenerationWorker({
-      jobManager,
-      storageProvider: storage,
-      templatePath: TEMPLATE_PATH,
-      audioPath: AUDIO_PATH,
-      maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 2,
-      pollInterval: parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 5000,
-    });
-    worker.start();
-    console.log('[Server] ✓ Background worker started');
+    // Initialize background worker, unless jobs are rendered by standalone
+    // worker processes (node workers/video-worker.js --standalone)
+    if (WORKER_MODE === 'embedded') {
+      worker = new VideoGenerationWorker({
+        jobManager,
+        storageProvider: storage,
+        templatePath: TEMPLATE_PATH,
+        assetLibrary,
+        maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 2,
+        pollInterval: parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 30000,
+        retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+        workerId: process.env.WORKER_ID,
+        leaseMs: parseInt(process.env.WORKER_LEASE_MS) || 30000,
+      });
+      worker.start();
+      console.log('[Server] ✓ Background worker started');
+    } else {
+      console.log('[Server] ✓ WORKER_MODE=standalone, jobs are processed by standalone workers');
+    }
+
+    // Initialize webhook notifier (callbacks are signed with HMAC_SECRET)
+    if (process.env.HMAC_SECRET) {
+      webhookNotifier = new WebhookNotifier({
+        jobManager,
+        secret: process.env.HMAC_SECRET,
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000,
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      });
+      webhookNotifier.start();
+      console.log('[Server] ✓ Webhook notifier started');
+    } else {
+      console.warn('[Server] ⚠️  HMAC_SECRET not set, webhook callbacks disabled');
+    }
 
     // Initialize cleanup scheduler
     cleanupScheduler = new CleanupScheduler(
@@ -143,34 +214,181 @@ async function initializeComponents() {
  */
 app.post('/generate-video', verifySignature, validateVideoRequest, async (req, res) => {
   try {
-    const { tweetBody, profilePhotoUrl, profileName, username, theme } = req.body;
+    const jobId = createRequestedJob(req, res, 'video', () => buildJobRequest(req.body));
 
-    // Create job
-    const jobId = jobManager.createJob({
-      tweetBody,
+    if (jobId) {
+      console.log(`[API] Video generation job created: ${jobId}`);
+    }
+  } catch (error) {
+    console.error('[API] Error creating job:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create video generation job',
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * POST /generate-image
+ * Creates a job that exports the tweet card as a still image
+ */
+app.post('/generate-image', verifySignature, validateImageRequest, async (req, res) => {
+  try {
+    const jobId = createRequestedJob(req, res, 'image', () => buildImageJobRequest(req.body));
+
+    if (jobId) {
+      console.log(`[API] Image generation job created: ${jobId}`);
+    }
+  } catch (error) {
+    console.error('[API] Error creating image job:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create image generation job',
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * POST /preview
+ * Renders the tweet card synchronously, without queuing a job, as HTML or a low-resolution PNG
+ */
+app.post('/preview', verifySignature, previewRateLimiter.middleware(), validatePreviewRequest, async (req, res) => {
+  const { tweetBody, profilePhotoUrl, profileName, username, theme, preset, format, scale, media, linkCard, quoteTweet } = req.body;
+  let imagePath = null;
+
+  try {
+    const { width, height } = getOutputPreset(preset);
+    const html = await previewRenderer.render({
+      theme: theme || 'dark',
       profilePhotoUrl,
       profileName,
       username,
-      theme: theme || 'dark',
+      tweetBody,
+      media,
+      linkCard,
+      quoteTweet,
+    }, { width, height });
+
+    res.set('Cache-Control', 'no-store');
+
+    if ((format || 'html') === 'html') {
+      return res.type('html').send(html);
+    }
+
+    imagePath = path.join(os.tmpdir(), `preview-${crypto.randomUUID()}.png`);
+    await new ScreenshotGenerator().generate(html, imagePath, { width, height, scale: scale || DEFAULT_PREVIEW_SCALE });
+    res.type('png').send(await fs.readFile(imagePath));
+  } catch (error) {
+    console.error('[API] Error rendering preview:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to render preview',
+      timestamp: new Date().toISOString(),
     });
+  } finally {
+    if (imagePath) {
+      fs.unlink(imagePath).catch(() => {});
+    }
+  }
+});
 
-    const job = jobManager.getJob(jobId);
+/**
+ * POST /generate-videos/batch
+ * Creates one video generation job per item of `videos`, grouped under a batchId
+ */
+app.post('/generate-videos/batch', verifySignature, async (req, res) => {
+  try {
+    const videos = req.body && req.body.videos;
+
+    if (!Array.isArray(videos) || videos.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'videos is required and must be a non-empty array',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (videos.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `videos exceeds maximum batch size of ${MAX_BATCH_SIZE}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // A batch-level priority applies to items that do not set their own
+    const batchPriority = req.body.priority;
+    if (batchPriority !== undefined && !JOB_PRIORITIES.includes(batchPriority)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `priority must be one of: ${JOB_PRIORITIES.join(', ')}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Validate every item before creating any job so a batch is all-or-nothing
+    for (let index = 0; index < videos.length; index++) {
+      const message = getVideoRequestError(videos[index]);
+      if (message) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `videos[${index}]: ${message}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    const requests = videos.map(video => buildJobRequest({ priority: batchPriority, ...video }));
+    const { batchId, jobIds } = jobManager.createBatch(requests, { clientId: req.clientId });
+    const batch = jobManager.getBatch(batchId);
 
-    // Return job info
     res.status(202).json({
       success: true,
-      jobId: job.jobId,
-      status: job.status,
-      createdAt: job.createdAt,
-      estimatedCompletionTime: '30-60s',
+      batchId,
+      jobIds,
+      total: jobIds.length,
+      status: 'pending',
+      createdAt: batch.createdAt,
     });
 
-    console.log(`[API] Video generation job created: ${jobId}`);
+    console.log(`[API] Batch ${batchId} created with ${jobIds.length} jobs`);
   } catch (error) {
-    console.error('[API] Error creating job:', error);
+    console.error('[API] Error creating batch:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to create video generation job',
+      message: 'Failed to create video generation batch',
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /batch/:batchId
+ * Retrieves aggregate batch progress and, once every job has finished, all download URLs
+ */
+app.get('/batch/:batchId', verifyRead, async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    const batch = jobManager.getBatch(batchId);
+
+    // Other clients' batches are reported as missing
+    if (!batch || !batch.jobs.every(job => canAccessJob(req, job))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Batch ${batchId} not found`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json(buildBatchResponse(batch));
+  } catch (error) {
+    console.error('[API] Error retrieving batch:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve batch status',
       timestamp: new Date().toISOString(),
     });
   }
@@ -180,13 +398,13 @@ app.post('/generate-video', verifySignature, validateVideoRequest, async (req, r
  * GET /job/:jobId
  * Retrieves job status and details
  */
-app.get('/job/:jobId', async (req, res) => {
+app.get('/job/:jobId', verifyRead, async (req, res) => {
   try {
     const { jobId } = req.params;
 
     const job = jobManager.getJob(jobId);
 
-    if (!job) {
+    if (!job || !canAccessJob(req, job)) {
       return res.status(404).json({
         error: 'Not Found',
         message: `Job ${jobId} not found`,
@@ -194,43 +412,206 @@ app.get('/job/:jobId', async (req, res) => {
       });
     }
 
-    // Build response based on job status
-    const response = {
-      jobId: job.jobId,
-      status: job.status,
-      createdAt: job.createdAt,
-    };
+    res.json(buildJobResponse(job));
+  } catch (error) {
+    console.error('[API] Error retrieving job:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve job status',
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
 
-    if (job.status === 'pending') {
-      response.message = 'Job is waiting in queue';
-    } else if (job.status === 'processing') {
-      response.currentStep = job.currentStep;
-      response.progress = job.progress;
-      response.message = getProgressMessage(job.currentStep);
-    } else if (job.status === 'completed') {
-      response.completedAt = job.completedAt;
-      response.downloadUrl = job.result.downloadUrl;
-      response.expiresAt = job.result.expiresAt;
-      response.fileSize = job.result.fileSize;
-      response.duration = job.result.duration;
-      response.resolution = job.result.resolution;
-    } else if (job.status === 'failed') {
-      response.failedAt = job.error.failedAt;
-      response.error = job.error.message;
-      response.message = 'Video generation failed';
+/**
+ * GET /job/:jobId/events
+ * Streams job status and progress changes as Server-Sent Events
+ */
+app.get('/job/:jobId/events', verifyRead, (req, res) => {
+  const { jobId } = req.params;
+
+  const job = jobManager.getJob(jobId);
+
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Job ${jobId} not found`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx, Railway)
+  });
+
+  let lastStatus = null;
+  let lastUpdatedAt = null;
+
+  const sendJob = (current) => {
+    const eventName = current.status !== lastStatus ? 'status' : 'progress';
+    lastStatus = current.status;
+    lastUpdatedAt = current.updatedAt;
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(buildJobResponse(current))}\n\n`);
+  };
+
+  const finish = () => {
+    clearInterval(heartbeat);
+    clearInterval(storePoll);
+    jobManager.off('job:updated', onUpdate);
+    res.end();
+  };
+
+  const onUpdate = (updatedJob) => {
+    if (updatedJob.jobId !== jobId) {
+      return;
+    }
+
+    sendJob(updatedJob);
+
+    if (TERMINAL_STATUSES.includes(updatedJob.status)) {
+      finish();
+    }
+  };
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  // Standalone workers update the shared store from another process, which
+  // emits no events here, so watch the stored job instead
+  const storePoll = WORKER_MODE === 'standalone'
+    ? setInterval(() => {
+      const current = jobManager.getJob(jobId);
+      if (current && current.updatedAt !== lastUpdatedAt) {
+        onUpdate(current);
+      }
+    }, SSE_STORE_POLL_MS)
+    : null;
+
+  // Initial snapshot, then live updates until the job reaches a terminal state
+  sendJob(job);
+
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    return finish();
+  }
+
+  jobManager.on('job:updated', onUpdate);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(storePoll);
+    jobManager.off('job:updated', onUpdate);
+  });
+});
+
+/**
+ * DELETE /job/:jobId
+ * Cancels a pending or processing job; the signed body must be { jobId }
+ */
+app.delete('/job/:jobId', verifySignature, requireSignedParams('jobId'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Job ${jobId} not found`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let cancelledJob;
+    try {
+      cancelledJob = jobManager.cancelJob(jobId);
+    } catch (error) {
+      if (error.code === 'JOB_NOT_CANCELLABLE') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      throw error;
+    }
+
+    // Kill the running Chromium/FFmpeg process if the job is mid-flight
+    if (worker) {
+      await worker.cancelJob(jobId);
     }
 
-    res.json(response);
+    res.json({
+      success: true,
+      jobId: cancelledJob.jobId,
+      status: cancelledJob.status,
+      cancelledAt: cancelledJob.cancelledAt,
+    });
+
+    console.log(`[API] Video generation job cancelled: ${jobId}`);
   } catch (error) {
-    console.error('[API] Error retrieving job:', error);
+    console.error('[API] Error cancelling job:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to retrieve job status',
+      message: 'Failed to cancel job',
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * GET /assets
+ * Lists the registered background clips and music tracks
+ */
+app.get('/assets', (req, res) => {
+  try {
+    res.json(assetLibrary.list());
+  } catch (error) {
+    console.error('[API] Error listing assets:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list assets',
       timestamp: new Date().toISOString(),
     });
   }
 });
 
+/**
+ * PUT /admin/assets/:type/:name
+ * Registers or replaces a named asset (type: background or music).
+ * The file must already be in the assets directory. The signed body repeats type and name.
+ */
+app.put('/admin/assets/:type/:name', verifySignature, requireAdmin, requireSignedParams('type', 'name'), (req, res) => {
+  try {
+    const { type, name } = req.params;
+    const { file, label } = req.body || {};
+
+    const asset = assetLibrary.register(type, name, { file, label, isDefault: req.body && req.body.default === true });
+
+    res.json({ success: true, type, ...asset });
+  } catch (error) {
+    sendAssetError(res, error, 'Failed to register asset');
+  }
+});
+
+/**
+ * DELETE /admin/assets/:type/:name
+ * Unregisters a named asset; its file is left in place. The signed body must be { type, name }
+ */
+app.delete('/admin/assets/:type/:name', verifySignature, requireAdmin, requireSignedParams('type', 'name'), (req, res) => {
+  try {
+    const { type, name } = req.params;
+
+    assetLibrary.remove(type, name);
+
+    res.json({ success: true, type, name });
+  } catch (error) {
+    sendAssetError(res, error, 'Failed to remove asset');
+  }
+});
+
 /**
  * GET /download/:filename
  * Downloads a generated video file
@@ -262,8 +643,8 @@ app.get('/download/:filename', async (req, res) => {
     const buffer = await storage.get(filename);
     const metadata = await storage.getMetadata(filename);
 
-    // Set response headers
-    res.setHeader('Content-Type', 'video/mp4');
+    // Set response headers (sidecar captions are stored with their own type)
+    res.setHeader('Content-Type', (metadata && metadata.contentType) || 'video/mp4');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Content-Length', buffer.length);
 
@@ -300,6 +681,7 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: NODE_ENV,
     worker: {
+      mode: WORKER_MODE,
       running: workerStatus.running,
       currentJobs: workerStatus.currentJobs || 0,
       maxConcurrentJobs: workerStatus.maxConcurrentJobs || 0,
@@ -310,7 +692,10 @@ app.get('/health', (req, res) => {
       processing: stats.processing,
       completed: stats.completed,
       failed: stats.failed,
+      cancelled: stats.cancelled,
     },
+    queue: jobManager.getQueueDepthByPriority(),
+    browserPool: browserPool.getStats(),
   });
 });
 
@@ -319,77 +704,518 @@ app.get('/health', (req, res) => {
 // ============================================================================
 
 /**
- * Validates video generation request body
+ * Validates a single video request payload
+ * Shared by POST /generate-video and each item of POST /generate-videos/batch
+ * @param {Object} body - Video request payload
+ * @returns {string|null} Validation error message, or null if valid
  */
-function validateVideoRequest(req, res, next) {
-  const { tweetBody, profilePhotoUrl, profileName, username, theme } = req.body;
+function getVideoRequestError(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'request body must be a JSON object';
+  }
 
-  // Required fields
-  if (!tweetBody || typeof tweetBody !== 'string') {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'tweetBody is required and must be a string',
-      timestamp: new Date().toISOString(),
-    });
+  const { tweetBody, tweets, profilePhotoUrl, profileName, username, theme, callbackUrl, priority, preset, outputFormat, background, music, video, voiceover, captions, poster } = body;
+
+  // Required fields (a thread replaces tweetBody with an ordered list of tweets)
+  if (tweets !== undefined) {
+    const threadError = getThreadError(body);
+    if (threadError) {
+      return threadError;
+    }
+  } else if (!tweetBody || typeof tweetBody !== 'string') {
+    return 'tweetBody is required and must be a string';
+  } else {
+    // Optional media, link card and quoted tweet shown under the text
+    try {
+      resolveAttachments(body);
+    } catch (error) {
+      return error.message;
+    }
   }
 
   if (!profilePhotoUrl || typeof profilePhotoUrl !== 'string') {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'profilePhotoUrl is required and must be a string',
-      timestamp: new Date().toISOString(),
-    });
+    return 'profilePhotoUrl is required and must be a string';
   }
 
   if (!profileName || typeof profileName !== 'string') {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'profileName is required and must be a string',
-      timestamp: new Date().toISOString(),
-    });
+    return 'profileName is required and must be a string';
   }
 
   if (!username || typeof username !== 'string') {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'username is required and must be a string',
-      timestamp: new Date().toISOString(),
-    });
+    return 'username is required and must be a string';
   }
 
   // Length limits
-  if (tweetBody.length > 5000) {
+  if (tweetBody && tweetBody.length > 5000) {
+    return 'tweetBody exceeds maximum length of 5000 characters';
+  }
+
+  if (profileName.length > 100) {
+    return 'profileName exceeds maximum length of 100 characters';
+  }
+
+  // Theme validation
+  if (theme && !['dark', 'light'].includes(theme)) {
+    return 'theme must be either "dark" or "light"';
+  }
+
+  // Priority validation
+  if (priority !== undefined && !JOB_PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${JOB_PRIORITIES.join(', ')}`;
+  }
+
+  // Output preset validation
+  if (preset !== undefined && !isValidOutputPreset(preset)) {
+    return `preset must be one of: ${Object.keys(OUTPUT_PRESETS).join(', ')}`;
+  }
+
+  // Output format validation
+  if (outputFormat !== undefined && !isValidOutputFormat(outputFormat)) {
+    return `outputFormat must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`;
+  }
+
+  // Asset selection (see GET /assets)
+  for (const [type, name] of [['background', background], ['music', music]]) {
+    if (name !== undefined && !assetLibrary.has(type, name)) {
+      return `${type} must be the name of a registered ${type} asset (see GET /assets)`;
+    }
+  }
+
+  // URL validation (basic)
+  try {
+    new URL(profilePhotoUrl);
+  } catch (error) {
+    return 'profilePhotoUrl must be a valid URL';
+  }
+
+  // Optional webhook callback, never to the internal network (see utils/callback-url.js)
+  if (callbackUrl !== undefined && callbackUrl !== null) {
+    const callbackUrlError = getCallbackUrlError(callbackUrl);
+    if (callbackUrlError) {
+      return callbackUrlError;
+    }
+  }
+
+  // Optional composition options
+  if (video !== undefined && video !== null) {
+    if (typeof video !== 'object' || Array.isArray(video)) {
+      return 'video must be an object';
+    }
+
+    const unknownKey = Object.keys(video).find(key => !VIDEO_OPTION_KEYS.includes(key));
+    if (unknownKey) {
+      return `video.${unknownKey} is not supported. Allowed options: ${VIDEO_OPTION_KEYS.join(', ')}`;
+    }
+
+    try {
+      resolveVideoOptions(video, getThreadDurations(tweets));
+    } catch (error) {
+      return `video options are invalid: ${error.message}`;
+    }
+  }
+
+  // Optional narration (true, or { voice, rate })
+  if (voiceover !== undefined && voiceover !== null && voiceover !== false && voiceover !== true) {
+    if (typeof voiceover !== 'object' || Array.isArray(voiceover)) {
+      return 'voiceover must be true or an object with optional voice and rate';
+    }
+
+    const unknownKey = Object.keys(voiceover).find(key => !['voice', 'rate'].includes(key));
+    if (unknownKey) {
+      return `voiceover.${unknownKey} is not supported. Allowed options: voice, rate`;
+    }
+
+    if (voiceover.voice !== undefined && (typeof voiceover.voice !== 'string' || !VOICEOVER_VOICE_PATTERN.test(voiceover.voice))) {
+      return 'voiceover.voice must be a voice name of 1-40 letters, digits, "_", "+" or "-"';
+    }
+
+    const [minRate, maxRate] = VOICEOVER_RATE_RANGE;
+    if (voiceover.rate !== undefined && (!Number.isInteger(voiceover.rate) || voiceover.rate < minRate || voiceover.rate > maxRate)) {
+      return `voiceover.rate must be an integer between ${minRate} and ${maxRate} (words per minute)`;
+    }
+  }
+
+  if (voiceover && outputFormat !== undefined && isValidOutputFormat(outputFormat) && !getOutputFormat(outputFormat).audio) {
+    return `voiceover needs an output format with audio; ${outputFormat} is silent`;
+  }
+
+  // Optional captions, timed to the voiceover or the typewriter reveal
+  if (captions !== undefined && captions !== null && captions !== false) {
+    try {
+      resolveCaptionOptions(captions);
+    } catch (error) {
+      return error.message;
+    }
+
+    if (!voiceover && !(video && video.reveal === 'typewriter')) {
+      return 'captions need something to be timed to: set voiceover or video.reveal to "typewriter"';
+    }
+  }
+
+  // Optional poster frame; without a time the poster is the fully rendered card
+  if (poster !== undefined && poster !== null) {
+    if (typeof poster !== 'object' || Array.isArray(poster)) {
+      return 'poster must be an object with an optional time';
+    }
+
+    const unknownKey = Object.keys(poster).find(key => key !== 'time');
+    if (unknownKey) {
+      return `poster.${unknownKey} is not supported. Allowed options: time`;
+    }
+
+    if (poster.time !== undefined) {
+      // The requested duration; a voiceover can only make the video longer
+      const { duration } = resolveVideoOptions(video, getThreadDurations(tweets));
+      if (typeof poster.time !== 'number' || !(poster.time >= 0 && poster.time < duration)) {
+        return `poster.time must be a number of seconds from 0 up to the video duration (${duration}s)`;
+      }
+
+      // FFmpeg cannot decode animated WebP, so there is no frame to take
+      if (outputFormat === 'webp') {
+        return 'poster.time is not supported for webp output; leave it out to use the card';
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates an image request payload
+ * Shares the tweet, author, theme, preset and callback checks with video
+ * requests; video-only fields are rejected rather than ignored.
+ * @param {Object} body - Image request payload
+ * @returns {string|null} Validation error message, or null if valid
+ */
+function getImageRequestError(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'request body must be a JSON object';
+  }
+
+  const videoOnlyKey = VIDEO_ONLY_KEYS.find(key => body[key] !== undefined);
+  if (videoOnlyKey) {
+    return `${videoOnlyKey} does not apply to image jobs`;
+  }
+
+  const { image, ...request } = body;
+  const requestError = getVideoRequestError(request);
+  if (requestError) {
+    return requestError;
+  }
+
+  if (image === undefined || image === null) {
+    return null;
+  }
+
+  if (typeof image !== 'object' || Array.isArray(image)) {
+    return 'image must be an object';
+  }
+
+  const unknownKey = Object.keys(image).find(key => !IMAGE_OPTION_KEYS.includes(key));
+  if (unknownKey) {
+    return `image.${unknownKey} is not supported. Allowed options: ${IMAGE_OPTION_KEYS.join(', ')}`;
+  }
+
+  if (image.format !== undefined && !Object.prototype.hasOwnProperty.call(IMAGE_FORMATS, image.format)) {
+    return `image.format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`;
+  }
+
+  const [minScale, maxScale] = IMAGE_SCALE_RANGE;
+  if (image.scale !== undefined && (typeof image.scale !== 'number' || !(image.scale >= minScale && image.scale <= maxScale))) {
+    return `image.scale must be a number between ${minScale} and ${maxScale}`;
+  }
+
+  if (image.quality !== undefined) {
+    const [minQuality, maxQuality] = IMAGE_QUALITY_RANGE;
+    if (!Number.isInteger(image.quality) || image.quality < minQuality || image.quality > maxQuality) {
+      return `image.quality must be an integer between ${minQuality} and ${maxQuality}`;
+    }
+
+    if ((image.format || DEFAULT_IMAGE_OPTIONS.format) === 'png') {
+      return 'image.quality only applies to jpeg and webp images';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates a preview request payload
+ * The tweet and author fields follow the video request rules.
+ * @param {Object} body - Preview request payload
+ * @returns {string|null} Validation error message, or null if valid
+ */
+function getPreviewRequestError(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'request body must be a JSON object';
+  }
+
+  const unknownKey = Object.keys(body).find(key => !PREVIEW_KEYS.includes(key));
+  if (unknownKey) {
+    return `${unknownKey} is not supported by previews. Allowed fields: ${PREVIEW_KEYS.join(', ')}`;
+  }
+
+  const { tweetBody, profilePhotoUrl, profileName, username, theme, preset, format, scale, media, linkCard, quoteTweet } = body;
+  const requestError = getVideoRequestError({ tweetBody, profilePhotoUrl, profileName, username, theme, preset, media, linkCard, quoteTweet });
+  if (requestError) {
+    return requestError;
+  }
+
+  if (format !== undefined && !PREVIEW_FORMATS.includes(format)) {
+    return `format must be one of: ${PREVIEW_FORMATS.join(', ')}`;
+  }
+
+  const [minScale, maxScale] = PREVIEW_SCALE_RANGE;
+  if (scale !== undefined) {
+    if (typeof scale !== 'number' || !(scale >= minScale && scale <= maxScale)) {
+      return `scale must be a number between ${minScale} and ${maxScale}`;
+    }
+
+    if (format !== 'png') {
+      return 'scale only applies to png previews';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates the `tweets` of a thread request
+ * Every tweet is rendered as its own card, so per-tweet text effects and a
+ * single narration do not apply; the thread's length comes from the tweets' holds.
+ * @param {Object} body - Request payload with `tweets`
+ * @returns {string|null} Error message, or null if valid
+ */
+function getThreadError(body) {
+  const { tweetBody, tweets, video, voiceover } = body;
+
+  if (tweetBody !== undefined) {
+    return 'send either tweetBody or tweets, not both';
+  }
+
+  const attachmentKey = ATTACHMENT_KEYS.find(key => body[key] !== undefined);
+  if (attachmentKey) {
+    return `${attachmentKey} cannot be set for a thread; set it on the tweet it belongs to`;
+  }
+
+  if (!Array.isArray(tweets) || tweets.length === 0 || tweets.length > MAX_THREAD_TWEETS) {
+    return `tweets must be an array of 1-${MAX_THREAD_TWEETS} tweets`;
+  }
+
+  const [minDuration, maxDuration] = THREAD_TWEET_DURATION_RANGE;
+
+  for (let index = 0; index < tweets.length; index++) {
+    const tweet = tweets[index];
+
+    if (!tweet || typeof tweet !== 'object' || Array.isArray(tweet)) {
+      return `tweets[${index}] must be an object`;
+    }
+
+    const unknownKey = Object.keys(tweet).find(key => !THREAD_TWEET_KEYS.includes(key));
+    if (unknownKey) {
+      return `tweets[${index}].${unknownKey} is not supported. Allowed fields: ${THREAD_TWEET_KEYS.join(', ')}`;
+    }
+
+    if (!tweet.tweetBody || typeof tweet.tweetBody !== 'string' || tweet.tweetBody.length > 5000) {
+      return `tweets[${index}].tweetBody is required and must be a string of at most 5000 characters`;
+    }
+
+    // Author fields default to the request's; a tweet may override them (e.g. a quoted reply)
+    for (const key of ['profilePhotoUrl', 'profileName', 'username']) {
+      if (tweet[key] !== undefined && (!tweet[key] || typeof tweet[key] !== 'string')) {
+        return `tweets[${index}].${key} must be a non-empty string`;
+      }
+    }
+
+    if (tweet.profileName !== undefined && tweet.profileName.length > 100) {
+      return `tweets[${index}].profileName exceeds maximum length of 100 characters`;
+    }
+
+    if (tweet.profilePhotoUrl !== undefined) {
+      try {
+        new URL(tweet.profilePhotoUrl);
+      } catch (error) {
+        return `tweets[${index}].profilePhotoUrl must be a valid URL`;
+      }
+    }
+
+    if (tweet.duration !== undefined &&
+      (typeof tweet.duration !== 'number' || !(tweet.duration >= minDuration && tweet.duration <= maxDuration))) {
+      return `tweets[${index}].duration must be a number between ${minDuration} and ${maxDuration} seconds`;
+    }
+
+    try {
+      resolveAttachments(tweet, `tweets[${index}].`);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  if (video && video.duration !== undefined) {
+    return 'video.duration cannot be set for a thread; its length is the sum of tweets[].duration';
+  }
+
+  if (video && video.reveal !== undefined && video.reveal !== 'none') {
+    return 'video.reveal is not supported for threads';
+  }
+
+  if (voiceover) {
+    return 'voiceover is not supported for threads';
+  }
+
+  return null;
+}
+
+/**
+ * Gets the hold of each tweet of a thread
+ * @param {Array<Object>} [tweets] - The request's `tweets`
+ * @returns {Array<number>|null} Hold durations in seconds, or null for a single tweet
+ */
+function getThreadDurations(tweets) {
+  if (!Array.isArray(tweets)) {
+    return null;
+  }
+
+  return tweets.map(tweet => tweet.duration ?? DEFAULT_THREAD_TWEET_DURATION);
+}
+
+/**
+ * Resolves per-job composition options against the VideoComposer defaults
+ * Limits are enforced by VideoComposer, the same check compose() runs.
+ * @param {Object} [video] - The request's `video` options
+ * @param {Array<number>} [segmentDurations] - Tweet holds of a thread, which set the duration
+ * @returns {Object} Complete options (duration, fps, fades, audio, motion, reveal and transition settings)
+ * @throws {Error} If any option is out of range
+ */
+function resolveVideoOptions(video, segmentDurations = null) {
+  const config = new VideoComposer().resolveOptions({ ...(video || {}), segmentDurations });
+  const options = {};
+
+  for (const key of VIDEO_OPTION_KEYS) {
+    options[key] = config[key];
+  }
+
+  return options;
+}
+
+/**
+ * Validates video generation request body
+ */
+function validateVideoRequest(req, res, next) {
+  const message = getVideoRequestError(req.body);
+
+  if (message) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'tweetBody exceeds maximum length of 5000 characters',
+      message,
       timestamp: new Date().toISOString(),
     });
   }
 
-  if (profileName.length > 100) {
+  next();
+}
+
+/**
+ * Validates image generation request body
+ */
+function validateImageRequest(req, res, next) {
+  const message = getImageRequestError(req.body);
+
+  if (message) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'profileName exceeds maximum length of 100 characters',
+      message,
       timestamp: new Date().toISOString(),
     });
   }
 
-  // Theme validation
-  if (theme && !['dark', 'light'].includes(theme)) {
+  next();
+}
+
+/**
+ * Validates preview request body
+ */
+function validatePreviewRequest(req, res, next) {
+  const message = getPreviewRequestError(req.body);
+
+  if (message) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'theme must be either "dark" or "light"',
+      message,
       timestamp: new Date().toISOString(),
     });
   }
 
-  // URL validation (basic)
-  try {
-    new URL(profilePhotoUrl);
-  } catch (error) {
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'profilePhotoUrl must be a valid URL',
+  next();
+}
+
+/**
+ * Creates a job for a validated request and sends the 202 response
+ * A request with an Idempotency-Key that was already used returns the job the
+ * first request created instead, or 409 if the body differs.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - Job type: 'video' or 'image'
+ * @param {Function} buildRequest - Returns the fields the job stores
+ * @returns {string|null} The new job's ID, or null if no job was created
+ */
+function createRequestedJob(req, res, type, buildRequest) {
+  const idempotencyKey = req.get('Idempotency-Key');
+  let requestHash = null;
+
+  if (idempotencyKey !== undefined) {
+    if (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: `Idempotency-Key must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+        timestamp: new Date().toISOString(),
+      });
+      return null;
+    }
+
+    // Image hashes are prefixed so a key reused across endpoints never matches
+    const hashInput = type === 'video' ? JSON.stringify(req.body) : `${type}:${JSON.stringify(req.body)}`;
+    requestHash = crypto.createHash('sha256').update(hashInput).digest('hex');
+
+    // A retried request returns the job created by the first one
+    const existingJob = jobManager.findJobByIdempotencyKey(req.clientId, idempotencyKey);
+    if (existingJob) {
+      if (existingJob.requestHash !== requestHash) {
+        res.status(409).json({
+          error: 'Conflict',
+          message: 'Idempotency-Key has already been used with a different request body',
+          timestamp: new Date().toISOString(),
+        });
+        return null;
+      }
+
+      console.log(`[API] Idempotent replay for key ${idempotencyKey}: returning job ${existingJob.jobId}`);
+      res.set('Idempotent-Replayed', 'true');
+      res.status(202).json(buildJobCreatedResponse(existingJob));
+      return null;
+    }
+  }
+
+  const jobId = jobManager.createJob(buildRequest(), {
+    type,
+    clientId: req.clientId,
+    idempotencyKey,
+    requestHash,
+  });
+
+  res.status(202).json(buildJobCreatedResponse(jobManager.getJob(jobId)));
+  return jobId;
+}
+
+/**
+ * Restricts admin endpoints to requests signed with HMAC_SECRET
+ * (per-client HMAC_CLIENT_SECRETS keys cannot manage shared assets)
+ */
+function requireAdmin(req, res, next) {
+  if (req.clientId !== DEFAULT_CLIENT_ID) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin endpoints require a request signed with HMAC_SECRET',
       timestamp: new Date().toISOString(),
     });
   }
@@ -397,14 +1223,296 @@ function validateVideoRequest(req, res, next) {
   next();
 }
 
+/**
+ * Verifies job and batch reads when REQUIRE_SIGNED_READS=true; reads are open otherwise
+ */
+function verifyRead(req, res, next) {
+  if (REQUIRE_SIGNED_READS) {
+    return verifyReadSignature(req, res, next);
+  }
+  next();
+}
+
+/**
+ * Checks whether the caller may see or cancel a job
+ * Clients only reach their own jobs; the default client (HMAC_SECRET) reaches
+ * every job. Jobs created before clients were recorded belong to the default client.
+ * Unsigned reads (REQUIRE_SIGNED_READS unset) reach every job.
+ * @param {Object} req - Request, signed unless it is an open read
+ * @param {Object} job - Job to access
+ * @returns {boolean}
+ */
+function canAccessJob(req, job) {
+  if (req.clientId === undefined) {
+    return !REQUIRE_SIGNED_READS;
+  }
+  return req.clientId === DEFAULT_CLIENT_ID || (job.clientId || DEFAULT_CLIENT_ID) === req.clientId;
+}
+
+/**
+ * Maps AssetLibrary error codes to HTTP responses
+ */
+function sendAssetError(res, error, fallbackMessage) {
+  const statuses = {
+    INVALID_ASSET: [400, 'Bad Request'],
+    ASSET_NOT_FOUND: [404, 'Not Found'],
+    ASSET_IN_USE: [409, 'Conflict'],
+  };
+
+  const [status, label] = statuses[error.code] || [500, 'Internal Server Error'];
+  if (status === 500) {
+    console.error('[API] Asset library error:', error);
+  }
+
+  res.status(status).json({
+    error: label,
+    message: status === 500 ? fallbackMessage : error.message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Picks the fields a job stores from a validated video request payload
+ */
+function buildJobRequest(body) {
+  const { tweetBody, tweets, profilePhotoUrl, profileName, username, theme, callbackUrl, priority, preset, outputFormat, background, music, video, voiceover, captions, poster } = body;
+  const threadDurations = getThreadDurations(tweets);
+
+  return {
+    tweetBody,
+    tweets: threadDurations ? tweets.map((tweet, index) => ({
+      tweetBody: tweet.tweetBody,
+      profilePhotoUrl: tweet.profilePhotoUrl || profilePhotoUrl,
+      profileName: tweet.profileName || profileName,
+      username: tweet.username || username,
+      duration: threadDurations[index],
+      ...resolveAttachments(tweet),
+    })) : null,
+    // All null for a thread: each tweet carries its own
+    ...resolveAttachments(body),
+    profilePhotoUrl,
+    profileName,
+    username,
+    theme: theme || 'dark',
+    callbackUrl,
+    priority,
+    preset: preset || DEFAULT_OUTPUT_PRESET,
+    outputFormat: outputFormat || DEFAULT_OUTPUT_FORMAT,
+    // Pin the current defaults so later default changes do not alter queued jobs
+    background: background || assetLibrary.getDefault('background'),
+    music: music || assetLibrary.getDefault('music'),
+    video: resolveVideoOptions(video, threadDurations),
+    // null voice/rate fall back to the TTS provider defaults
+    voiceover: voiceover ? {
+      voice: voiceover.voice || null,
+      rate: voiceover.rate || null,
+    } : null,
+    captions: captions ? resolveCaptionOptions(captions) : null,
+    // null means the card
+    poster: poster && poster.time !== undefined ? { time: poster.time } : null,
+  };
+}
+
+/**
+ * Picks the fields a job stores from a validated image request payload
+ */
+function buildImageJobRequest(body) {
+  const { tweetBody, profilePhotoUrl, profileName, username, theme, callbackUrl, priority, preset, image } = body;
+  const format = (image && image.format) || DEFAULT_IMAGE_OPTIONS.format;
+
+  return {
+    tweetBody,
+    ...resolveAttachments(body),
+    profilePhotoUrl,
+    profileName,
+    username,
+    theme: theme || 'dark',
+    callbackUrl,
+    priority,
+    preset: preset || DEFAULT_OUTPUT_PRESET,
+    image: {
+      format,
+      scale: (image && image.scale) || DEFAULT_IMAGE_OPTIONS.scale,
+      // PNG is lossless
+      quality: format === 'png' ? null : (image && image.quality) || DEFAULT_IMAGE_OPTIONS.quality,
+    },
+  };
+}
+
+/**
+ * Builds the 202 response returned by POST /generate-video and POST /generate-image
+ */
+function buildJobCreatedResponse(job) {
+  const response = {
+    success: true,
+    jobId: job.jobId,
+    type: job.type || 'video',
+    status: job.status,
+    createdAt: job.createdAt,
+    priority: job.priority,
+    preset: job.request.preset || DEFAULT_OUTPUT_PRESET,
+  };
+
+  if (job.type === 'image') {
+    response.image = job.request.image;
+    response.estimatedCompletionTime = '5-15s';
+  } else {
+    response.outputFormat = job.request.outputFormat || DEFAULT_OUTPUT_FORMAT;
+    response.estimatedCompletionTime = '30-60s';
+  }
+
+  return response;
+}
+
+/**
+ * Builds the aggregate representation returned by GET /batch/:batchId
+ * Batch status is 'completed' or 'failed' only when every job ended that way;
+ * a finished batch with mixed outcomes is 'partial'.
+ */
+function buildBatchResponse(batch) {
+  const counts = { pending: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+  let progressSum = 0;
+
+  const jobs = batch.jobs.map(job => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+
+    const finished = TERMINAL_STATUSES.includes(job.status);
+    const progress = finished ? 100 : (job.progress || 0);
+    progressSum += progress;
+
+    const summary = {
+      index: job.batchIndex,
+      jobId: job.jobId,
+      status: job.status,
+      progress,
+    };
+
+    if (job.status === 'completed') {
+      summary.downloadUrl = job.result.downloadUrl;
+      summary.thumbnailUrl = job.result.thumbnailUrl || null;
+      summary.expiresAt = job.result.expiresAt;
+    } else if (job.status === 'failed') {
+      summary.error = job.error.message;
+    }
+
+    return summary;
+  });
+
+  const total = jobs.length;
+  const finishedCount = counts.completed + counts.failed + counts.cancelled;
+
+  let status;
+  if (finishedCount < total) {
+    status = counts.pending === total ? 'pending' : 'processing';
+  } else if (counts.completed === total) {
+    status = 'completed';
+  } else if (counts.completed === 0) {
+    status = 'failed';
+  } else {
+    status = 'partial';
+  }
+
+  const response = {
+    batchId: batch.batchId,
+    status,
+    createdAt: batch.createdAt,
+    total,
+    counts,
+    progress: Math.round(progressSum / total),
+    jobs,
+  };
+
+  if (finishedCount === total) {
+    response.downloads = jobs
+      .filter(job => job.status === 'completed')
+      .map(job => ({ index: job.index, jobId: job.jobId, downloadUrl: job.downloadUrl }));
+  }
+
+  return response;
+}
+
+/**
+ * Builds the public job representation returned by GET /job/:jobId
+ * and streamed by GET /job/:jobId/events
+ */
+function buildJobResponse(job) {
+  const isImage = job.type === 'image';
+  const response = {
+    jobId: job.jobId,
+    type: job.type || 'video',
+    status: job.status,
+    createdAt: job.createdAt,
+    priority: job.priority || DEFAULT_PRIORITY,
+    preset: job.request.preset || DEFAULT_OUTPUT_PRESET,
+  };
+
+  if (isImage) {
+    response.image = job.request.image;
+  } else {
+    response.outputFormat = job.request.outputFormat || DEFAULT_OUTPUT_FORMAT;
+    response.background = job.request.background || null;
+    response.music = job.request.music || null;
+  }
+
+  response.attempts = job.attempts || 0;
+  response.maxAttempts = job.maxAttempts;
+  response.attemptHistory = job.attemptHistory || [];
+
+  if (job.status === 'pending' && job.nextAttemptAt) {
+    response.nextAttemptAt = job.nextAttemptAt;
+    response.message = 'Previous attempt failed, waiting to retry';
+  } else if (job.status === 'pending') {
+    response.message = 'Job is waiting in queue';
+  } else if (job.status === 'processing') {
+    response.currentStep = job.currentStep;
+    response.progress = job.progress;
+    response.message = getProgressMessage(job.currentStep, job.type);
+  } else if (job.status === 'completed' && isImage) {
+    response.completedAt = job.completedAt;
+    response.downloadUrl = job.result.downloadUrl;
+    response.expiresAt = job.result.expiresAt;
+    response.fileSize = job.result.fileSize;
+    response.resolution = job.result.resolution;
+    response.image = job.result.image;
+  } else if (job.status === 'completed') {
+    response.completedAt = job.completedAt;
+    response.downloadUrl = job.result.downloadUrl;
+    response.thumbnailUrl = job.result.thumbnailUrl || null;
+    response.expiresAt = job.result.expiresAt;
+    response.fileSize = job.result.fileSize;
+    response.duration = job.result.duration;
+    response.resolution = job.result.resolution;
+    response.video = job.result.video;
+    response.voiceover = job.result.voiceover || null;
+    response.captions = job.result.captions || null;
+    response.thread = job.result.thread || null;
+    response.poster = job.result.poster || null;
+  } else if (job.status === 'failed') {
+    response.failedAt = job.error.failedAt;
+    response.error = job.error.message;
+    response.message = isImage ? 'Image generation failed' : 'Video generation failed';
+  } else if (job.status === 'cancelled') {
+    response.cancelledAt = job.cancelledAt;
+    response.message = 'Job was cancelled';
+  }
+
+  if (job.request.callbackUrl) {
+    response.callbackUrl = job.request.callbackUrl;
+    response.webhookDeliveries = job.webhookDeliveries || [];
+  }
+
+  return response;
+}
+
 /**
  * Helper function to get progress message
  */
-function getProgressMessage(step) {
+function getProgressMessage(step, type = 'video') {
   const messages = {
     'generating_screenshot': 'Rendering tweet screenshot...',
+    'generating_voiceover': 'Generating voiceover...',
     'composing_video': 'Composing video with effects...',
-    'saving_file': 'Saving video file...',
+    'saving_file': type === 'image' ? 'Saving image file...' : 'Saving video file...',
   };
   return messages[step] || 'Processing...';
 }
@@ -461,12 +1569,22 @@ async function gracefulShutdown(signal) {
     console.log('[Server] ✓ Background worker stopped');
   }
 
+  if (webhookNotifier) {
+    webhookNotifier.stop();
+    console.log('[Server] ✓ Webhook notifier stopped');
+  }
+
   if (cleanupScheduler) {
     console.log('[Server] Stopping cleanup scheduler...');
     cleanupScheduler.stop();
     console.log('[Server] ✓ Cleanup scheduler stopped');
   }
 
+  // After the worker, so no render is still using a browser
+  console.log('[Server] Closing browser pool...');
+  await browserPool.shutdown();
+  console.log('[Server] ✓ Browser pool closed');
+
   console.log('[Server] Graceful shutdown completed');
   process.exit(0);
 }
@@ -492,7 +1610,7 @@ async function startServer() {
       console.log(`Server URL:      ${BASE_URL}`);
       console.log(`Port:            ${PORT}`);
       console.log(`Template:        ${TEMPLATE_PATH}`);
-      console.log(`Audio:           ${AUDIO_PATH}`);
+      console.log(`Assets:          ${assetLibrary.assetsPath}`);
       console.log(`Storage:         ${process.env.STORAGE_PATH || '/data/videos'}`);
       console.log('='.repeat(60));
       console.log('\n✅ Server ready to accept requests');
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * AssetLibrary - Named background clips and music tracks
+ *
+ * Assets are registered in a manifest (manifest.json in the assets directory)
+ * that maps a name to a file inside that directory. Requests pick assets by
+ * name; the manifest's `defaults` apply when a request names none.
+ *
+ * The manifest is re-read on every lookup, so assets registered through the
+ * admin endpoints are picked up by standalone workers sharing the directory
+ * without a restart. Writes go to a temporary file and are renamed into place.
+ */
+
+// Request field -> manifest section
+const ASSET_TYPES = {
+  background: 'backgrounds',
+  music: 'music',
+};
+
+const ASSET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Used when no manifest exists yet: the assets every video used before the library
+const DEFAULT_MANIFEST = {
+  defaults: {
+    background: 'carnivore',
+    music: 'dark-ambient',
+  },
+  backgrounds: {
+    carnivore: { file: 'carnivore-bg-fixed.mp4', label: 'Carnivore (steak close-up)' },
+  },
+  music: {
+    'dark-ambient': { file: 'unknown-moments-dark-ambient-297679.mp3', label: 'Unknown Moments (dark ambient)' },
+  },
+};
+
+class AssetLibrary {
+  /**
+   * Creates an AssetLibrary instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.assetsPath - Directory holding the asset files and manifest.json
+   */
+  constructor(config = {}) {
+    this.assetsPath = path.resolve(config.assetsPath || path.join(__dirname, '..', 'assets'));
+    this.manifestPath = path.join(this.assetsPath, 'manifest.json');
+  }
+
+  /**
+   * Lists every registered asset
+   * @returns {Object} { defaults, background: [...], music: [...] }, each entry
+   *   { name, label, file, available } where `available` tells whether the file exists
+   */
+  list() {
+    const manifest = this._readManifest();
+    const result = { defaults: { ...manifest.defaults } };
+
+    for (const [type, section] of Object.entries(ASSET_TYPES)) {
+      result[type] = Object.entries(manifest[section]).map(([name, entry]) => ({
+        name,
+        label: entry.label || name,
+        file: entry.file,
+        available: fs.existsSync(path.join(this.assetsPath, entry.file)),
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Checks whether an asset is registered
+   * @param {string} type - 'background' or 'music'
+   * @param {string} name - Asset name
+   * @returns {boolean}
+   */
+  has(type, name) {
+    const section = ASSET_TYPES[type];
+    if (!section || typeof name !== 'string') {
+      return false;
+    }
+
+    return Object.prototype.hasOwnProperty.call(this._readManifest()[section], name);
+  }
+
+  /**
+   * Gets the name of the default asset of a type
+   * @param {string} type - 'background' or 'music'
+   * @returns {string|null}
+   */
+  getDefault(type) {
+    return this._readManifest().defaults[type] || null;
+  }
+
+  /**
+   * Resolves an asset name to its file
+   * @param {string} type - 'background' or 'music'
+   * @param {string} [name] - Asset name; the default asset of the type when omitted
+   * @returns {Object} { name, label, path }
+   * @throws {Error} ASSET_NOT_FOUND if the asset is not registered or its file is missing
+   */
+  resolve(type, name) {
+    const section = this._getSection(type);
+    const manifest = this._readManifest();
+    const assetName = name || manifest.defaults[type];
+    const entry = assetName ? manifest[section][assetName] : null;
+
+    if (!entry) {
+      throw this._error('ASSET_NOT_FOUND', `Unknown ${type} asset: ${assetName}`);
+    }
+
+    const filePath = path.join(this.assetsPath, entry.file);
+    if (!fs.existsSync(filePath)) {
+      throw this._error('ASSET_NOT_FOUND', `File for ${type} asset "${assetName}" not found: ${entry.file}`);
+    }
+
+    return { name: assetName, label: entry.label || assetName, path: filePath };
+  }
+
+  /**
+   * Registers (or replaces) an asset
+   * @param {string} type - 'background' or 'music'
+   * @param {string} name - Asset name (lowercase letters, digits, '-' and '_')
+   * @param {Object} asset - Asset definition
+   * @param {string} asset.file - File path relative to the assets directory; the file must exist
+   * @param {string} [asset.label] - Human-readable name
+   * @param {boolean} [asset.isDefault=false] - Make this the default asset of its type
+   * @returns {Object} The registered entry { name, label, file, isDefault }
+   * @throws {Error} INVALID_ASSET if the name or file is invalid
+   */
+  register(type, name, asset = {}) {
+    const section = this._getSection(type);
+
+    if (typeof name !== 'string' || !ASSET_NAME_PATTERN.test(name)) {
+      throw this._error('INVALID_ASSET', 'Asset name must be 1-64 lowercase letters, digits, "-" or "_"');
+    }
+
+    const file = this._validateFile(asset.file);
+
+    if (asset.label !== undefined && (typeof asset.label !== 'string' || asset.label.length > 100)) {
+      throw this._error('INVALID_ASSET', 'label must be a string of at most 100 characters');
+    }
+
+    const manifest = this._readManifest();
+    manifest[section][name] = { file, label: asset.label || name };
+    if (asset.isDefault) {
+      manifest.defaults[type] = name;
+    }
+    this._writeManifest(manifest);
+
+    console.log(`[AssetLibrary] Registered ${type} asset "${name}" (${file})`);
+
+    return { name, label: manifest[section][name].label, file, isDefault: manifest.defaults[type] === name };
+  }
+
+  /**
+   * Unregisters an asset; the file itself is left in place
+   * @param {string} type - 'background' or 'music'
+   * @param {string} name - Asset name
+   * @throws {Error} ASSET_NOT_FOUND if not registered, ASSET_IN_USE if it is the default
+   */
+  remove(type, name) {
+    const section = this._getSection(type);
+    const manifest = this._readManifest();
+
+    if (!Object.prototype.hasOwnProperty.call(manifest[section], name)) {
+      throw this._error('ASSET_NOT_FOUND', `Unknown ${type} asset: ${name}`);
+    }
+
+    if (manifest.defaults[type] === name) {
+      throw this._error('ASSET_IN_USE', `"${name}" is the default ${type}; make another asset the default first`);
+    }
+
+    delete manifest[section][name];
+    this._writeManifest(manifest);
+
+    console.log(`[AssetLibrary] Removed ${type} asset "${name}"`);
+  }
+
+  /**
+   * Returns the manifest section for an asset type
+   * @private
+   */
+  _getSection(type) {
+    const section = ASSET_TYPES[type];
+    if (!section) {
+      throw this._error('INVALID_ASSET', `Asset type must be one of: ${Object.keys(ASSET_TYPES).join(', ')}`);
+    }
+    return section;
+  }
+
+  /**
+   * Checks that a file path stays inside the assets directory and exists
+   * @private
+   * @returns {string} The path relative to the assets directory
+   */
+  _validateFile(file) {
+    if (!file || typeof file !== 'string') {
+      throw this._error('INVALID_ASSET', 'file is required and must be a path relative to the assets directory');
+    }
+
+    const filePath = path.resolve(this.assetsPath, file);
+    const relativePath = path.relative(this.assetsPath, filePath);
+
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw this._error('INVALID_ASSET', 'file must be inside the assets directory');
+    }
+
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw this._error('INVALID_ASSET', `file not found in the assets directory: ${relativePath}`);
+    }
+
+    return relativePath;
+  }
+
+  /**
+   * Reads the manifest, falling back to the built-in defaults when there is none
+   * @private
+   */
+  _readManifest() {
+    let manifest = DEFAULT_MANIFEST;
+
+    try {
+      manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[AssetLibrary] Failed to read ${this.manifestPath}, using built-in assets: ${error.message}`);
+      }
+    }
+
+    // Return a normalized copy so callers can modify it freely
+    return {
+      defaults: { ...(manifest.defaults || {}) },
+      backgrounds: { ...(manifest.backgrounds || {}) },
+      music: { ...(manifest.music || {}) },
+    };
+  }
+
+  /**
+   * Writes the manifest atomically
+   * @private
+   */
+  _writeManifest(manifest) {
+    const tempPath = `${this.manifestPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + '\n');
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+
+  /**
+   * Creates an error with a code for the API layer to map to a status
+   * @private
+   */
+  _error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+// Singleton instance shared by the API server and workers
+const assetLibrary = new AssetLibrary({
+  assetsPath: process.env.ASSETS_PATH || path.join(__dirname, '..', 'assets'),
+});
+
+module.exports = {
+  AssetLibrary,
+  assetLibrary,
+  ASSET_TYPES,
+};
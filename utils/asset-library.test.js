@@ -0,0 +1,129 @@
+/**
+ * Test suite for AssetLibrary
+ * Run with: node utils/asset-library.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AssetLibrary } = require('./asset-library');
+const { createTestSuite, assert, runIfMain } = require('./test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Asset Library Test Suite');
+
+/**
+ * Asserts that fn throws an error with the given code
+ */
+function assertThrowsCode(fn, code, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.code === code, `${message}: expected ${code}, got ${error.code} (${error.message})`);
+    return error;
+  }
+  throw new Error(`${message}: should have thrown ${code}`);
+}
+
+function readManifest(testPath) {
+  return JSON.parse(fs.readFileSync(path.join(testPath, 'manifest.json'), 'utf8'));
+}
+
+async function runTests() {
+  printHeader();
+
+  const testPath = path.join(__dirname, '../tmp/test-asset-library');
+  fs.rmSync(testPath, { recursive: true, force: true });
+  fs.mkdirSync(path.join(testPath, 'clips'), { recursive: true });
+  fs.writeFileSync(path.join(testPath, 'clips', 'ocean.mp4'), 'fake video');
+  fs.writeFileSync(path.join(testPath, 'calm.mp3'), 'fake audio');
+  fs.writeFileSync(path.join(testPath, '..', 'outside.mp3'), 'outside the library');
+
+  const library = new AssetLibrary({ assetsPath: testPath });
+
+  // Test 1: Without a manifest the built-in assets are listed
+  await test('Built-in manifest is used when none exists', async () => {
+    const assets = library.list();
+    assert(assets.defaults.background === 'carnivore', 'Built-in default background');
+    assert(assets.defaults.music === 'dark-ambient', 'Built-in default music');
+    assert(assets.background[0].available === false, 'Built-in file is not in the test directory');
+    assert(!fs.existsSync(path.join(testPath, 'manifest.json')), 'Reading should not write a manifest');
+  });
+
+  // Test 2: Names are restricted
+  await test('register rejects invalid names and types', async () => {
+    for (const name of ['', 'Ocean', 'ocean waves', '-ocean', 'ocean/waves', '../ocean', 'a'.repeat(65), 42]) {
+      assertThrowsCode(() => library.register('background', name, { file: 'clips/ocean.mp4' }), 'INVALID_ASSET', `Name ${JSON.stringify(name)}`);
+    }
+    assertThrowsCode(() => library.register('sticker', 'ocean', { file: 'clips/ocean.mp4' }), 'INVALID_ASSET', 'Unknown type');
+    assertThrowsCode(() => library.register('background', 'ocean', { file: 'clips/ocean.mp4', label: 'x'.repeat(101) }), 'INVALID_ASSET', 'Long label');
+
+    library.register('background', 'a'.repeat(64), { file: 'clips/ocean.mp4' });
+    library.register('background', '0cean_waves-2', { file: 'clips/ocean.mp4' });
+  });
+
+  // Test 3: Files must stay inside the assets directory
+  await test('register rejects files outside the assets directory', async () => {
+    for (const file of ['../outside.mp3', 'clips/../../outside.mp3', path.join(testPath, '..', 'outside.mp3'), '/etc/passwd', '.', 'clips']) {
+      assertThrowsCode(() => library.register('music', 'escape', { file }), 'INVALID_ASSET', `File ${file}`);
+    }
+    assertThrowsCode(() => library.register('music', 'missing', { file: 'missing.mp3' }), 'INVALID_ASSET', 'Missing file');
+    assertThrowsCode(() => library.register('music', 'nofile', {}), 'INVALID_ASSET', 'No file');
+    assert(!library.has('music', 'escape'), 'Nothing should be registered');
+  });
+
+  // Test 4: Registering writes the manifest, keeping the built-in entries
+  await test('register updates the manifest', async () => {
+    const entry = library.register('background', 'ocean', { file: './clips/ocean.mp4', label: 'Ocean waves' });
+    assert(entry.file === path.join('clips', 'ocean.mp4'), `File should be normalized, got ${entry.file}`);
+    assert(entry.isDefault === false, 'Should not become the default');
+
+    const manifest = readManifest(testPath);
+    assert(manifest.backgrounds.ocean.label === 'Ocean waves', 'Entry should be written');
+    assert(manifest.backgrounds.carnivore, 'Built-in entries should be kept');
+    assert(manifest.defaults.background === 'carnivore', 'Default should be unchanged');
+    assert(!fs.readdirSync(testPath).some(file => file.endsWith('.tmp')), 'No temporary files should remain');
+
+    const resolved = library.resolve('background', 'ocean');
+    assert(resolved.path === path.join(testPath, 'clips', 'ocean.mp4'), `Wrong path: ${resolved.path}`);
+  });
+
+  // Test 5: Defaults and removal
+  await test('isDefault changes the default, which cannot be removed', async () => {
+    const entry = library.register('music', 'calm', { file: 'calm.mp3', isDefault: true });
+    assert(entry.isDefault === true && entry.label === 'calm', 'Should become the default with its name as label');
+    assert(library.getDefault('music') === 'calm', 'Default should be updated');
+    assert(library.resolve('music').name === 'calm', 'resolve without a name should use the default');
+
+    assertThrowsCode(() => library.remove('music', 'calm'), 'ASSET_IN_USE', 'Removing the default');
+    library.remove('music', 'dark-ambient');
+    assert(!readManifest(testPath).music['dark-ambient'], 'Removed entry should leave the manifest');
+    assertThrowsCode(() => library.remove('music', 'dark-ambient'), 'ASSET_NOT_FOUND', 'Removing twice');
+    assert(fs.existsSync(path.join(testPath, 'calm.mp3')), 'Files are never deleted');
+  });
+
+  // Test 6: Lookups of unknown or missing assets
+  await test('resolve reports unknown assets and missing files', async () => {
+    assertThrowsCode(() => library.resolve('background', 'forest'), 'ASSET_NOT_FOUND', 'Unknown asset');
+    assertThrowsCode(() => library.resolve('background', 'carnivore'), 'ASSET_NOT_FOUND', 'Missing file');
+    assert(library.has('background', 'toString') === false, 'Prototype keys are not assets');
+    assert(library.has('sticker', 'ocean') === false, 'Unknown types have no assets');
+  });
+
+  // Test 7: Changes made by another process are picked up
+  await test('The manifest is re-read on every lookup', async () => {
+    const other = new AssetLibrary({ assetsPath: testPath });
+    other.register('background', 'shared', { file: 'clips/ocean.mp4' });
+    assert(library.has('background', 'shared'), 'Registration by another instance should be visible');
+  });
+
+  // Cleanup test files
+  await test('Cleanup test directory', async () => {
+    fs.rmSync(testPath, { recursive: true, force: true });
+    fs.rmSync(path.join(testPath, '..', 'outside.mp3'), { force: true });
+  });
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };
@@ -0,0 +1,146 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Callback URL guard - Keeps webhook deliveries away from internal networks
+ *
+ * A callbackUrl is chosen by the API client, and the server POSTs job data to
+ * it with retries. Without a guard that is a server-side request forgery hole:
+ * a client could aim it at localhost, the private network or the cloud
+ * metadata service (169.254.169.254).
+ *
+ * Two checks:
+ * - getCallbackUrlError() rejects, at request time, URLs whose host is a
+ *   loopback, private or link-local IP literal or a localhost name
+ * - The HTTP agents used for delivery resolve the host themselves and refuse
+ *   to connect when it resolves to such an address, so DNS names (and DNS
+ *   rebinding between validation and delivery) are covered too
+ *
+ * Hosts listed in WEBHOOK_ALLOWED_HOSTS (comma-separated hostnames) skip both
+ * checks, for receivers that really live on the internal network.
+ */
+
+const MAX_CALLBACK_URL_LENGTH = 2048;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Reads the hostnames exempt from the address checks
+ * @returns {Array<string>} Lower-case hostnames
+ */
+function getAllowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if a callback must not be delivered to it
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_RANGES.check(address, 'ipv4');
+  }
+
+  if (family === 6) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? BLOCKED_RANGES.check(mapped[1], 'ipv4') : BLOCKED_RANGES.check(address, 'ipv6');
+  }
+
+  return false;
+}
+
+/**
+ * Validates a callbackUrl without resolving it
+ * @param {*} callbackUrl - Request value
+ * @returns {string|null} Error message, or null if the URL may be used
+ */
+function getCallbackUrlError(callbackUrl) {
+  let parsed = null;
+  try {
+    parsed = typeof callbackUrl === 'string' && callbackUrl.length <= MAX_CALLBACK_URL_LENGTH ? new URL(callbackUrl) : null;
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return `callbackUrl must be a valid http(s) URL of at most ${MAX_CALLBACK_URL_LENGTH} characters`;
+  }
+
+  // URL keeps the brackets around IPv6 literals
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (getAllowedHosts().includes(hostname)) {
+    return null;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+    return 'callbackUrl must not point to a loopback, private or link-local address';
+  }
+
+  return null;
+}
+
+/**
+ * dns.lookup replacement that fails for hosts resolving to blocked addresses
+ * Used as the agents' lookup, so the checked address is the one connected to.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+  if (getAllowedHosts().includes(hostname.toLowerCase())) {
+    return dns.lookup(hostname, options, callback);
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`callbackUrl host ${hostname} resolves to a non-public address (${blocked.address})`);
+      blockedError.code = 'CALLBACK_ADDRESS_BLOCKED';
+      return callback(blockedError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agents for webhook deliveries; every connection goes through guardedLookup
+const callbackHttpAgent = new http.Agent({ lookup: guardedLookup });
+const callbackHttpsAgent = new https.Agent({ lookup: guardedLookup });
+
+module.exports = {
+  MAX_CALLBACK_URL_LENGTH,
+  isPrivateAddress,
+  getCallbackUrlError,
+  guardedLookup,
+  callbackHttpAgent,
+  callbackHttpsAgent,
+};
@@ -1,56 +1,293 @@
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { MemoryJobStore, createDefaultJobStore } = require('./job-store');
+
+// Valid job statuses; completed, failed and cancelled are terminal
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Job priorities, highest first; jobs without one are 'normal'
+const JOB_PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_PRIORITY = 'normal';
+
+// What a job produces; jobs without a type render a video
+const JOB_TYPES = ['video', 'image'];
+const DEFAULT_JOB_TYPE = 'video';
+
+// Times a change is re-applied after losing a compare-and-swap race
+const MAX_UPDATE_ATTEMPTS = 5;
 
 /**
  * JobManager - Manages video generation job lifecycle
  *
- * Provides in-memory storage and management for video generation jobs
- * with full lifecycle tracking, progress monitoring, and cleanup capabilities.
+ * Provides storage and management for video generation jobs with full
+ * lifecycle tracking, progress monitoring, and cleanup capabilities.
+ * Job records are persisted through a pluggable JobStore (see utils/job-store).
+ *
+ * Events (listeners receive a copy of the job):
+ * - 'job:created'   - emitted by createJob once the new job is stored
+ * - 'job:updated'   - emitted after every change to a job (status, progress, attempts, ...)
+ * - 'job:completed' - emitted by setJobCompleted
+ * - 'job:failed'    - emitted by setJobFailed, and by requeueInterruptedJobs for jobs out of attempts
+ *                     (permanent failures only, not retries)
  */
-class JobManager {
-  constructor() {
-    this.jobs = new Map();
-    console.log('[JobManager] Initialized with empty job store');
+class JobManager extends EventEmitter {
+  /**
+   * Creates a JobManager instance
+   * @param {JobStore} [store] - Job store used to persist job records (default: in-memory)
+   * @param {Object} [options] - Job lifecycle options
+   * @param {number} [options.maxAttempts=3] - Attempts allowed per job before it fails permanently
+   */
+  constructor(store = null, options = {}) {
+    super();
+    // Every open SSE stream subscribes to 'job:updated', so don't cap listeners
+    this.setMaxListeners(0);
+    this.store = store || new MemoryJobStore();
+    this.maxAttempts = options.maxAttempts || 3;
+    console.log(`[JobManager] Initialized with ${this.store.constructor.name} (max attempts: ${this.maxAttempts})`);
+  }
+
+  /**
+   * Saves a job to the store and notifies 'job:updated' listeners
+   * @private
+   * @param {Object} job - The full job object, as read from the store
+   * @throws {Error} Error with code 'JOB_REVISION_CONFLICT' if the stored job changed since it was read
+   */
+  _persist(job) {
+    this.store.save(job);
+    this.emit('job:updated', job);
+  }
+
+  /**
+   * Reads a job, applies a change and saves it with compare-and-swap
+   * With a file-backed store the API process and worker processes update the
+   * same records. If another process saved the job in between, the store
+   * rejects the write and the change is re-applied to the fresh record, so
+   * e.g. a progress update never overwrites a cancellation.
+   * @private
+   * @param {string} jobId - The UUID of the job
+   * @param {Function} mutate - Changes the job in place; may return false to leave it unchanged
+   * @returns {Object|null} The saved job, or null if mutate declined the change
+   */
+  _update(jobId, mutate) {
+    for (let attempt = 1; ; attempt++) {
+      const job = this._requireJob(jobId);
+      if (mutate(job) === false) {
+        return null;
+      }
+
+      try {
+        this._persist(job);
+        return job;
+      } catch (error) {
+        if (error.code !== 'JOB_REVISION_CONFLICT' || attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw error;
+        }
+        console.warn(`[JobManager] Job ${jobId} changed while being updated, retrying`);
+      }
+    }
+  }
+
+  /**
+   * Throws if a job has been cancelled
+   * Used by the worker-side updates, which may race a cancellation from the API.
+   * @private
+   * @param {Object} job - The job object
+   * @throws {Error} Error with code 'JOB_CANCELLED'
+   */
+  _assertNotCancelled(job) {
+    if (job.status === 'cancelled') {
+      const error = new Error(`Job ${job.jobId} was cancelled`);
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the open (not yet finished) entry of a job's attempt history
+   * @private
+   * @param {Object} job - The job object
+   * @returns {Object|null} The current attempt entry
+   */
+  _currentAttempt(job) {
+    const history = job.attemptHistory || [];
+    const last = history[history.length - 1];
+    return last && !last.endedAt ? last : null;
+  }
+
+  /**
+   * Loads a job record from the store or throws if it does not exist
+   * @private
+   * @param {string} jobId - The UUID of the job
+   * @returns {Object} The stored job
+   */
+  _requireJob(jobId) {
+    const job = this.store.get(jobId);
+
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+
+    return job;
   }
 
   /**
    * Creates a new job with pending status
-   * @param {Object} requestData - The request data containing tweetBody, profilePhotoUrl, profileName, username, theme
+   * @param {Object} requestData - The request data containing tweetBody (or tweets, for a thread), media, linkCard, quoteTweet, profilePhotoUrl, profileName, username, theme, priority, preset, outputFormat, background, music, video, voiceover, captions, poster, image
+   * @param {Object} [options] - Job metadata that is not part of the request
+   * @param {string} [options.type='video'] - What the job produces: 'video' or 'image'
+   * @param {string} [options.batchId] - Batch the job belongs to
+   * @param {number} [options.batchIndex] - Position of the job within its batch
+   * @param {string} [options.clientId] - API client that submitted the job, used for fair scheduling
+   * @param {string} [options.idempotencyKey] - Client-supplied Idempotency-Key the job was created with
+   * @param {string} [options.requestHash] - Hash of the request body the idempotency key was used with
    * @returns {string} jobId - The UUID of the created job
    */
-  createJob(requestData) {
+  createJob(requestData, options = {}) {
     if (!requestData) {
       throw new Error('Request data is required to create a job');
     }
 
+    const priority = requestData.priority || DEFAULT_PRIORITY;
+    if (!JOB_PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}. Must be one of: ${JOB_PRIORITIES.join(', ')}`);
+    }
+
+    const type = options.type || DEFAULT_JOB_TYPE;
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Invalid job type: ${type}. Must be one of: ${JOB_TYPES.join(', ')}`);
+    }
+
     const jobId = uuidv4();
     const now = new Date().toISOString();
 
     const job = {
       jobId,
+      type,
       status: 'pending',
       createdAt: now,
       updatedAt: now,
       completedAt: null,
       request: {
         tweetBody: requestData.tweetBody || null,
+        tweets: requestData.tweets || null,
+        media: requestData.media || null,
+        linkCard: requestData.linkCard || null,
+        quoteTweet: requestData.quoteTweet || null,
         profilePhotoUrl: requestData.profilePhotoUrl || null,
         profileName: requestData.profileName || null,
         username: requestData.username || null,
         theme: requestData.theme || null,
+        callbackUrl: requestData.callbackUrl || null,
+        preset: requestData.preset || null,
+        outputFormat: requestData.outputFormat || null,
+        background: requestData.background || null,
+        music: requestData.music || null,
+        video: requestData.video || null,
+        voiceover: requestData.voiceover || null,
+        captions: requestData.captions || null,
+        poster: requestData.poster || null,
+        image: requestData.image || null,
       },
       result: null,
       error: null,
       currentStep: null,
       progress: 0,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      attemptHistory: [],
+      nextAttemptAt: null,
+      webhookDeliveries: [],
+      batchId: options.batchId || null,
+      batchIndex: options.batchId ? options.batchIndex : null,
+      priority,
+      clientId: options.clientId || null,
+      idempotencyKey: options.idempotencyKey || null,
+      requestHash: options.idempotencyKey ? options.requestHash || null : null,
+      revision: 0,
     };
 
-    this.jobs.set(jobId, job);
-    console.log(`[JobManager] Created job ${jobId} with status: pending`);
+    this._persist(job);
+    console.log(`[JobManager] Created ${type} job ${jobId} with status: pending, priority: ${priority}`);
     console.log(`[JobManager] Request data:`, JSON.stringify(job.request, null, 2));
 
+    this.emit('job:created', job);
+
     return jobId;
   }
 
+  /**
+   * Finds the job a client created with a given Idempotency-Key
+   * The key lives on the job record, so it expires together with the job
+   * when cleanupExpiredJobs removes it.
+   * @param {string|null} clientId - API client the key belongs to
+   * @param {string} idempotencyKey - The Idempotency-Key header value
+   * @returns {Object|null} The job object or null if the key is unused
+   */
+  findJobByIdempotencyKey(clientId, idempotencyKey) {
+    if (!idempotencyKey) {
+      return null;
+    }
+
+    const jobId = this.store.findJobIdByIdempotencyKey(clientId || null, idempotencyKey);
+    const job = jobId ? this.store.get(jobId) : null;
+
+    // Guard against a stale index entry
+    if (!job || job.idempotencyKey !== idempotencyKey || (job.clientId || null) !== (clientId || null)) {
+      return null;
+    }
+
+    return job;
+  }
+
+  /**
+   * Creates a batch of jobs that share a batchId
+   * @param {Array<Object>} requestDataList - Request data for each child job, in order
+   * @param {Object} [options] - Metadata applied to every child job
+   * @param {string} [options.clientId] - API client that submitted the batch
+   * @returns {Object} { batchId, jobIds }
+   */
+  createBatch(requestDataList, options = {}) {
+    if (!Array.isArray(requestDataList) || requestDataList.length === 0) {
+      throw new Error('A non-empty array of request data is required to create a batch');
+    }
+
+    const batchId = uuidv4();
+    const jobIds = requestDataList.map((requestData, batchIndex) =>
+      this.createJob(requestData, { batchId, batchIndex, clientId: options.clientId })
+    );
+
+    console.log(`[JobManager] Created batch ${batchId} with ${jobIds.length} jobs`);
+    return { batchId, jobIds };
+  }
+
+  /**
+   * Retrieves a batch with its child jobs
+   * Batches are not stored separately; they are the set of jobs sharing a batchId.
+   * @param {string} batchId - The UUID of the batch
+   * @returns {Object|null} { batchId, createdAt, jobs } or null if no child jobs exist
+   */
+  getBatch(batchId) {
+    if (!batchId) {
+      console.warn('[JobManager] getBatch called with empty batchId');
+      return null;
+    }
+
+    const jobs = this.store.listBatchJobs(batchId)
+      .sort((a, b) => a.batchIndex - b.batchIndex);
+
+    if (jobs.length === 0) {
+      console.warn(`[JobManager] Batch ${batchId} not found`);
+      return null;
+    }
+
+    return {
+      batchId,
+      createdAt: jobs[0].createdAt,
+      jobs,
+    };
+  }
+
   /**
    * Retrieves a job by its ID
    * @param {string} jobId - The UUID of the job
@@ -62,20 +299,20 @@ class JobManager {
       return null;
     }
 
-    const job = this.jobs.get(jobId);
+    const job = this.store.get(jobId);
 
     if (!job) {
       console.warn(`[JobManager] Job ${jobId} not found`);
       return null;
     }
 
-    return { ...job }; // Return a copy to prevent external mutations
+    return job; // Stores return copies, so callers cannot mutate stored state
   }
 
   /**
    * Updates job status and optionally merges additional data
    * @param {string} jobId - The UUID of the job
-   * @param {string} status - New status: 'pending' | 'processing' | 'completed' | 'failed'
+   * @param {string} status - New status: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled'
    * @param {Object} additionalData - Optional additional data to merge into job
    */
   updateJobStatus(jobId, status, additionalData = {}) {
@@ -83,33 +320,180 @@ class JobManager {
       throw new Error('jobId is required');
     }
 
-    if (!['pending', 'processing', 'completed', 'failed'].includes(status)) {
-      throw new Error(`Invalid status: ${status}. Must be one of: pending, processing, completed, failed`);
+    if (!JOB_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    let oldStatus = null;
+    this._update(jobId, job => {
+      oldStatus = job.status;
+      job.status = status;
+      job.updatedAt = new Date().toISOString();
+
+      // Merge additional data
+      Object.assign(job, additionalData);
+
+      // Set completedAt for terminal states
+      if (TERMINAL_STATUSES.includes(status) && !job.completedAt) {
+        job.completedAt = new Date().toISOString();
+      }
+    });
+
+    console.log(`[JobManager] Job ${jobId} status changed: ${oldStatus} -> ${status}`);
+
+    if (Object.keys(additionalData).length > 0) {
+      console.log(`[JobManager] Additional data merged:`, JSON.stringify(additionalData, null, 2));
+    }
+  }
+
+  /**
+   * Opens a new processing attempt on a job object
+   * @private
+   * @param {Object} job - The job object (changed in place)
+   * @param {string|null} workerId - Worker running the attempt
+   */
+  _openAttempt(job, workerId) {
+    const now = new Date().toISOString();
+
+    job.attempts = (job.attempts || 0) + 1;
+    job.maxAttempts = job.maxAttempts || this.maxAttempts;
+    job.attemptHistory = job.attemptHistory || [];
+    job.attemptHistory.push({
+      attempt: job.attempts,
+      startedAt: now,
+      endedAt: null,
+      error: null,
+      retryable: null,
+      workerId,
+    });
+    job.status = 'processing';
+    job.nextAttemptAt = null;
+    job.currentStep = null;
+    job.progress = 0;
+    job.updatedAt = now;
+  }
+
+  /**
+   * Starts a new processing attempt for a job
+   * Moves the job to 'processing', increments its attempt count and opens a
+   * new entry in its attempt history.
+   * @param {string} jobId - The UUID of the job
+   * @param {string} [workerId] - Worker running the attempt, recorded in the attempt history
+   * @returns {number} The attempt number that was started (1-based)
+   */
+  startJobAttempt(jobId, workerId = null) {
+    if (!jobId) {
+      throw new Error('jobId is required');
+    }
+
+    const job = this._update(jobId, job => this._openAttempt(job, workerId));
+
+    console.log(`[JobManager] Job ${jobId} attempt ${job.attempts}/${job.maxAttempts} started`);
+    return job.attempts;
+  }
+
+  /**
+   * Claims a pending job for a worker and starts a new attempt
+   * Takes the job's processing lease first, so when several worker processes
+   * share a file-backed store only one of them can claim a given job.
+   * @param {string} jobId - The UUID of the job
+   * @param {string} workerId - Identifier of the claiming worker
+   * @param {number} leaseMs - Lease duration; the worker must renew it before it expires
+   * @returns {number|null} The attempt number, or null if the job was not claimable
+   */
+  claimJob(jobId, workerId, leaseMs) {
+    if (!jobId || !workerId) {
+      throw new Error('jobId and workerId are required');
+    }
+
+    if (!this.store.acquireLease(jobId, workerId, leaseMs)) {
+      return null;
     }
 
-    const job = this.jobs.get(jobId);
+    // Re-read under the lease: another worker may have finished the job, or
+    // it may have been cancelled, since the caller listed it as pending
+    const pending = this.store.get(jobId);
+    // The status is checked again if the job changes before the attempt is saved
+    const job = pending && pending.status === 'pending'
+      ? this._update(jobId, job => job.status === 'pending' ? this._openAttempt(job, workerId) : false)
+      : null;
 
     if (!job) {
-      throw new Error(`Job ${jobId} not found`);
+      this.store.releaseLease(jobId, workerId);
+      return null;
     }
 
-    const oldStatus = job.status;
-    job.status = status;
-    job.updatedAt = new Date().toISOString();
+    console.log(`[JobManager] Job ${jobId} attempt ${job.attempts}/${job.maxAttempts} started`);
+    return job.attempts;
+  }
+
+  /**
+   * Extends a worker's lease on a job (heartbeat)
+   * @param {string} jobId - The UUID of the job
+   * @param {string} workerId - Identifier of the worker holding the lease
+   * @param {number} leaseMs - New lease duration from now
+   * @returns {boolean} False if the worker has lost the lease
+   */
+  renewJobLease(jobId, workerId, leaseMs) {
+    return this.store.renewLease(jobId, workerId, leaseMs);
+  }
+
+  /**
+   * Releases a worker's lease on a job once it stops processing it
+   * @param {string} jobId - The UUID of the job
+   * @param {string} workerId - Identifier of the worker holding the lease
+   * @returns {boolean} True if a lease was released
+   */
+  releaseJobLease(jobId, workerId) {
+    return this.store.releaseLease(jobId, workerId);
+  }
 
-    // Merge additional data
-    Object.assign(job, additionalData);
+  /**
+   * Puts a job whose attempt failed with a transient error back in the queue
+   * @param {string} jobId - The UUID of the job
+   * @param {string} errorMessage - Error message of the failed attempt
+   * @param {number} delayMs - Backoff before the job may be picked up again
+   * @returns {string|null} ISO timestamp of the next attempt, or null if the job was cancelled meanwhile
+   */
+  scheduleJobRetry(jobId, errorMessage, delayMs) {
+    if (!jobId) {
+      throw new Error('jobId is required');
+    }
 
-    // Set completedAt for terminal states
-    if ((status === 'completed' || status === 'failed') && !job.completedAt) {
-      job.completedAt = new Date().toISOString();
+    if (typeof delayMs !== 'number' || delayMs < 0) {
+      throw new Error(`Invalid delayMs: ${delayMs}. Must be a non-negative number`);
     }
 
-    console.log(`[JobManager] Job ${jobId} status changed: ${oldStatus} -> ${status}`);
+    const now = new Date();
+    const nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
 
-    if (Object.keys(additionalData).length > 0) {
-      console.log(`[JobManager] Additional data merged:`, JSON.stringify(additionalData, null, 2));
+    const job = this._update(jobId, job => {
+      // A cancellation that landed during the attempt stands
+      if (job.status === 'cancelled') {
+        return false;
+      }
+
+      const attempt = this._currentAttempt(job);
+      if (attempt) {
+        attempt.endedAt = now.toISOString();
+        attempt.error = errorMessage || null;
+        attempt.retryable = true;
+      }
+
+      job.status = 'pending';
+      job.nextAttemptAt = nextAttemptAt;
+      job.currentStep = null;
+      job.progress = 0;
+      job.updatedAt = now.toISOString();
+    });
+
+    if (!job) {
+      console.log(`[JobManager] Job ${jobId} was cancelled, not retrying`);
+      return null;
     }
+
+    console.warn(`[JobManager] Job ${jobId} attempt ${job.attempts} failed (${errorMessage}), retrying at ${nextAttemptAt}`);
+    return nextAttemptAt;
   }
 
   /**
@@ -117,6 +501,7 @@ class JobManager {
    * @param {string} jobId - The UUID of the job
    * @param {string} step - Current step description
    * @param {number} percentage - Progress percentage (0-100)
+   * @throws {Error} Error with code 'JOB_CANCELLED' if the job has been cancelled
    */
   updateJobProgress(jobId, step, percentage) {
     if (!jobId) {
@@ -127,15 +512,12 @@ class JobManager {
       throw new Error(`Invalid percentage: ${percentage}. Must be between 0 and 100`);
     }
 
-    const job = this.jobs.get(jobId);
-
-    if (!job) {
-      throw new Error(`Job ${jobId} not found`);
-    }
-
-    job.currentStep = step;
-    job.progress = percentage;
-    job.updatedAt = new Date().toISOString();
+    this._update(jobId, job => {
+      this._assertNotCancelled(job);
+      job.currentStep = step;
+      job.progress = percentage;
+      job.updatedAt = new Date().toISOString();
+    });
 
     console.log(`[JobManager] Job ${jobId} progress: ${percentage}% - ${step}`);
   }
@@ -143,7 +525,8 @@ class JobManager {
   /**
    * Marks a job as completed with result data
    * @param {string} jobId - The UUID of the job
-   * @param {Object} resultData - Result data containing filename, downloadUrl, expiresAt, fileSize, duration, resolution
+   * @param {Object} resultData - Result data containing filename, downloadUrl, thumbnailUrl, expiresAt, fileSize, duration, resolution (and image, for image jobs)
+   * @throws {Error} Error with code 'JOB_CANCELLED' if the job has been cancelled
    */
   setJobCompleted(jobId, resultData) {
     if (!jobId) {
@@ -154,31 +537,47 @@ class JobManager {
       throw new Error('resultData is required');
     }
 
-    const job = this.jobs.get(jobId);
+    const job = this._update(jobId, job => {
+      this._assertNotCancelled(job);
 
-    if (!job) {
-      throw new Error(`Job ${jobId} not found`);
-    }
+      const now = new Date().toISOString();
 
-    const now = new Date().toISOString();
+      const attempt = this._currentAttempt(job);
+      if (attempt) {
+        attempt.endedAt = now;
+      }
 
-    job.status = 'completed';
-    job.updatedAt = now;
-    job.completedAt = now;
-    job.progress = 100;
-    job.currentStep = 'Completed';
-    job.result = {
-      filename: resultData.filename || null,
-      downloadUrl: resultData.downloadUrl || null,
-      expiresAt: resultData.expiresAt || null,
-      fileSize: resultData.fileSize || null,
-      duration: resultData.duration || null,
-      resolution: resultData.resolution || null,
-    };
-    job.error = null; // Clear any previous errors
+      job.status = 'completed';
+      job.updatedAt = now;
+      job.completedAt = now;
+      job.progress = 100;
+      job.currentStep = 'Completed';
+      job.result = {
+        filename: resultData.filename || null,
+        downloadUrl: resultData.downloadUrl || null,
+        thumbnailUrl: resultData.thumbnailUrl || null,
+        expiresAt: resultData.expiresAt || null,
+        fileSize: resultData.fileSize || null,
+        duration: resultData.duration || null,
+        resolution: resultData.resolution || null,
+        preset: resultData.preset || null,
+        outputFormat: resultData.outputFormat || null,
+        background: resultData.background || null,
+        music: resultData.music || null,
+        video: resultData.video || null,
+        voiceover: resultData.voiceover || null,
+        captions: resultData.captions || null,
+        thread: resultData.thread || null,
+        poster: resultData.poster || null,
+        image: resultData.image || null,
+      };
+      job.error = null; // Clear any previous errors
+    });
 
     console.log(`[JobManager] Job ${jobId} completed successfully`);
     console.log(`[JobManager] Result:`, JSON.stringify(job.result, null, 2));
+
+    this.emit('job:completed', job);
   }
 
   /**
@@ -196,29 +595,195 @@ class JobManager {
       throw new Error('errorMessage is required');
     }
 
-    const job = this.jobs.get(jobId);
+    const job = this._update(jobId, job => {
+      // A cancellation that landed during the attempt stands
+      if (job.status === 'cancelled') {
+        return false;
+      }
 
-    if (!job) {
-      throw new Error(`Job ${jobId} not found`);
-    }
+      const now = new Date().toISOString();
 
-    const now = new Date().toISOString();
+      const attempt = this._currentAttempt(job);
+      if (attempt) {
+        attempt.endedAt = now;
+        attempt.error = errorMessage;
+        attempt.retryable = false;
+      }
 
-    job.status = 'failed';
-    job.updatedAt = now;
-    job.completedAt = now;
-    job.error = {
-      message: errorMessage,
-      stack: errorStack,
-      failedAt: now,
-    };
-    job.result = null; // Clear any partial results
+      job.status = 'failed';
+      job.nextAttemptAt = null;
+      job.updatedAt = now;
+      job.completedAt = now;
+      job.error = {
+        message: errorMessage,
+        stack: errorStack,
+        failedAt: now,
+      };
+      job.result = null; // Clear any partial results
+    });
+
+    if (!job) {
+      console.log(`[JobManager] Job ${jobId} was cancelled, not marking it failed (${errorMessage})`);
+      return;
+    }
 
     console.error(`[JobManager] Job ${jobId} failed: ${errorMessage}`);
 
     if (errorStack) {
       console.error(`[JobManager] Stack trace:`, errorStack);
     }
+
+    this.emit('job:failed', job);
+  }
+
+  /**
+   * Appends an entry to a job's webhook delivery log
+   * @param {string} jobId - The UUID of the job
+   * @param {Object} delivery - Delivery record (event, attempt, url, statusCode, error, deliveredAt, success)
+   */
+  recordWebhookDelivery(jobId, delivery) {
+    if (!jobId) {
+      throw new Error('jobId is required');
+    }
+
+    this._update(jobId, job => {
+      job.webhookDeliveries = job.webhookDeliveries || [];
+      job.webhookDeliveries.push(delivery);
+    });
+
+    console.log(`[JobManager] Job ${jobId} webhook delivery recorded: ${delivery.event} attempt ${delivery.attempt} (${delivery.success ? 'ok' : 'failed'})`);
+  }
+
+  /**
+   * Cancels a pending or processing job
+   * Pending jobs will never be picked up; processing jobs are stopped by the
+   * worker at its next cancellation check.
+   * @param {string} jobId - The UUID of the job
+   * @returns {Object} The cancelled job
+   * @throws {Error} If the job does not exist or has already finished
+   */
+  cancelJob(jobId) {
+    if (!jobId) {
+      throw new Error('jobId is required');
+    }
+
+    let previousStatus = null;
+    const job = this._update(jobId, job => {
+      // Checked on the record being replaced, so a job that a worker
+      // completes concurrently is never reported as cancelled
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        const error = new Error(`Job ${jobId} is already ${job.status} and cannot be cancelled`);
+        error.code = 'JOB_NOT_CANCELLABLE';
+        throw error;
+      }
+
+      const now = new Date().toISOString();
+      previousStatus = job.status;
+
+      const attempt = this._currentAttempt(job);
+      if (attempt) {
+        attempt.endedAt = now;
+        attempt.error = 'Cancelled';
+      }
+
+      job.status = 'cancelled';
+      job.nextAttemptAt = null;
+      job.updatedAt = now;
+      job.completedAt = now;
+      job.cancelledAt = now;
+    });
+
+    console.log(`[JobManager] Job ${jobId} cancelled (was ${previousStatus})`);
+    return job;
+  }
+
+  /**
+   * Checks whether a job has been cancelled
+   * @param {string} jobId - The UUID of the job
+   * @returns {boolean} True if the job exists and is cancelled
+   */
+  isJobCancelled(jobId) {
+    const job = this.store.get(jobId);
+    return Boolean(job && job.status === 'cancelled');
+  }
+
+  /**
+   * Resets jobs that were mid-flight when their worker stopped back to pending
+   * A processing job is only considered interrupted once no worker holds a
+   * live lease on it, so this is safe to call while other worker processes
+   * are running. Used on boot and periodically to recover from dead workers.
+   * A job that has already used all of its attempts is marked failed instead,
+   * so a job that keeps killing its worker cannot loop forever.
+   * @returns {number} Number of jobs re-queued
+   */
+  requeueInterruptedJobs() {
+    let requeuedCount = 0;
+
+    for (const listed of this.store.list()) {
+      if (listed.status !== 'processing') {
+        continue;
+      }
+
+      const lease = this.store.getLease(listed.jobId);
+      if (lease && lease.expiresAt > Date.now()) {
+        continue;
+      }
+      if (lease) {
+        this.store.releaseLease(listed.jobId, lease.ownerId);
+      }
+
+      // The listed copy may be stale (e.g. the job was cancelled since)
+      const reason = lease ? 'Worker lease expired' : 'Interrupted by process restart';
+      const job = this.store.get(listed.jobId) && this._update(listed.jobId, job => {
+        if (job.status !== 'processing') {
+          return false;
+        }
+
+        const now = new Date().toISOString();
+        const exhausted = (job.attempts || 0) >= (job.maxAttempts || this.maxAttempts);
+        const attempt = this._currentAttempt(job);
+        if (attempt) {
+          attempt.endedAt = now;
+          attempt.error = reason;
+          attempt.retryable = !exhausted;
+        }
+
+        job.currentStep = null;
+        job.updatedAt = now;
+
+        if (exhausted) {
+          job.status = 'failed';
+          job.nextAttemptAt = null;
+          job.completedAt = now;
+          job.error = {
+            message: `${reason} after ${job.attempts} attempts`,
+            stack: null,
+            failedAt: now,
+          };
+          job.result = null;
+        } else {
+          job.status = 'pending';
+          job.progress = 0;
+        }
+      });
+
+      if (!job) {
+        continue;
+      }
+
+      if (job.status === 'failed') {
+        console.error(`[JobManager] Job ${job.jobId} failed: ${job.error.message}`);
+        this.emit('job:failed', job);
+      } else {
+        requeuedCount++;
+        console.log(`[JobManager] Re-queued interrupted job ${job.jobId}`);
+      }
+    }
+
+    if (requeuedCount > 0) {
+      console.log(`[JobManager] Recovery completed: re-queued ${requeuedCount} interrupted jobs`);
+    }
+    return requeuedCount;
   }
 
   /**
@@ -226,14 +791,14 @@ class JobManager {
    * @returns {Array} Array of all job objects
    */
   getAllJobs() {
-    const jobs = Array.from(this.jobs.values());
+    const jobs = this.store.list();
     console.log(`[JobManager] Retrieved all jobs: ${jobs.length} total`);
-    return jobs.map(job => ({ ...job })); // Return copies
+    return jobs;
   }
 
   /**
    * Retrieves jobs filtered by status
-   * @param {string} status - Status to filter by: 'pending' | 'processing' | 'completed' | 'failed'
+   * @param {string} status - Status to filter by: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled'
    * @returns {Array} Array of job objects with matching status
    */
   getJobsByStatus(status) {
@@ -241,13 +806,16 @@ class JobManager {
       throw new Error('status is required');
     }
 
-    if (!['pending', 'processing', 'completed', 'failed'].includes(status)) {
-      throw new Error(`Invalid status: ${status}. Must be one of: pending, processing, completed, failed`);
+    if (!JOB_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of: ${JOB_STATUSES.join(', ')}`);
     }
 
-    const jobs = Array.from(this.jobs.values()).filter(job => job.status === status);
+    // Pending jobs are polled by the worker, so they come from the store's index
+    const jobs = status === 'pending'
+      ? this.store.listPendingJobs()
+      : this.store.list().filter(job => job.status === status);
     console.log(`[JobManager] Retrieved jobs with status '${status}': ${jobs.length} found`);
-    return jobs.map(job => ({ ...job })); // Return copies
+    return jobs;
   }
 
   /**
@@ -263,11 +831,12 @@ class JobManager {
     const cutoffTime = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
     let removedCount = 0;
 
-    for (const [jobId, job] of this.jobs.entries()) {
+    for (const job of this.store.list()) {
+      const { jobId } = job;
       const jobCreatedAt = new Date(job.createdAt);
 
       if (jobCreatedAt < cutoffTime) {
-        this.jobs.delete(jobId);
+        this.store.delete(jobId);
         removedCount++;
         console.log(`[JobManager] Removed expired job ${jobId} (created at ${job.createdAt})`);
       }
@@ -282,15 +851,17 @@ class JobManager {
    * @returns {Object} Object with counts for each status and total
    */
   getStats() {
+    const jobs = this.store.list();
     const stats = {
-      total: this.jobs.size,
+      total: jobs.length,
       pending: 0,
       processing: 0,
       completed: 0,
       failed: 0,
+      cancelled: 0,
     };
 
-    for (const job of this.jobs.values()) {
+    for (const job of jobs) {
       if (stats.hasOwnProperty(job.status)) {
         stats[job.status]++;
       }
@@ -300,19 +871,34 @@ class JobManager {
     return stats;
   }
 
+  /**
+   * Counts pending jobs per priority
+   * @returns {Object} Queue depth keyed by priority, e.g. { high: 0, normal: 3, low: 1 }
+   */
+  getQueueDepthByPriority() {
+    const counts = this.store.countPendingByPriority();
+    const depth = {};
+    for (const priority of JOB_PRIORITIES) {
+      depth[priority] = counts[priority] || 0;
+    }
+
+    return depth;
+  }
+
   /**
    * Clears all jobs from the store (useful for testing/reset)
    * @returns {number} Number of jobs cleared
    */
   clearAllJobs() {
-    const count = this.jobs.size;
-    this.jobs.clear();
+    const count = this.store.clear();
     console.log(`[JobManager] Cleared all jobs: ${count} jobs removed`);
     return count;
   }
 }
 
-// Export singleton instance
-const jobManager = new JobManager();
+// Export singleton instance backed by the configured job store (JOB_STORE)
+const jobManager = new JobManager(createDefaultJobStore(), {
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+});
 
-module.exports = { JobManager, jobManager };
+module.exports = { JobManager, jobManager, JOB_STATUSES, TERMINAL_STATUSES, JOB_PRIORITIES, DEFAULT_PRIORITY, JOB_TYPES, DEFAULT_JOB_TYPE };
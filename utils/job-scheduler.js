@@ -0,0 +1,112 @@
+const { JOB_PRIORITIES, DEFAULT_PRIORITY } = require('./job-manager');
+const { DEFAULT_CLIENT_ID } = require('./signature-verifier');
+
+/**
+ * JobScheduler - Picks which pending jobs the worker should start next
+ *
+ * Jobs are ordered by priority first ('high' before 'normal' before 'low').
+ * Within a priority, clients are served round-robin: each pick goes to the
+ * client that was served least recently, taking that client's oldest job.
+ * A client that submits a large batch therefore cannot starve other clients
+ * at the same priority.
+ *
+ * Round-robin state lives in the scheduler instance, so it carries over
+ * between worker polls.
+ */
+class JobScheduler {
+  constructor() {
+    this.sequence = 0;
+    this.lastServed = new Map(); // clientId -> sequence number of its last pick
+  }
+
+  /**
+   * Selects up to `count` jobs to start, in the order they should start
+   * @param {Array<Object>} pendingJobs - Runnable pending jobs
+   * @param {number} count - Number of free worker slots
+   * @returns {Array<Object>} Selected jobs
+   */
+  selectJobs(pendingJobs, count) {
+    const queues = this._buildQueues(pendingJobs);
+    const selected = [];
+
+    while (selected.length < count) {
+      const clientQueues = JOB_PRIORITIES.map(priority => queues.get(priority))
+        .find(byClient => byClient && byClient.size > 0);
+
+      if (!clientQueues) {
+        break;
+      }
+
+      const clientId = this._pickClient(clientQueues);
+      const queue = clientQueues.get(clientId);
+
+      selected.push(queue.shift());
+      if (queue.length === 0) {
+        clientQueues.delete(clientId);
+      }
+
+      this.lastServed.set(clientId, ++this.sequence);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Groups jobs by priority, then by client, each client queue oldest first
+   * @private
+   * @param {Array<Object>} pendingJobs - Runnable pending jobs
+   * @returns {Map<string, Map<string, Array<Object>>>} priority -> clientId -> jobs
+   */
+  _buildQueues(pendingJobs) {
+    const queues = new Map();
+    const sortedJobs = [...pendingJobs].sort(
+      (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+    );
+
+    for (const job of sortedJobs) {
+      const priority = job.priority || DEFAULT_PRIORITY;
+      const clientId = job.clientId || DEFAULT_CLIENT_ID;
+
+      if (!queues.has(priority)) {
+        queues.set(priority, new Map());
+      }
+
+      const byClient = queues.get(priority);
+      if (!byClient.has(clientId)) {
+        byClient.set(clientId, []);
+      }
+
+      byClient.get(clientId).push(job);
+    }
+
+    return queues;
+  }
+
+  /**
+   * Picks the least recently served client; ties go to the client with the oldest job
+   * @private
+   * @param {Map<string, Array<Object>>} clientQueues - clientId -> jobs, oldest first
+   * @returns {string} clientId
+   */
+  _pickClient(clientQueues) {
+    let picked = null;
+
+    for (const [clientId, queue] of clientQueues) {
+      if (picked === null) {
+        picked = { clientId, lastServed: this.lastServed.get(clientId) || 0, createdAt: queue[0].createdAt };
+        continue;
+      }
+
+      const lastServed = this.lastServed.get(clientId) || 0;
+      const isOlder = new Date(queue[0].createdAt) < new Date(picked.createdAt);
+
+      if (lastServed < picked.lastServed || (lastServed === picked.lastServed && isOlder)) {
+        picked = { clientId, lastServed, createdAt: queue[0].createdAt };
+      }
+    }
+
+    return picked.clientId;
+  }
+}
+
+module.exports = { JobScheduler };
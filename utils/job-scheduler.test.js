@@ -0,0 +1,109 @@
+/**
+ * Test suite for JobScheduler
+ * Run with: node utils/job-scheduler.test.js
+ */
+
+const { JobScheduler } = require('./job-scheduler');
+const { createTestSuite, assert, runIfMain } = require('./test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Job Scheduler Test Suite');
+
+/**
+ * Builds pending jobs, created one second apart in the given order
+ * @param {Array<string>} specs - 'clientId' or 'clientId:priority'
+ * @returns {Array<Object>} Jobs with jobIds '<clientId>-<n>'
+ */
+function makeJobs(specs) {
+  const counts = {};
+  return specs.map((spec, index) => {
+    const [clientId, priority] = spec.split(':');
+    counts[clientId] = (counts[clientId] || 0) + 1;
+    return {
+      jobId: `${clientId}-${counts[clientId]}`,
+      clientId,
+      priority,
+      createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, index)).toISOString(),
+    };
+  });
+}
+
+function ids(jobs) {
+  return jobs.map(job => job.jobId).join(',');
+}
+
+async function runTests() {
+  printHeader();
+
+  // Test 1: A large batch does not starve a client that submitted later
+  await test('Clients at the same priority are served round-robin', async () => {
+    const scheduler = new JobScheduler();
+    const jobs = makeJobs(['a', 'a', 'a', 'a', 'b', 'b', 'c']);
+
+    const order = ids(scheduler.selectJobs(jobs, jobs.length));
+    assert(order === 'a-1,b-1,c-1,a-2,b-2,a-3,a-4', `Wrong order: ${order}`);
+  });
+
+  // Test 2: Each client's jobs start oldest first, whatever the input order
+  await test('Jobs within a client are taken oldest first', async () => {
+    const scheduler = new JobScheduler();
+    const jobs = makeJobs(['a', 'b', 'a', 'a']).reverse();
+
+    const order = ids(scheduler.selectJobs(jobs, 4));
+    assert(order === 'a-1,b-1,a-2,a-3', `Wrong order: ${order}`);
+  });
+
+  // Test 3: Priority wins over fairness
+  await test('Higher priorities are drained before lower ones', async () => {
+    const scheduler = new JobScheduler();
+    const jobs = makeJobs(['a:low', 'a:normal', 'b:high', 'a:high', 'b', 'c:low']);
+
+    // Within each priority the least recently served client still goes first
+    const order = ids(scheduler.selectJobs(jobs, jobs.length));
+    assert(order === 'b-1,a-3,b-2,a-2,c-1,a-1', `Wrong order: ${order}`);
+  });
+
+  // Test 4: Round-robin state carries over between polls
+  await test('Fairness carries over between selectJobs calls', async () => {
+    const scheduler = new JobScheduler();
+    const jobs = makeJobs(['a', 'a', 'a', 'b', 'b', 'b']);
+
+    const first = scheduler.selectJobs(jobs, 1);
+    assert(ids(first) === 'a-1', `Wrong first pick: ${ids(first)}`);
+
+    // a was served last, so b goes next even though a's job is older
+    const remaining = jobs.filter(job => !first.includes(job));
+    const second = scheduler.selectJobs(remaining, 1);
+    assert(ids(second) === 'b-1', `Wrong second pick: ${ids(second)}`);
+
+    const rest = scheduler.selectJobs(remaining.filter(job => !second.includes(job)), 4);
+    assert(ids(rest) === 'a-2,b-2,a-3,b-3', `Wrong remaining order: ${ids(rest)}`);
+  });
+
+  // Test 5: Missing fields fall back to the defaults
+  await test('Jobs without priority or clientId use the defaults', async () => {
+    const scheduler = new JobScheduler();
+    const jobs = makeJobs(['a:low', 'x', 'b:normal']);
+    delete jobs[1].clientId;
+    delete jobs[1].priority;
+
+    const order = ids(scheduler.selectJobs(jobs, 3));
+    assert(order === 'x-1,b-1,a-1', `Default priority should be normal: ${order}`);
+    assert(scheduler.lastServed.has('default'), 'Default client should be tracked');
+  });
+
+  // Test 6: Slot count bounds the selection
+  await test('selectJobs returns at most count jobs', async () => {
+    const scheduler = new JobScheduler();
+    const jobs = makeJobs(['a', 'b', 'c']);
+
+    assert(scheduler.selectJobs(jobs, 2).length === 2, 'Should stop at count');
+    assert(scheduler.selectJobs(jobs, 0).length === 0, 'No free slots selects nothing');
+    assert(scheduler.selectJobs([], 5).length === 0, 'Empty queue selects nothing');
+  });
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };
@@ -0,0 +1,178 @@
+/**
+ * JobStore - Base class/interface for job persistence implementations
+ *
+ * Defines the contract that all job stores must implement.
+ * This allows JobManager to keep job records in memory, on disk, etc.
+ *
+ * Methods are synchronous because JobManager exposes a synchronous API
+ * to the HTTP routes and the worker.
+ *
+ * Records carry a `revision` number that save() uses for compare-and-swap:
+ * the API process and worker processes may update the same job, and a write
+ * based on a stale copy must not overwrite a newer one (e.g. a progress
+ * update landing after a cancellation).
+ *
+ * Stores also index records by idempotency key, batch and pending status so
+ * that lookups on the request path do not scan every record.
+ */
+class JobStore {
+  constructor(config = {}) {
+    if (new.target === JobStore) {
+      throw new Error('JobStore is an abstract class and cannot be instantiated directly');
+    }
+    this.config = config;
+  }
+
+  /**
+   * Retrieves a job record
+   * @param {string} jobId - The UUID of the job
+   * @returns {Object|null} The stored job or null if not found
+   */
+  get(jobId) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  /**
+   * Inserts or replaces a job record if it has not changed since it was read
+   * The write succeeds only while the stored revision still equals
+   * job.revision (a missing revision counts as 0, as does a missing record).
+   * On success job.revision is advanced to the stored revision.
+   * @param {Object} job - The full job object (must contain jobId)
+   * @throws {Error} Error with code 'JOB_REVISION_CONFLICT' if the record was changed or deleted meanwhile
+   */
+  save(job) {
+    throw new Error('save() must be implemented by subclass');
+  }
+
+  /**
+   * Deletes a job record
+   * @param {string} jobId - The UUID of the job
+   * @returns {boolean} True if a record was deleted
+   */
+  delete(jobId) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+
+  /**
+   * Lists all job records in creation order
+   * @returns {Array} Array of job objects
+   */
+  list() {
+    throw new Error('list() must be implemented by subclass');
+  }
+
+  /**
+   * Looks up the job a client created with an Idempotency-Key
+   * Served from an index kept up to date by save() and delete(), so callers
+   * do not have to scan every record. The result may be stale; callers
+   * should check the key on the returned job.
+   * @param {string|null} clientId - API client the key belongs to
+   * @param {string} idempotencyKey - The Idempotency-Key header value
+   * @returns {string|null} The jobId, or null if the key is unused
+   */
+  findJobIdByIdempotencyKey(clientId, idempotencyKey) {
+    throw new Error('findJobIdByIdempotencyKey() must be implemented by subclass');
+  }
+
+  /**
+   * Lists the job records of a batch, from the batchId index
+   * @param {string} batchId - The UUID of the batch
+   * @returns {Array} The batch's job objects, in no particular order
+   */
+  listBatchJobs(batchId) {
+    throw new Error('listBatchJobs() must be implemented by subclass');
+  }
+
+  /**
+   * Lists pending job records, from the pending-job index
+   * @returns {Array} Pending job objects in creation order
+   */
+  listPendingJobs() {
+    throw new Error('listPendingJobs() must be implemented by subclass');
+  }
+
+  /**
+   * Counts pending jobs per priority, from the pending-job index
+   * @returns {Object} Counts keyed by priority, e.g. { normal: 3, low: 1 }; priorities without jobs may be absent
+   */
+  countPendingByPriority() {
+    throw new Error('countPendingByPriority() must be implemented by subclass');
+  }
+
+  /**
+   * Removes every job record
+   * @returns {number} Number of records removed
+   */
+  clear() {
+    throw new Error('clear() must be implemented by subclass');
+  }
+
+  /**
+   * Acquires the processing lease on a job
+   * Leases let several worker processes share one queue: only the lease
+   * holder may process a job, and a lease that is not renewed expires so
+   * another worker can recover the job.
+   * Succeeds if the job has no lease, its lease has expired, or ownerId
+   * already holds it (in which case it is renewed).
+   * @param {string} jobId - The UUID of the job
+   * @param {string} ownerId - Identifier of the worker taking the lease
+   * @param {number} ttlMs - Lease duration in milliseconds
+   * @returns {boolean} True if ownerId now holds the lease
+   */
+  acquireLease(jobId, ownerId, ttlMs) {
+    throw new Error('acquireLease() must be implemented by subclass');
+  }
+
+  /**
+   * Extends a lease held by ownerId
+   * @param {string} jobId - The UUID of the job
+   * @param {string} ownerId - Identifier of the worker holding the lease
+   * @param {number} ttlMs - New lease duration from now, in milliseconds
+   * @returns {boolean} False if ownerId no longer holds the lease
+   */
+  renewLease(jobId, ownerId, ttlMs) {
+    throw new Error('renewLease() must be implemented by subclass');
+  }
+
+  /**
+   * Releases a lease held by ownerId
+   * @param {string} jobId - The UUID of the job
+   * @param {string} ownerId - Identifier of the worker holding the lease
+   * @returns {boolean} True if a lease was released
+   */
+  releaseLease(jobId, ownerId) {
+    throw new Error('releaseLease() must be implemented by subclass');
+  }
+
+  /**
+   * Retrieves the current lease on a job, expired or not
+   * @param {string} jobId - The UUID of the job
+   * @returns {Object|null} { ownerId, expiresAt } (expiresAt in epoch ms) or null
+   */
+  getLease(jobId) {
+    throw new Error('getLease() must be implemented by subclass');
+  }
+
+  /**
+   * Compare-and-swap check shared by the save() implementations
+   * @protected
+   * @param {Object|null} current - The stored record, or null if there is none
+   * @param {Object} job - The record being saved
+   * @returns {number} The revision to store the record with
+   * @throws {Error} Error with code 'JOB_REVISION_CONFLICT' if current is not the revision job was based on
+   */
+  _nextRevision(current, job) {
+    const expected = job.revision || 0;
+    const stored = current ? current.revision || 0 : 0;
+
+    if (stored !== expected || (!current && expected > 0)) {
+      const error = new Error(`Job ${job.jobId} was modified concurrently (expected revision ${expected}, found ${current ? stored : 'none'})`);
+      error.code = 'JOB_REVISION_CONFLICT';
+      throw error;
+    }
+
+    return expected + 1;
+  }
+}
+
+module.exports = { JobStore };
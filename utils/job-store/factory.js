@@ -0,0 +1,57 @@
+const { MemoryJobStore } = require('./memory');
+const { FileJobStore } = require('./file');
+
+/**
+ * Creates a job store based on configuration
+ *
+ * Factory function for instantiating job stores with environment-based config.
+ * Supports multiple backends (currently: memory, file).
+ */
+
+/**
+ * Creates a job store instance
+ * @param {string} type - The type of job store ('memory' | 'file')
+ * @param {Object} config - Optional configuration object to override defaults
+ * @returns {JobStore} Job store instance
+ */
+function createJobStore(type = null, config = {}) {
+  // Use environment variable if type not specified
+  const storeType = type || process.env.JOB_STORE || 'memory';
+
+  console.log(`[JobStoreFactory] Creating job store: ${storeType}`);
+
+  // Build configuration from environment variables and overrides
+  const defaultConfig = {
+    jobStorePath: process.env.JOB_STORE_PATH || '/data/jobs',
+  };
+
+  const finalConfig = {
+    ...defaultConfig,
+    ...config,
+  };
+
+  switch (storeType.toLowerCase()) {
+    case 'memory':
+      return new MemoryJobStore(finalConfig);
+
+    case 'file':
+      return new FileJobStore(finalConfig);
+
+    default:
+      console.error(`[JobStoreFactory] Unknown job store type: ${storeType}`);
+      throw new Error(`Unknown job store type: ${storeType}. Supported types: memory, file`);
+  }
+}
+
+/**
+ * Creates a default job store using environment configuration
+ * @returns {JobStore} Job store instance
+ */
+function createDefaultJobStore() {
+  return createJobStore();
+}
+
+module.exports = {
+  createJobStore,
+  createDefaultJobStore,
+};
@@ -0,0 +1,555 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JobStore } = require('./base');
+
+// Record locks are held only for a read-compare-rename; one older than this
+// was left behind by a crashed process
+const RECORD_LOCK_STALE_MS = 10000;
+const RECORD_LOCK_TIMEOUT_MS = 5000;
+const RECORD_LOCK_RETRY_MS = 5;
+const SLEEP_CELL = new Int32Array(new SharedArrayBuffer(4));
+
+// Jobs without a priority are 'normal' (see JobManager)
+const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * FileJobStore - File system-backed job store
+ *
+ * Stores each job as a JSON document (<jobId>.json) in a directory so that
+ * job records survive process restarts and redeploys. Writes go to a
+ * temporary file first and are renamed into place, so a crash mid-write
+ * never leaves a truncated record behind.
+ *
+ * Processing leases live next to the records in leases/<jobId>.lease and are
+ * created with O_EXCL, so several worker processes on the same machine can
+ * share the directory as a queue without claiming the same job twice.
+ *
+ * save() and delete() run under a short per-record lock (locks/<jobId>.lock,
+ * also O_EXCL) so that the revision check and the rename happen as one step
+ * across processes.
+ *
+ * Lookups that would otherwise read every record use marker files under
+ * index/, updated under the same lock:
+ * - index/idempotency/<sha256 of clientId and key> - contains the jobId
+ * - index/batches/<batchId>/<jobId>
+ * - index/pending/<priority>/<jobId>
+ * A crash between a record write and its index update can leave a marker
+ * stale, so readers re-check the records they load through the index.
+ */
+class FileJobStore extends JobStore {
+  /**
+   * Creates a FileJobStore instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.jobStorePath - Directory for job records (default: /data/jobs)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.jobStorePath = config.jobStorePath || '/data/jobs';
+    this.leasePath = path.join(this.jobStorePath, 'leases');
+    this.lockPath = path.join(this.jobStorePath, 'locks');
+    this.indexPath = path.join(this.jobStorePath, 'index');
+
+    let hasIndex = false;
+    try {
+      hasIndex = fs.existsSync(this.indexPath);
+      fs.mkdirSync(this.leasePath, { recursive: true });
+      fs.mkdirSync(this.lockPath, { recursive: true });
+      fs.mkdirSync(this.indexPath, { recursive: true });
+    } catch (error) {
+      console.error(`[FileJobStore] Failed to create job store directory: ${error.message}`);
+      throw new Error(`Failed to initialize job store directory: ${error.message}`);
+    }
+
+    // Directories written before the index existed are indexed once
+    if (!hasIndex) {
+      const jobs = this.list();
+      for (const job of jobs) {
+        this._updateIndex(null, job);
+      }
+      if (jobs.length > 0) {
+        console.log(`[FileJobStore] Indexed ${jobs.length} existing job records`);
+      }
+    }
+
+    console.log(`[FileJobStore] Configured with path: ${this.jobStorePath}`);
+  }
+
+  /**
+   * Gets the index marker path of a client's Idempotency-Key
+   * Keys are client-supplied strings, so the file is named by their hash.
+   * @private
+   * @param {string|null} clientId - API client the key belongs to
+   * @param {string} idempotencyKey - The Idempotency-Key header value
+   * @returns {string} Marker path
+   */
+  _getIdempotencyMarkerPath(clientId, idempotencyKey) {
+    const hash = crypto.createHash('sha256').update(`${clientId || ''}\u0000${idempotencyKey}`).digest('hex');
+    return path.join(this.indexPath, 'idempotency', hash);
+  }
+
+  /**
+   * Lists the index marker files a job record should have
+   * @private
+   * @param {Object|null} job - The job record
+   * @returns {Map<string, string>} Marker path -> file content
+   */
+  _indexEntries(job) {
+    const entries = new Map();
+    if (!job) {
+      return entries;
+    }
+
+    const jobId = path.basename(String(job.jobId));
+    if (job.idempotencyKey) {
+      entries.set(this._getIdempotencyMarkerPath(job.clientId, job.idempotencyKey), jobId);
+    }
+    if (job.batchId) {
+      entries.set(path.join(this.indexPath, 'batches', path.basename(String(job.batchId)), jobId), '');
+    }
+    if (job.status === 'pending') {
+      entries.set(path.join(this.indexPath, 'pending', path.basename(String(job.priority || DEFAULT_PRIORITY)), jobId), '');
+    }
+    return entries;
+  }
+
+  /**
+   * Brings the index markers of a job from its previous to its new state
+   * Only markers that change are touched, so progress updates cost nothing here.
+   * @private
+   * @param {Object|null} previous - The record being replaced (null for a new job)
+   * @param {Object|null} next - The record being written (null when deleting)
+   */
+  _updateIndex(previous, next) {
+    const before = this._indexEntries(previous);
+    const after = this._indexEntries(next);
+
+    for (const [markerPath, content] of before) {
+      if (after.has(markerPath)) {
+        continue;
+      }
+      // Another job may have taken over an idempotency marker; leave it alone
+      try {
+        if (fs.readFileSync(markerPath, 'utf8') === content) {
+          fs.rmSync(markerPath, { force: true });
+          // Drop the directory of a batch once its last job is gone
+          if (path.dirname(path.dirname(markerPath)) === path.join(this.indexPath, 'batches')) {
+            fs.rmdirSync(path.dirname(markerPath));
+          }
+        }
+      } catch (error) {
+        if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+          continue;
+        }
+        if (error.code !== 'ENOENT') {
+          console.warn(`[FileJobStore] Failed to remove index entry ${markerPath}: ${error.message}`);
+        }
+      }
+    }
+
+    for (const [markerPath, content] of after) {
+      if (before.has(markerPath)) {
+        continue;
+      }
+      // Retried once in case another process removed the (then empty) directory in between
+      for (let attempt = 1; ; attempt++) {
+        fs.mkdirSync(path.dirname(markerPath), { recursive: true });
+        try {
+          fs.writeFileSync(markerPath, content);
+          break;
+        } catch (error) {
+          if (error.code !== 'ENOENT' || attempt >= 2) {
+            throw error;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Lists the entries of an index directory
+   * @private
+   * @param {...string} parts - Path below index/
+   * @returns {Array<string>} File names, empty if the directory does not exist
+   */
+  _readIndexDir(...parts) {
+    try {
+      return fs.readdirSync(path.join(this.indexPath, ...parts.map(part => path.basename(String(part)))));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the record path for a job
+   * @private
+   * @param {string} jobId - The job ID
+   * @returns {string} Full record path
+   */
+  _getJobPath(jobId) {
+    if (!jobId) {
+      throw new Error('jobId is required');
+    }
+    // Sanitize jobId to prevent directory traversal
+    return path.join(this.jobStorePath, `${path.basename(String(jobId))}.json`);
+  }
+
+  /**
+   * Gets the lease file path for a job
+   * @private
+   * @param {string} jobId - The job ID
+   * @returns {string} Full lease path
+   */
+  _getLeasePath(jobId) {
+    if (!jobId) {
+      throw new Error('jobId is required');
+    }
+    return path.join(this.leasePath, `${path.basename(String(jobId))}.lease`);
+  }
+
+  /**
+   * Runs fn while holding the record lock of a job
+   * Waits (synchronously, since the store API is synchronous) while another
+   * process holds the lock, and breaks locks left behind by a crash.
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Function} fn - Work to do under the lock
+   * @returns {*} What fn returns
+   */
+  _withRecordLock(jobId, fn) {
+    const lockPath = path.join(this.lockPath, `${path.basename(String(jobId))}.lock`);
+    const deadline = Date.now() + RECORD_LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      let lockAge = 0;
+      try {
+        lockAge = Date.now() - fs.statSync(lockPath).mtimeMs;
+      } catch (error) {
+        continue; // Released between our attempt and the stat
+      }
+
+      if (lockAge > RECORD_LOCK_STALE_MS) {
+        // Move the stale lock aside first, as for leases, so two processes
+        // breaking it at once cannot remove a lock that was just taken
+        const stalePath = `${lockPath}.${this._tempSuffix()}.stale`;
+        try {
+          fs.renameSync(lockPath, stalePath);
+          if (Date.now() - fs.statSync(stalePath).mtimeMs <= RECORD_LOCK_STALE_MS) {
+            fs.linkSync(stalePath, lockPath);
+          }
+        } catch (error) {
+          // Someone else broke or replaced the lock; retry
+        }
+        fs.rmSync(stalePath, { force: true });
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the record lock of job ${jobId}`);
+      }
+      Atomics.wait(SLEEP_CELL, 0, 0, RECORD_LOCK_RETRY_MS);
+    }
+
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Reads a lease file
+   * A lease that cannot be parsed (e.g. caught mid-write, or left truncated by
+   * a crash) is reported with an unknown owner and expires relative to the
+   * file's modification time.
+   * @private
+   * @param {string} leasePath - Lease file path
+   * @param {number} ttlMs - Lease duration assumed for unreadable leases
+   * @returns {Object|null} { ownerId, expiresAt } or null if there is no lease
+   */
+  _readLeaseFile(leasePath, ttlMs = 0) {
+    let content;
+    try {
+      content = fs.readFileSync(leasePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const lease = JSON.parse(content);
+      if (lease && lease.ownerId && typeof lease.expiresAt === 'number') {
+        return lease;
+      }
+    } catch (error) {
+      // Fall through to the mtime-based expiry below
+    }
+
+    try {
+      return { ownerId: null, expiresAt: fs.statSync(leasePath).mtimeMs + ttlMs };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Creates a lease file, failing if one already exists
+   * @private
+   * @param {string} leasePath - Lease file path
+   * @param {string} ownerId - Identifier of the worker taking the lease
+   * @param {number} ttlMs - Lease duration in milliseconds
+   * @returns {boolean} True if the lease file was created
+   */
+  _createLeaseFile(leasePath, ownerId, ttlMs) {
+    try {
+      fs.writeFileSync(leasePath, JSON.stringify({ ownerId, expiresAt: Date.now() + ttlMs }), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Builds a unique suffix for temporary files
+   * The pid alone is not unique when several containers share the directory.
+   * @private
+   * @returns {string} Suffix such as "1234-9f2c1a7e"
+   */
+  _tempSuffix() {
+    return `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Reads and parses a record file
+   * @private
+   * @param {string} filePath - Record path
+   * @returns {Object|null} Parsed job or null if missing/corrupt
+   */
+  _readJobFile(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[FileJobStore] Skipping unreadable job record ${filePath}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  get(jobId) {
+    return this._readJobFile(this._getJobPath(jobId));
+  }
+
+  save(job) {
+    if (!job || !job.jobId) {
+      throw new Error('Job with a jobId is required');
+    }
+
+    const jobPath = this._getJobPath(job.jobId);
+    const tempPath = `${jobPath}.${this._tempSuffix()}.tmp`;
+
+    this._withRecordLock(job.jobId, () => {
+      const previous = this._readJobFile(jobPath);
+      const revision = this._nextRevision(previous, job);
+
+      try {
+        fs.writeFileSync(tempPath, JSON.stringify({ ...job, revision }, null, 2));
+        fs.renameSync(tempPath, jobPath);
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        console.error(`[FileJobStore] Failed to save job ${job.jobId}: ${error.message}`);
+        throw new Error(`Failed to save job: ${error.message}`);
+      }
+
+      job.revision = revision;
+      this._updateIndex(previous, job);
+    });
+  }
+
+  delete(jobId) {
+    const jobPath = this._getJobPath(jobId);
+
+    return this._withRecordLock(jobId, () => {
+      const previous = this._readJobFile(jobPath);
+      try {
+        fs.rmSync(this._getLeasePath(jobId), { force: true });
+        fs.unlinkSync(jobPath);
+        this._updateIndex(previous, null);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        console.error(`[FileJobStore] Failed to delete job ${jobId}: ${error.message}`);
+        throw new Error(`Failed to delete job: ${error.message}`);
+      }
+    });
+  }
+
+  list() {
+    const files = fs.readdirSync(this.jobStorePath).filter(f => f.endsWith('.json'));
+    const jobs = [];
+
+    for (const file of files) {
+      const job = this._readJobFile(path.join(this.jobStorePath, file));
+      if (job) {
+        jobs.push(job);
+      }
+    }
+
+    // Keep insertion order semantics of the in-memory store
+    return jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  clear() {
+    const files = fs.readdirSync(this.jobStorePath).filter(f => f.endsWith('.json'));
+    let count = 0;
+
+    for (const file of files) {
+      try {
+        fs.unlinkSync(path.join(this.jobStorePath, file));
+        count++;
+      } catch (error) {
+        console.warn(`[FileJobStore] Failed to remove ${file}: ${error.message}`);
+      }
+    }
+
+    for (const file of fs.readdirSync(this.leasePath)) {
+      fs.rmSync(path.join(this.leasePath, file), { force: true });
+    }
+
+    fs.rmSync(this.indexPath, { recursive: true, force: true });
+    fs.mkdirSync(this.indexPath, { recursive: true });
+
+    return count;
+  }
+
+  findJobIdByIdempotencyKey(clientId, idempotencyKey) {
+    try {
+      return fs.readFileSync(this._getIdempotencyMarkerPath(clientId, idempotencyKey), 'utf8') || null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  listBatchJobs(batchId) {
+    return this._readIndexDir('batches', batchId)
+      .map(jobId => this.get(jobId))
+      .filter(job => job && job.batchId === batchId);
+  }
+
+  listPendingJobs() {
+    const jobs = [];
+    for (const priority of this._readIndexDir('pending')) {
+      for (const jobId of this._readIndexDir('pending', priority)) {
+        const job = this.get(jobId);
+        if (job && job.status === 'pending') {
+          jobs.push(job);
+        }
+      }
+    }
+
+    return jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  countPendingByPriority() {
+    const counts = {};
+    for (const priority of this._readIndexDir('pending')) {
+      counts[priority] = this._readIndexDir('pending', priority).length;
+    }
+    return counts;
+  }
+
+  acquireLease(jobId, ownerId, ttlMs) {
+    const leasePath = this._getLeasePath(jobId);
+
+    if (this._createLeaseFile(leasePath, ownerId, ttlMs)) {
+      return true;
+    }
+
+    const current = this._readLeaseFile(leasePath, ttlMs);
+    if (current && current.ownerId === ownerId) {
+      return this.renewLease(jobId, ownerId, ttlMs);
+    }
+    if (current && current.expiresAt > Date.now()) {
+      return false;
+    }
+
+    // The lease has expired: move it aside first so that only one of several
+    // competing workers can take over
+    const stalePath = `${leasePath}.${this._tempSuffix()}.stale`;
+    try {
+      fs.renameSync(leasePath, stalePath);
+    } catch (error) {
+      return false;
+    }
+
+    // Another worker may have replaced the expired lease between our read and
+    // the rename; if we moved a live lease, put it back
+    const moved = this._readLeaseFile(stalePath, ttlMs);
+    if (moved && moved.expiresAt > Date.now()) {
+      try {
+        fs.linkSync(stalePath, leasePath);
+      } catch (error) {
+        // A third worker created a new lease meanwhile; theirs wins
+      }
+      fs.rmSync(stalePath, { force: true });
+      return false;
+    }
+
+    fs.rmSync(stalePath, { force: true });
+    return this._createLeaseFile(leasePath, ownerId, ttlMs);
+  }
+
+  renewLease(jobId, ownerId, ttlMs) {
+    const leasePath = this._getLeasePath(jobId);
+    const current = this._readLeaseFile(leasePath, ttlMs);
+
+    if (!current || current.ownerId !== ownerId) {
+      return false;
+    }
+
+    const tempPath = `${leasePath}.${this._tempSuffix()}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ ownerId, expiresAt: Date.now() + ttlMs }));
+    fs.renameSync(tempPath, leasePath);
+    return true;
+  }
+
+  releaseLease(jobId, ownerId) {
+    const leasePath = this._getLeasePath(jobId);
+    const current = this._readLeaseFile(leasePath);
+
+    if (!current || current.ownerId !== ownerId) {
+      return false;
+    }
+
+    fs.rmSync(leasePath, { force: true });
+    return true;
+  }
+
+  getLease(jobId) {
+    return this._readLeaseFile(this._getLeasePath(jobId));
+  }
+}
+
+module.exports = { FileJobStore };
@@ -0,0 +1,25 @@
+/**
+ * Job store utilities for persisting job records
+ *
+ * Provides a pluggable persistence layer behind JobManager with support for:
+ * - In-memory storage (default, lost on restart)
+ * - File-backed storage (survives restarts and redeploys)
+ */
+
+const { JobStore } = require('./base');
+const { MemoryJobStore } = require('./memory');
+const { FileJobStore } = require('./file');
+const { createJobStore, createDefaultJobStore } = require('./factory');
+
+module.exports = {
+  // Base class
+  JobStore,
+
+  // Implementations
+  MemoryJobStore,
+  FileJobStore,
+
+  // Factory functions
+  createJobStore,
+  createDefaultJobStore,
+};
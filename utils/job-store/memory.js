@@ -0,0 +1,175 @@
+const { JobStore } = require('./base');
+
+// Jobs without a priority are 'normal' (see JobManager)
+const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * MemoryJobStore - In-process job store
+ *
+ * Keeps job records in a Map. Fast, but every job is lost when the
+ * process exits. This is the default store.
+ */
+class MemoryJobStore extends JobStore {
+  constructor(config = {}) {
+    super(config);
+    this.jobs = new Map();
+    this.leases = new Map(); // jobId -> { ownerId, expiresAt }
+    this.idempotencyIndex = new Map(); // clientId + key -> jobId
+    this.batchIndex = new Map(); // batchId -> Set of jobIds
+    this.pendingIndex = new Map(); // priority -> Set of pending jobIds
+    console.log('[MemoryJobStore] Initialized with empty job store');
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  save(job) {
+    if (!job || !job.jobId) {
+      throw new Error('Job with a jobId is required');
+    }
+    const previous = this.jobs.get(job.jobId) || null;
+    job.revision = this._nextRevision(previous, job);
+    this.jobs.set(job.jobId, structuredClone(job));
+    this._unindex(previous);
+    this._index(job);
+  }
+
+  delete(jobId) {
+    this.leases.delete(jobId);
+    this._unindex(this.jobs.get(jobId) || null);
+    return this.jobs.delete(jobId);
+  }
+
+  /**
+   * Builds the idempotency index key of a client's Idempotency-Key
+   * @private
+   */
+  _idempotencyKey(clientId, idempotencyKey) {
+    return `${clientId || ''}\u0000${idempotencyKey}`;
+  }
+
+  /**
+   * Adds a job to the indexes
+   * @private
+   * @param {Object} job - The saved job
+   */
+  _index(job) {
+    if (job.idempotencyKey) {
+      this.idempotencyIndex.set(this._idempotencyKey(job.clientId, job.idempotencyKey), job.jobId);
+    }
+    if (job.batchId) {
+      if (!this.batchIndex.has(job.batchId)) {
+        this.batchIndex.set(job.batchId, new Set());
+      }
+      this.batchIndex.get(job.batchId).add(job.jobId);
+    }
+    if (job.status === 'pending') {
+      const priority = job.priority || DEFAULT_PRIORITY;
+      if (!this.pendingIndex.has(priority)) {
+        this.pendingIndex.set(priority, new Set());
+      }
+      this.pendingIndex.get(priority).add(job.jobId);
+    }
+  }
+
+  /**
+   * Removes a job from the indexes
+   * @private
+   * @param {Object|null} job - The stored job being replaced or deleted
+   */
+  _unindex(job) {
+    if (!job) {
+      return;
+    }
+    const key = job.idempotencyKey && this._idempotencyKey(job.clientId, job.idempotencyKey);
+    if (key && this.idempotencyIndex.get(key) === job.jobId) {
+      this.idempotencyIndex.delete(key);
+    }
+    const batch = job.batchId && this.batchIndex.get(job.batchId);
+    if (batch) {
+      batch.delete(job.jobId);
+      if (batch.size === 0) {
+        this.batchIndex.delete(job.batchId);
+      }
+    }
+    const pending = this.pendingIndex.get(job.priority || DEFAULT_PRIORITY);
+    if (pending) {
+      pending.delete(job.jobId);
+    }
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map(job => structuredClone(job));
+  }
+
+  findJobIdByIdempotencyKey(clientId, idempotencyKey) {
+    return this.idempotencyIndex.get(this._idempotencyKey(clientId, idempotencyKey)) || null;
+  }
+
+  listBatchJobs(batchId) {
+    return Array.from(this.batchIndex.get(batchId) || [], jobId => this.get(jobId));
+  }
+
+  listPendingJobs() {
+    const jobs = [];
+    for (const jobIds of this.pendingIndex.values()) {
+      for (const jobId of jobIds) {
+        jobs.push(this.get(jobId));
+      }
+    }
+    return jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  countPendingByPriority() {
+    const counts = {};
+    for (const [priority, jobIds] of this.pendingIndex) {
+      counts[priority] = jobIds.size;
+    }
+    return counts;
+  }
+
+  clear() {
+    const count = this.jobs.size;
+    this.jobs.clear();
+    this.leases.clear();
+    this.idempotencyIndex.clear();
+    this.batchIndex.clear();
+    this.pendingIndex.clear();
+    return count;
+  }
+
+  acquireLease(jobId, ownerId, ttlMs) {
+    const lease = this.leases.get(jobId);
+    if (lease && lease.ownerId !== ownerId && lease.expiresAt > Date.now()) {
+      return false;
+    }
+    this.leases.set(jobId, { ownerId, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  renewLease(jobId, ownerId, ttlMs) {
+    const lease = this.leases.get(jobId);
+    if (!lease || lease.ownerId !== ownerId) {
+      return false;
+    }
+    lease.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  releaseLease(jobId, ownerId) {
+    const lease = this.leases.get(jobId);
+    if (!lease || lease.ownerId !== ownerId) {
+      return false;
+    }
+    return this.leases.delete(jobId);
+  }
+
+  getLease(jobId) {
+    const lease = this.leases.get(jobId);
+    return lease ? { ...lease } : null;
+  }
+}
+
+module.exports = { MemoryJobStore };
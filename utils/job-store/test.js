@@ -0,0 +1,280 @@
+/**
+ * Simple test suite for job stores
+ * Run with: node utils/job-store/test.js
+ */
+
+const { createJobStore } = require('./index');
+const { JobManager } = require('../job-manager');
+const path = require('path');
+const fs = require('fs');
+const { createTestSuite, assert, runIfMain } = require('../test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Job Store Test Suite');
+
+const sampleRequest = {
+  tweetBody: 'Persisted tweet',
+  profilePhotoUrl: 'https://example.com/avatar.jpg',
+  profileName: 'Test User',
+  username: 'testuser',
+  theme: 'dark',
+};
+
+async function runTests() {
+  printHeader();
+
+  const testPath = path.join(__dirname, '../../tmp/test-job-store');
+
+  // Test 1: Base class cannot be instantiated
+  await test('JobStore base class throws on direct instantiation', async () => {
+    const { JobStore } = require('./base');
+    try {
+      new JobStore();
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assert(error.message.includes('abstract class'), 'Wrong error message');
+    }
+  });
+
+  // Test 2: Factory creates both store types
+  await test('Factory creates MemoryJobStore and FileJobStore', async () => {
+    const { MemoryJobStore, FileJobStore } = require('./index');
+    assert(createJobStore('memory') instanceof MemoryJobStore, 'Should be MemoryJobStore');
+    assert(createJobStore('file', { jobStorePath: testPath }) instanceof FileJobStore, 'Should be FileJobStore');
+  });
+
+  // Test 3: Unknown type is rejected
+  await test('Factory rejects unknown store type', async () => {
+    try {
+      createJobStore('redis');
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assert(error.message.includes('Unknown job store type'), 'Wrong error message');
+    }
+  });
+
+  // Test 4: Memory store returns copies
+  await test('MemoryJobStore returns copies of stored jobs', async () => {
+    const store = createJobStore('memory');
+    store.save({ jobId: 'abc', status: 'pending', request: { theme: 'dark' } });
+    const job = store.get('abc');
+    job.request.theme = 'light';
+    assert(store.get('abc').request.theme === 'dark', 'Stored job should not be mutated');
+  });
+
+  // Test 5: File store round-trip
+  await test('FileJobStore saves, lists and deletes jobs', async () => {
+    const store = createJobStore('file', { jobStorePath: testPath });
+    store.clear();
+    store.save({ jobId: 'job-1', status: 'pending', createdAt: '2025-01-01T00:00:00.000Z' });
+    store.save({ jobId: 'job-2', status: 'pending', createdAt: '2025-01-02T00:00:00.000Z' });
+
+    const jobs = store.list();
+    assert(jobs.length === 2, `Expected 2 jobs, got ${jobs.length}`);
+    assert(jobs[0].jobId === 'job-1', 'Jobs should be ordered by createdAt');
+    assert(store.delete('job-1') === true, 'Delete should return true');
+    assert(store.delete('job-1') === false, 'Second delete should return false');
+    assert(store.get('job-1') === null, 'Deleted job should be gone');
+  });
+
+  // Test 6: Jobs survive a new JobManager on the same directory
+  await test('Jobs survive a JobManager restart with FileJobStore', async () => {
+    const first = new JobManager(createJobStore('file', { jobStorePath: testPath }));
+    first.clearAllJobs();
+    const pendingId = first.createJob(sampleRequest);
+    const processingId = first.createJob(sampleRequest);
+    first.updateJobStatus(processingId, 'processing');
+    first.updateJobProgress(processingId, 'composing_video', 60);
+
+    const second = new JobManager(createJobStore('file', { jobStorePath: testPath }));
+    assert(second.getJob(pendingId).status === 'pending', 'Pending job should be restored');
+
+    const requeued = second.requeueInterruptedJobs();
+    assert(requeued === 1, `Expected 1 re-queued job, got ${requeued}`);
+
+    const recovered = second.getJob(processingId);
+    assert(recovered.status === 'pending', 'Interrupted job should be pending again');
+    assert(recovered.progress === 0, 'Interrupted job progress should be reset');
+  });
+
+  // Test 7: Leases are exclusive across store instances sharing a directory
+  await test('FileJobStore leases are exclusive and expire', async () => {
+    const storeA = createJobStore('file', { jobStorePath: testPath });
+    const storeB = createJobStore('file', { jobStorePath: testPath });
+    storeA.clear();
+    storeA.save({ jobId: 'job-lease', status: 'pending', createdAt: '2025-01-01T00:00:00.000Z' });
+
+    assert(storeA.acquireLease('job-lease', 'worker-a', 60000) === true, 'First worker should get the lease');
+    assert(storeB.acquireLease('job-lease', 'worker-b', 60000) === false, 'Second worker should be refused');
+    assert(storeB.renewLease('job-lease', 'worker-b', 60000) === false, 'Non-owner cannot renew');
+    assert(storeA.renewLease('job-lease', 'worker-a', 1) === true, 'Owner can renew');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert(storeB.acquireLease('job-lease', 'worker-b', 60000) === true, 'Expired lease should be taken over');
+    assert(storeA.renewLease('job-lease', 'worker-a', 60000) === false, 'Previous owner has lost the lease');
+    assert(storeB.getLease('job-lease').ownerId === 'worker-b', 'Lease should belong to worker-b');
+
+    storeB.delete('job-lease');
+    assert(storeA.getLease('job-lease') === null, 'Deleting a job removes its lease');
+  });
+
+  // Test 8: Only jobs whose lease expired are re-queued
+  await test('requeueInterruptedJobs skips jobs with a live lease', async () => {
+    const manager = new JobManager(createJobStore('file', { jobStorePath: testPath }));
+    manager.clearAllJobs();
+    const liveId = manager.createJob(sampleRequest);
+    const deadId = manager.createJob(sampleRequest);
+
+    assert(manager.claimJob(liveId, 'worker-live', 60000) === 1, 'Live job should be claimed');
+    assert(manager.claimJob(liveId, 'worker-other', 60000) === null, 'Claimed job cannot be claimed twice');
+    assert(manager.claimJob(deadId, 'worker-dead', 1) === 1, 'Dead job should be claimed');
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const requeued = manager.requeueInterruptedJobs();
+    assert(requeued === 1, `Expected 1 re-queued job, got ${requeued}`);
+    assert(manager.getJob(liveId).status === 'processing', 'Job with live lease should keep running');
+    assert(manager.getJob(deadId).status === 'pending', 'Job with expired lease should be pending again');
+    assert(manager.claimJob(deadId, 'worker-live', 60000) === 2, 'Recovered job can be claimed again');
+  });
+
+  // Test 9: Writes based on a stale copy are rejected
+  await test('Stores reject saves of a stale revision', async () => {
+    for (const [storeA, storeB] of [
+      [createJobStore('file', { jobStorePath: testPath }), createJobStore('file', { jobStorePath: testPath })],
+      (store => [store, store])(createJobStore('memory')),
+    ]) {
+      storeA.clear();
+      storeA.save({ jobId: 'job-cas', status: 'pending', createdAt: '2025-01-01T00:00:00.000Z' });
+
+      const first = storeA.get('job-cas');
+      const second = storeB.get('job-cas');
+      first.status = 'cancelled';
+      storeA.save(first);
+      assert(first.revision === 2, `Expected revision 2, got ${first.revision}`);
+
+      second.progress = 60;
+      try {
+        storeB.save(second);
+        throw new Error('Should have thrown');
+      } catch (error) {
+        assert(error.code === 'JOB_REVISION_CONFLICT', `Wrong error: ${error.message}`);
+      }
+      assert(storeB.get('job-cas').status === 'cancelled', 'Stale write should not overwrite the record');
+
+      storeA.delete('job-cas');
+      try {
+        storeA.save(first);
+        throw new Error('Should have thrown');
+      } catch (error) {
+        assert(error.code === 'JOB_REVISION_CONFLICT', 'Saving a deleted record should conflict');
+      }
+    }
+  });
+
+  // Test 10: A worker process cannot overwrite a cancellation made by the API process
+  await test('Cancellation survives progress, completion and failure from another process', async () => {
+    const api = new JobManager(createJobStore('file', { jobStorePath: testPath }));
+    const worker = new JobManager(createJobStore('file', { jobStorePath: testPath }));
+    api.clearAllJobs();
+    const jobId = api.createJob(sampleRequest);
+
+    assert(worker.claimJob(jobId, 'worker-a', 60000) === 1, 'Job should be claimed');
+    worker.updateJobProgress(jobId, 'generating_screenshot', 20);
+    api.cancelJob(jobId);
+
+    for (const [name, fn] of [
+      ['updateJobProgress', () => worker.updateJobProgress(jobId, 'composing_video', 60)],
+      ['setJobCompleted', () => worker.setJobCompleted(jobId, { filename: 'video.mp4' })],
+    ]) {
+      try {
+        fn();
+        throw new Error(`${name} should have thrown`);
+      } catch (error) {
+        assert(error.code === 'JOB_CANCELLED', `${name}: wrong error: ${error.message}`);
+      }
+    }
+    assert(worker.scheduleJobRetry(jobId, 'Navigation timeout', 0) === null, 'Retry should be skipped');
+    worker.setJobFailed(jobId, 'Boom');
+
+    const job = api.getJob(jobId);
+    assert(job.status === 'cancelled', `Expected cancelled, got ${job.status}`);
+    assert(job.progress === 20, 'Progress after the cancellation should not be recorded');
+    assert(job.result === null && job.error === null, 'Cancelled job should have no result or error');
+  });
+
+  // Test 11: An interrupted job that has used all its attempts fails instead of looping
+  await test('requeueInterruptedJobs fails jobs that are out of attempts', async () => {
+    const manager = new JobManager(createJobStore('file', { jobStorePath: testPath }), { maxAttempts: 2 });
+    manager.clearAllJobs();
+    const jobId = manager.createJob(sampleRequest);
+    const failedEvents = [];
+    manager.on('job:failed', job => failedEvents.push(job.jobId));
+
+    assert(manager.claimJob(jobId, 'worker-a', 1) === 1, 'First attempt should be claimed');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert(manager.requeueInterruptedJobs() === 1, 'Job with attempts left should be re-queued');
+
+    assert(manager.claimJob(jobId, 'worker-b', 1) === 2, 'Second attempt should be claimed');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert(manager.requeueInterruptedJobs() === 0, 'Job out of attempts should not be re-queued');
+
+    const job = manager.getJob(jobId);
+    assert(job.status === 'failed', `Expected failed, got ${job.status}`);
+    assert(job.error.message === 'Worker lease expired after 2 attempts', `Wrong error: ${job.error.message}`);
+    assert(job.attemptHistory[1].retryable === false, 'Last attempt should not be marked retryable');
+    assert(failedEvents.length === 1 && failedEvents[0] === jobId, 'job:failed should be emitted once');
+  });
+
+  // Test 12: Idempotency, batch and pending lookups are served from the store's indexes
+  await test('Stores index jobs by idempotency key, batch and pending priority', async () => {
+    for (const store of [createJobStore('memory'), createJobStore('file', { jobStorePath: testPath })]) {
+      const manager = new JobManager(store);
+      manager.clearAllJobs();
+      const keyedId = manager.createJob({ ...sampleRequest, priority: 'high' }, { clientId: 'client-a', idempotencyKey: 'key-1' });
+      const { batchId, jobIds } = manager.createBatch([sampleRequest, sampleRequest], { clientId: 'client-a' });
+
+      const name = store.constructor.name;
+      assert(manager.findJobByIdempotencyKey('client-a', 'key-1').jobId === keyedId, `${name}: key should find the job`);
+      assert(manager.findJobByIdempotencyKey('client-b', 'key-1') === null, `${name}: keys are per client`);
+      assert(manager.getBatch(batchId).jobs.map(job => job.jobId).join() === jobIds.join(), `${name}: batch should list its jobs in order`);
+
+      let depth = manager.getQueueDepthByPriority();
+      assert(depth.high === 1 && depth.normal === 2 && depth.low === 0, `${name}: wrong depth ${JSON.stringify(depth)}`);
+      assert(manager.getJobsByStatus('pending').length === 3, `${name}: expected 3 pending jobs`);
+
+      manager.claimJob(keyedId, 'worker-a', 60000);
+      manager.cancelJob(jobIds[0]);
+      depth = manager.getQueueDepthByPriority();
+      assert(depth.high === 0 && depth.normal === 1, `${name}: depth should follow status changes ${JSON.stringify(depth)}`);
+      assert(manager.getJobsByStatus('pending')[0].jobId === jobIds[1], `${name}: only the remaining job is pending`);
+
+      store.delete(keyedId);
+      store.delete(jobIds[0]);
+      assert(manager.findJobByIdempotencyKey('client-a', 'key-1') === null, `${name}: deleted job's key should be free`);
+      assert(manager.getBatch(batchId).jobs.length === 1, `${name}: deleted job should leave the batch`);
+    }
+  });
+
+  // Test 13: A directory written before the index existed is indexed on startup
+  await test('FileJobStore indexes existing records on first use', async () => {
+    createJobStore('file', { jobStorePath: testPath }).clear();
+    fs.rmSync(path.join(testPath, 'index'), { recursive: true, force: true });
+    fs.writeFileSync(path.join(testPath, 'legacy.json'), JSON.stringify({
+      jobId: 'legacy', status: 'pending', priority: 'low', batchId: 'batch-legacy', createdAt: '2025-01-01T00:00:00.000Z',
+    }));
+
+    const manager = new JobManager(createJobStore('file', { jobStorePath: testPath }));
+    assert(manager.getQueueDepthByPriority().low === 1, 'Legacy pending job should be counted');
+    assert(manager.getBatch('batch-legacy').jobs[0].jobId === 'legacy', 'Legacy batch should be found');
+  });
+
+  // Cleanup test files
+  await test('Cleanup test directory', async () => {
+    fs.rmSync(testPath, { recursive: true, force: true });
+  });
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };
@@ -0,0 +1,55 @@
+/**
+ * Output presets - Named frame sizes for the platforms videos are published to
+ *
+ * A preset drives every stage of the pipeline together so the output is laid
+ * out for its aspect ratio instead of being letterboxed:
+ * - TemplateRenderer sizes the page and scales the tweet card to the frame
+ * - ScreenshotGenerator uses the frame as its viewport
+ * - VideoComposer scales the background and screenshot to the frame
+ */
+
+const OUTPUT_PRESETS = {
+  reels: { label: 'Instagram Reels', width: 1080, height: 1920, aspectRatio: '9:16' },
+  shorts: { label: 'YouTube Shorts', width: 1080, height: 1920, aspectRatio: '9:16' },
+  tiktok: { label: 'TikTok', width: 1080, height: 1920, aspectRatio: '9:16' },
+  'x-landscape': { label: 'X (Twitter) landscape', width: 1920, height: 1080, aspectRatio: '16:9' },
+  'ig-square': { label: 'Instagram feed (square)', width: 1080, height: 1080, aspectRatio: '1:1' },
+  'ig-portrait': { label: 'Instagram feed (portrait)', width: 1080, height: 1350, aspectRatio: '4:5' },
+  linkedin: { label: 'LinkedIn feed', width: 1080, height: 1350, aspectRatio: '4:5' },
+  'linkedin-landscape': { label: 'LinkedIn landscape', width: 1920, height: 1080, aspectRatio: '16:9' },
+};
+
+// The original (and only) output before presets existed
+const DEFAULT_OUTPUT_PRESET = 'reels';
+
+/**
+ * Checks whether a preset name exists
+ * @param {string} name - Preset name
+ * @returns {boolean}
+ */
+function isValidOutputPreset(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(OUTPUT_PRESETS, name);
+}
+
+/**
+ * Looks up a preset by name
+ * @param {string} [name] - Preset name; defaults to DEFAULT_OUTPUT_PRESET
+ * @returns {Object} { name, label, width, height, aspectRatio }
+ * @throws {Error} If the preset does not exist
+ */
+function getOutputPreset(name = DEFAULT_OUTPUT_PRESET) {
+  const presetName = name || DEFAULT_OUTPUT_PRESET;
+
+  if (!isValidOutputPreset(presetName)) {
+    throw new Error(`Unknown output preset: ${presetName}. Must be one of: ${Object.keys(OUTPUT_PRESETS).join(', ')}`);
+  }
+
+  return { name: presetName, ...OUTPUT_PRESETS[presetName] };
+}
+
+module.exports = {
+  OUTPUT_PRESETS,
+  DEFAULT_OUTPUT_PRESET,
+  isValidOutputPreset,
+  getOutputPreset,
+};
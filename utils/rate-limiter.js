@@ -0,0 +1,98 @@
+/**
+ * RateLimiter - Fixed-window request limits per API client
+ *
+ * Each client (the signing client of a verified request, otherwise the
+ * caller's IP) gets `maxRequests` requests per window. Counters live in
+ * memory, so every server instance enforces its own limit.
+ */
+class RateLimiter {
+  /**
+   * Creates a RateLimiter instance
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.maxRequests=30] - Requests allowed per client per window
+   * @param {number} [options.windowMs=60000] - Window length in milliseconds
+   * @param {string} [options.name='RateLimiter'] - Label used in log messages
+   */
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || 30;
+    this.windowMs = options.windowMs || 60000;
+    this.name = options.name || 'RateLimiter';
+    this.windows = new Map(); // key -> { startedAt, count }
+    this.lastPrunedAt = Date.now();
+  }
+
+  /**
+   * Counts a request against a client's window
+   * @param {string} key - Client key
+   * @returns {Object} { allowed, limit, remaining, resetAt } - resetAt is a timestamp in ms
+   */
+  consume(key) {
+    const now = Date.now();
+    this._prune(now);
+
+    let window = this.windows.get(key);
+    if (!window || now - window.startedAt >= this.windowMs) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+
+    return {
+      allowed: window.count <= this.maxRequests,
+      limit: this.maxRequests,
+      remaining: Math.max(0, this.maxRequests - window.count),
+      resetAt: window.startedAt + this.windowMs,
+    };
+  }
+
+  /**
+   * Express middleware that rejects requests over the limit with 429 Too Many Requests
+   * Place it after verifySignature so requests are counted per signing client.
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const key = req.clientId || req.ip;
+      const { allowed, limit, remaining, resetAt } = this.consume(key);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (!allowed) {
+        console.warn(`[${this.name}] Rate limit exceeded for ${key}`);
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          message: `Rate limit of ${limit} requests per ${Math.round(this.windowMs / 1000)}s exceeded, retry in ${resetSeconds}s`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Drops windows that have ended, at most once per window
+   * @private
+   * @param {number} now - Current time in ms
+   */
+  _prune(now) {
+    if (now - this.lastPrunedAt < this.windowMs) {
+      return;
+    }
+
+    for (const [key, window] of this.windows) {
+      if (now - window.startedAt >= this.windowMs) {
+        this.windows.delete(key);
+      }
+    }
+
+    this.lastPrunedAt = now;
+  }
+}
+
+module.exports = { RateLimiter };
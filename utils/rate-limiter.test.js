@@ -0,0 +1,144 @@
+/**
+ * Test suite for RateLimiter
+ * Time is controlled by replacing Date.now, so window rollover is tested
+ * without waiting.
+ * Run with: node utils/rate-limiter.test.js
+ */
+
+const { RateLimiter } = require('./rate-limiter');
+const { createTestSuite, assert, runIfMain } = require('./test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Rate Limiter Test Suite');
+
+// Fake clock, installed for the duration of runTests()
+const realNow = Date.now;
+let now = 1700000000000;
+
+/**
+ * Runs the limiter's middleware on a minimal request/response pair
+ * @returns {Object} { nextCalled, statusCode, headers, body }
+ */
+function runMiddleware(middleware, req) {
+  const result = { nextCalled: false, statusCode: 200, headers: {}, body: null };
+  const res = {
+    set(name, value) {
+      result.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      result.statusCode = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+
+  middleware(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+}
+
+async function runTests() {
+  printHeader();
+
+  Date.now = () => now;
+
+  // Test 1: Requests up to the limit pass, the next one is refused
+  await test('consume allows maxRequests per window', async () => {
+    const limiter = new RateLimiter({ maxRequests: 3, windowMs: 60000 });
+    const results = [1, 2, 3, 4].map(() => limiter.consume('client-a'));
+
+    assert(results.slice(0, 3).every(result => result.allowed), 'First 3 requests should pass');
+    assert(results[3].allowed === false, 'Fourth request should be refused');
+    assert(results.map(result => result.remaining).join() === '2,1,0,0', 'Remaining should count down to 0');
+    assert(results.every(result => result.limit === 3), 'Limit should be reported');
+    assert(results[0].resetAt === now + 60000, 'Window should reset a windowMs after its first request');
+  });
+
+  // Test 2: The window rolls over once windowMs has passed
+  await test('A new window starts once the old one has ended', async () => {
+    const limiter = new RateLimiter({ maxRequests: 2, windowMs: 10000 });
+    const startedAt = now;
+    limiter.consume('client-a');
+    limiter.consume('client-a');
+
+    now = startedAt + 9999;
+    assert(limiter.consume('client-a').allowed === false, 'Still limited just before the window ends');
+
+    now = startedAt + 10000;
+    const result = limiter.consume('client-a');
+    assert(result.allowed === true, 'Allowed again when the window ends');
+    assert(result.remaining === 1, 'The new window starts with this request');
+    assert(result.resetAt === now + 10000, 'The new window resets a windowMs from now');
+  });
+
+  // Test 3: Each key has its own window
+  await test('Limits are tracked per key', async () => {
+    const limiter = new RateLimiter({ maxRequests: 1, windowMs: 60000 });
+
+    assert(limiter.consume('client-a').allowed === true, 'client-a first request');
+    assert(limiter.consume('client-a').allowed === false, 'client-a is limited');
+    assert(limiter.consume('client-b').allowed === true, 'client-b is not affected by client-a');
+    assert(limiter.consume('203.0.113.7').allowed === true, 'An IP key is separate too');
+  });
+
+  // Test 4: Ended windows are pruned so idle clients do not accumulate
+  await test('Ended windows are pruned', async () => {
+    const limiter = new RateLimiter({ maxRequests: 5, windowMs: 1000 });
+    limiter.consume('client-a');
+    limiter.consume('client-b');
+    assert(limiter.windows.size === 2, 'Two windows should be open');
+
+    now += 1000;
+    limiter.consume('client-c');
+    assert(limiter.windows.size === 1 && limiter.windows.has('client-c'), 'Only the live window should remain');
+  });
+
+  // Test 5: The middleware keys on the signing client and sets the headers
+  await test('middleware counts per clientId, falling back to the IP', async () => {
+    const middleware = new RateLimiter({ maxRequests: 1, windowMs: 60000 }).middleware();
+
+    const first = runMiddleware(middleware, { clientId: 'client-a', ip: '203.0.113.7' });
+    assert(first.nextCalled, 'First request should pass');
+    assert(first.headers['RateLimit-Limit'] === '1', 'RateLimit-Limit should be set');
+    assert(first.headers['RateLimit-Remaining'] === '0', 'RateLimit-Remaining should be set');
+    assert(first.headers['RateLimit-Reset'] === '60', 'RateLimit-Reset should be in seconds');
+
+    // Same IP, different client: separate window
+    assert(runMiddleware(middleware, { clientId: 'client-b', ip: '203.0.113.7' }).nextCalled, 'Other client should pass');
+    // No client: keyed by IP
+    assert(runMiddleware(middleware, { ip: '203.0.113.7' }).nextCalled, 'Unsigned request is keyed by IP');
+    assert(!runMiddleware(middleware, { ip: '203.0.113.7' }).nextCalled, 'Second unsigned request from the IP is limited');
+  });
+
+  // Test 6: Over the limit the middleware answers 429 with Retry-After
+  await test('middleware rejects with 429 and Retry-After', async () => {
+    const middleware = new RateLimiter({ maxRequests: 1, windowMs: 60000, name: 'TestLimiter' }).middleware();
+    runMiddleware(middleware, { clientId: 'client-a' });
+
+    now += 15500;
+    const limited = runMiddleware(middleware, { clientId: 'client-a' });
+
+    assert(limited.nextCalled === false, 'Request should not reach the route');
+    assert(limited.statusCode === 429, `Expected 429, got ${limited.statusCode}`);
+    assert(limited.headers['Retry-After'] === '45', `Retry-After should round up the remaining 44.5s, got ${limited.headers['Retry-After']}`);
+    assert(limited.headers['RateLimit-Reset'] === '45', 'RateLimit-Reset should match Retry-After');
+    assert(limited.body.error === 'Too Many Requests', 'Wrong error');
+    assert(limited.body.message.includes('retry in 45s'), `Wrong message: ${limited.body.message}`);
+    assert(typeof limited.body.timestamp === 'string', 'Error body should carry a timestamp');
+
+    now += 44500;
+    assert(runMiddleware(middleware, { clientId: 'client-a' }).nextCalled, 'Request should pass after Retry-After');
+  });
+
+  Date.now = realNow;
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };
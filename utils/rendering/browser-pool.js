@@ -0,0 +1,336 @@
+const puppeteer = require('puppeteer');
+const { ChromeDetector } = require('../chrome-detector.js');
+
+/**
+ * BrowserPool - Long-lived Chromium instances shared by every render
+ *
+ * Launching Chromium is the slowest part of a render, so browsers are kept
+ * running and each render gets a page in its own browser context (an
+ * incognito-style profile: no cookies, cache or storage leak between renders).
+ *
+ * Lifecycle:
+ * - Browsers are launched lazily, up to `size`; a render goes to an idle
+ *   browser, or the least busy one once the pool is full
+ * - After `maxRenders` renders a browser is retired: it takes no new renders
+ *   and is closed once its last page is released
+ * - A browser that disconnects (crash, killed process) is dropped and replaced
+ *   on the next acquire()
+ * - Idle browsers are health-checked periodically and closed if unresponsive
+ */
+class BrowserPool {
+  /**
+   * Creates a BrowserPool instance
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.size=1] - Maximum number of browsers
+   * @param {number} [options.maxRenders=100] - Renders before a browser is recycled
+   * @param {number} [options.healthCheckIntervalMs=30000] - Interval between health checks of idle browsers (0 disables them)
+   * @param {number} [options.healthCheckTimeoutMs=5000] - Time a browser has to answer a health check
+   */
+  constructor(options = {}) {
+    this.size = options.size || 1;
+    this.maxRenders = options.maxRenders || 100;
+    this.healthCheckIntervalMs = options.healthCheckIntervalMs ?? 30000;
+    this.healthCheckTimeoutMs = options.healthCheckTimeoutMs || 5000;
+
+    this.entries = []; // { id, browser, activePages, renders, retiring, closing, launchedAt }
+    this.launchPromise = null;
+    this.healthCheckTimer = null;
+    this.closed = false;
+    this.nextId = 1;
+    this.counters = { launches: 0, renders: 0, recycled: 0, crashes: 0 };
+  }
+
+  /**
+   * Hands out a fresh page in its own browser context
+   * The caller must call release() when done, even after a failure.
+   * @returns {Promise<Object>} { page, release } - release() closes the context and returns the browser to the pool
+   * @throws {Error} If the pool is shut down or no browser can be launched
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Browser pool is shut down');
+    }
+
+    const entry = await this._getEntry();
+    entry.activePages++;
+
+    let context = null;
+    try {
+      context = await entry.browser.createBrowserContext();
+      const page = await context.newPage();
+
+      let released = false;
+      const release = async () => {
+        if (!released) {
+          released = true;
+          await this._release(entry, context);
+        }
+      };
+
+      return { page, release };
+    } catch (error) {
+      entry.activePages--;
+      if (context) {
+        context.close().catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Closes every browser; acquire() rejects afterwards
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.closed = true;
+    this._stopHealthCheck();
+
+    const entries = this.entries;
+    this.entries = [];
+
+    if (entries.length > 0) {
+      console.log(`[BrowserPool] Shutting down ${entries.length} browser(s)...`);
+    }
+
+    await Promise.all(entries.map(entry => this._close(entry)));
+  }
+
+  /**
+   * Reports pool usage
+   * @returns {Object} { size, maxRenders, browsers, activePages, launches, renders, recycled, crashes }
+   */
+  getStats() {
+    return {
+      size: this.size,
+      maxRenders: this.maxRenders,
+      browsers: this.entries.length,
+      activePages: this.entries.reduce((sum, entry) => sum + entry.activePages, 0),
+      ...this.counters,
+    };
+  }
+
+  /**
+   * Picks the browser for the next render, launching one if needed
+   * @private
+   * @returns {Promise<Object>} Pool entry
+   */
+  async _getEntry() {
+    const available = this.entries
+      .filter(entry => !entry.retiring && !entry.closing && entry.browser.connected)
+      .sort((a, b) => a.activePages - b.activePages);
+
+    if (available.length > 0 && (available[0].activePages === 0 || available.length >= this.size)) {
+      return available[0];
+    }
+
+    // Concurrent acquire() calls share one launch
+    if (!this.launchPromise) {
+      this.launchPromise = this._launch().finally(() => {
+        this.launchPromise = null;
+      });
+    }
+
+    return this.launchPromise;
+  }
+
+  /**
+   * Launches a browser and adds it to the pool
+   * @private
+   * @returns {Promise<Object>} Pool entry
+   */
+  async _launch() {
+    console.log('[BrowserPool] Launching browser...');
+    const browser = await this._launchBrowser();
+
+    const entry = {
+      id: this.nextId++,
+      browser,
+      activePages: 0,
+      renders: 0,
+      retiring: false,
+      closing: false,
+      launchedAt: new Date().toISOString(),
+    };
+
+    browser.on('disconnected', () => this._onDisconnected(entry));
+
+    // shutdown() may have run while the browser was launching
+    if (this.closed) {
+      await this._close(entry);
+      throw new Error('Browser pool is shut down');
+    }
+
+    this.entries.push(entry);
+    this.counters.launches++;
+    this._startHealthCheck();
+    console.log(`[BrowserPool] Browser #${entry.id} launched (${this.entries.length}/${this.size})`);
+
+    return entry;
+  }
+
+  /**
+   * Starts a Chromium process
+   * @private
+   * @returns {Promise<Object>} Puppeteer browser
+   */
+  async _launchBrowser() {
+    const launchOptions = await ChromeDetector.createLaunchOptions(true);
+    return puppeteer.launch(launchOptions);
+  }
+
+  /**
+   * Closes a render's context and recycles the browser once it has done maxRenders
+   * @private
+   * @param {Object} entry - Pool entry the page belongs to
+   * @param {Object} context - Browser context of the render
+   */
+  async _release(entry, context) {
+    entry.activePages--;
+    entry.renders++;
+    this.counters.renders++;
+
+    try {
+      await context.close();
+    } catch (error) {
+      // The browser may already be gone (crash or abort)
+      if (entry.browser.connected) {
+        console.warn(`[BrowserPool] Failed to close context on browser #${entry.id}:`, error.message);
+      }
+    }
+
+    if (!entry.retiring && entry.renders >= this.maxRenders) {
+      entry.retiring = true;
+      console.log(`[BrowserPool] Browser #${entry.id} reached ${this.maxRenders} renders, recycling`);
+    }
+
+    if (entry.retiring && entry.activePages === 0 && !entry.closing) {
+      this._remove(entry);
+      this.counters.recycled++;
+      await this._close(entry);
+    }
+  }
+
+  /**
+   * Drops a browser that disconnected without being closed by the pool
+   * @private
+   * @param {Object} entry - Pool entry
+   */
+  _onDisconnected(entry) {
+    if (entry.closing) {
+      return;
+    }
+
+    entry.closing = true;
+    this._remove(entry);
+    this.counters.crashes++;
+    console.warn(`[BrowserPool] Browser #${entry.id} disconnected unexpectedly, it will be replaced`);
+  }
+
+  /**
+   * Checks that idle browsers still answer, and closes those that do not
+   * A browser may be handed to a render while its check is pending; if it
+   * then fails, it is retired instead, and closed once that render releases it.
+   * @private
+   */
+  async _checkHealth() {
+    const idle = this.entries.filter(entry => entry.activePages === 0 && !entry.closing);
+
+    for (const entry of idle) {
+      let timer = null;
+      try {
+        await Promise.race([
+          entry.browser.version(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`no answer within ${this.healthCheckTimeoutMs}ms`)), this.healthCheckTimeoutMs);
+          }),
+        ]);
+      } catch (error) {
+        // Shut down, disconnected or recycled meanwhile
+        if (entry.closing || !this.entries.includes(entry)) {
+          continue;
+        }
+
+        if (entry.activePages > 0) {
+          console.warn(`[BrowserPool] Browser #${entry.id} failed its health check (${error.message}) but is rendering, retiring it`);
+          entry.retiring = true;
+          continue;
+        }
+
+        console.warn(`[BrowserPool] Browser #${entry.id} failed its health check (${error.message}), closing it`);
+        this._remove(entry);
+        this.counters.crashes++;
+        await this._close(entry);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  /**
+   * Starts the periodic health check (once)
+   * @private
+   */
+  _startHealthCheck() {
+    if (this.healthCheckTimer || !this.healthCheckIntervalMs) {
+      return;
+    }
+
+    this.healthCheckTimer = setInterval(() => {
+      this._checkHealth().catch(error => {
+        console.error('[BrowserPool] Health check failed:', error.message);
+      });
+    }, this.healthCheckIntervalMs);
+
+    // The pool must not keep the process alive
+    this.healthCheckTimer.unref();
+  }
+
+  /**
+   * Stops the periodic health check
+   * @private
+   */
+  _stopHealthCheck() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Removes an entry from the pool
+   * @private
+   * @param {Object} entry - Pool entry
+   */
+  _remove(entry) {
+    this.entries = this.entries.filter(candidate => candidate !== entry);
+  }
+
+  /**
+   * Closes a browser, killing its process if it does not close cleanly
+   * @private
+   * @param {Object} entry - Pool entry
+   */
+  async _close(entry) {
+    entry.closing = true;
+
+    try {
+      await entry.browser.close();
+      console.log(`[BrowserPool] Browser #${entry.id} closed after ${entry.renders} render(s)`);
+    } catch (error) {
+      console.error(`[BrowserPool] Error closing browser #${entry.id}:`, error.message);
+      const browserProcess = entry.browser.process();
+      if (browserProcess) {
+        browserProcess.kill('SIGKILL');
+      }
+    }
+  }
+}
+
+// Shared pool, configured from the environment
+const browserPool = new BrowserPool({
+  size: parseInt(process.env.BROWSER_POOL_SIZE || '1', 10),
+  maxRenders: parseInt(process.env.BROWSER_POOL_MAX_RENDERS || '100', 10),
+  healthCheckIntervalMs: parseInt(process.env.BROWSER_POOL_HEALTH_CHECK_MS || '30000', 10),
+});
+
+module.exports = { BrowserPool, browserPool };
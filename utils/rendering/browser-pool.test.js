@@ -0,0 +1,225 @@
+/**
+ * Test suite for BrowserPool
+ * Browsers are replaced by in-process fakes, so the pool's bookkeeping
+ * (acquire, release, recycling, health checks) is tested without Chromium.
+ * Run with: node utils/rendering/browser-pool.test.js
+ */
+
+const { BrowserPool } = require('./browser-pool');
+const { createTestSuite, assert, runIfMain } = require('../test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Browser Pool Test Suite');
+
+/**
+ * Minimal stand-in for a Puppeteer browser
+ * `version` can be replaced to simulate a hung or failing browser.
+ */
+class FakeBrowser {
+  constructor() {
+    this.connected = true;
+    this.openContexts = 0;
+    this.listeners = {};
+    this.version = async () => 'FakeChrome/1.0';
+  }
+
+  on(event, listener) {
+    this.listeners[event] = listener;
+  }
+
+  async createBrowserContext() {
+    this.openContexts++;
+    return {
+      newPage: async () => ({ browser: this }),
+      close: async () => {
+        this.openContexts--;
+      },
+    };
+  }
+
+  async close() {
+    this.connected = false;
+  }
+
+  // Simulates a crash
+  disconnect() {
+    this.connected = false;
+    this.listeners.disconnected();
+  }
+
+  process() {
+    return null;
+  }
+}
+
+/**
+ * BrowserPool that launches FakeBrowsers
+ */
+class FakeBrowserPool extends BrowserPool {
+  constructor(options) {
+    super({ healthCheckIntervalMs: 0, ...options });
+    this.launched = [];
+  }
+
+  async _launchBrowser() {
+    const browser = new FakeBrowser();
+    this.launched.push(browser);
+    return browser;
+  }
+}
+
+async function runTests() {
+  printHeader();
+
+  // Test 1: Browsers are launched lazily and reused
+  await test('acquire launches a browser once and reuses it', async () => {
+    const pool = new FakeBrowserPool({ size: 2 });
+    assert(pool.getStats().browsers === 0, 'No browser before the first acquire');
+
+    const first = await pool.acquire();
+    await first.release();
+    const second = await pool.acquire();
+
+    assert(pool.launched.length === 1, `Expected 1 launch, got ${pool.launched.length}`);
+    assert(second.page.browser === first.page.browser, 'An idle browser should be reused');
+    assert(pool.getStats().activePages === 1, 'One page should be active');
+
+    await second.release();
+    await second.release(); // Idempotent
+    const stats = pool.getStats();
+    assert(stats.activePages === 0 && stats.renders === 2, `Wrong stats after release: ${JSON.stringify(stats)}`);
+    assert(pool.launched[0].openContexts === 0, 'Release should close the render context');
+    await pool.shutdown();
+  });
+
+  // Test 2: Concurrent renders spread over browsers up to size
+  await test('Concurrent renders use up to size browsers, then share', async () => {
+    const pool = new FakeBrowserPool({ size: 2 });
+    const leases = [];
+    for (let i = 0; i < 3; i++) {
+      leases.push(await pool.acquire());
+    }
+
+    assert(pool.launched.length === 2, `Expected 2 launches, got ${pool.launched.length}`);
+    const perBrowser = pool.entries.map(entry => entry.activePages).sort().join();
+    assert(perBrowser === '1,2', `Renders should go to the least busy browser, got ${perBrowser}`);
+
+    await Promise.all(leases.map(lease => lease.release()));
+    await pool.shutdown();
+  });
+
+  // Test 3: Parallel acquires on an empty pool share one launch
+  await test('Parallel acquires share a single launch', async () => {
+    const pool = new FakeBrowserPool({ size: 1 });
+    const leases = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+
+    assert(pool.launched.length === 1, `Expected 1 launch, got ${pool.launched.length}`);
+    assert(pool.entries[0].activePages === 3, 'All renders should share the browser');
+
+    await Promise.all(leases.map(lease => lease.release()));
+    await pool.shutdown();
+  });
+
+  // Test 4: Browsers are recycled after maxRenders
+  await test('A browser is recycled after maxRenders renders', async () => {
+    const pool = new FakeBrowserPool({ size: 1, maxRenders: 2 });
+
+    await (await pool.acquire()).release();
+    await (await pool.acquire()).release();
+    assert(pool.launched[0].connected === false, 'Browser should be closed after 2 renders');
+    assert(pool.getStats().recycled === 1 && pool.getStats().browsers === 0, 'Browser should leave the pool');
+
+    await (await pool.acquire()).release();
+    assert(pool.launched.length === 2, 'A new browser should be launched');
+    await pool.shutdown();
+  });
+
+  // Test 5: A retiring browser finishes its renders before closing
+  await test('A retiring browser is closed only after its last render', async () => {
+    const pool = new FakeBrowserPool({ size: 1, maxRenders: 1 });
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+
+    await first.release();
+    assert(pool.entries[0].retiring === true, 'Browser should be retiring');
+    assert(pool.launched[0].connected === true, 'Browser should stay open while rendering');
+
+    const third = await pool.acquire();
+    assert(pool.launched.length === 2, 'New renders should go to a new browser');
+
+    await second.release();
+    assert(pool.launched[0].connected === false, 'Browser should close with its last render');
+
+    await third.release();
+    await pool.shutdown();
+  });
+
+  // Test 6: Crashed browsers are replaced
+  await test('A disconnected browser is dropped and replaced', async () => {
+    const pool = new FakeBrowserPool({ size: 1 });
+    await (await pool.acquire()).release();
+
+    pool.launched[0].disconnect();
+    assert(pool.getStats().browsers === 0 && pool.getStats().crashes === 1, 'Crashed browser should leave the pool');
+
+    await (await pool.acquire()).release();
+    assert(pool.launched.length === 2, 'A replacement should be launched');
+    await pool.shutdown();
+  });
+
+  // Test 7: Unresponsive idle browsers are closed
+  await test('Health check closes an idle browser that does not answer', async () => {
+    const pool = new FakeBrowserPool({ size: 1, healthCheckTimeoutMs: 20 });
+    await (await pool.acquire()).release();
+
+    pool.launched[0].version = () => new Promise(() => {});
+    await pool._checkHealth();
+
+    assert(pool.launched[0].connected === false, 'Hung browser should be closed');
+    assert(pool.getStats().browsers === 0, 'Hung browser should leave the pool');
+    await pool.shutdown();
+  });
+
+  // Test 8: A browser acquired during its health check is not closed under the render
+  await test('Health check does not close a browser acquired while it ran', async () => {
+    const pool = new FakeBrowserPool({ size: 1 });
+    await (await pool.acquire()).release();
+
+    let failCheck = null;
+    pool.launched[0].version = () => new Promise((resolve, reject) => {
+      failCheck = () => reject(new Error('Protocol error'));
+    });
+
+    const check = pool._checkHealth();
+    const lease = await pool.acquire();
+    failCheck();
+    await check;
+
+    assert(pool.launched[0].connected === true, 'Browser in use must not be closed');
+    assert(pool.entries[0].retiring === true, 'Browser should be retired instead');
+
+    await lease.release();
+    assert(pool.launched[0].connected === false, 'Browser should be closed once released');
+    await pool.shutdown();
+  });
+
+  // Test 9: No renders after shutdown
+  await test('acquire rejects after shutdown', async () => {
+    const pool = new FakeBrowserPool({ size: 1 });
+    await (await pool.acquire()).release();
+    await pool.shutdown();
+
+    assert(pool.launched[0].connected === false, 'Browsers should be closed');
+    try {
+      await pool.acquire();
+      throw new Error('Should have thrown');
+    } catch (error) {
+      assert(error.message === 'Browser pool is shut down', `Wrong error: ${error.message}`);
+    }
+  });
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };
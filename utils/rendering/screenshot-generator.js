@@ -1,58 +1,114 @@
-const puppeteer = require('puppeteer');
-const { ChromeDetector } = require('../chrome-detector.js');
+const { browserPool } = require('./browser-pool.js');
+
+// Image types Puppeteer can capture -> stored file extension and Content-Type
+const IMAGE_FORMATS = {
+  png: { extension: 'png', contentType: 'image/png' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+};
 
 /**
  * ScreenshotGenerator - Utility for rendering HTML to PNG screenshots using Puppeteer
  *
  * This class handles the generation of high-quality screenshots from HTML content,
- * optimized for social media content (1080x1920 Retina quality).
+ * optimized for social media content (1080x1920 Retina by default, or the frame of an output preset).
+ * Pages come from a BrowserPool, so renders share long-lived browsers.
  */
 class ScreenshotGenerator {
+  /**
+   * @param {Object} [options] - Generator options
+   * @param {BrowserPool} [options.pool] - Pool to take pages from (default: the shared pool)
+   */
+  constructor(options = {}) {
+    this.pool = options.pool || browserPool;
+    this.lease = null;
+    this.aborted = false;
+  }
+
   /**
    * Generate a screenshot from HTML content
    *
    * @param {string} html - The HTML content to render
    * @param {string} outputPath - The file path where the screenshot should be saved
+   * @param {Object} [options] - Capture options
+   * @param {number} [options.width=1080] - Viewport width in CSS pixels
+   * @param {number} [options.height=1920] - Viewport height in CSS pixels
+   * @param {number} [options.scale=2] - Device scale factor; the image is width*scale x height*scale
+   * @param {string} [options.format='png'] - Image type: 'png', 'jpeg' or 'webp'
+   * @param {number} [options.quality] - 1-100, for jpeg and webp
    * @returns {Promise<string>} The output path of the generated screenshot
    * @throws {Error} If screenshot generation fails
    */
-  async generate(html, outputPath) {
+  async generate(html, outputPath, options = {}) {
+    await this._capture(html, outputPath, options);
+    return outputPath;
+  }
+
+  /**
+   * Generate the final screenshot plus one frame per typewriter reveal state
+   * The HTML must come from TemplateRenderer.render() with `reveal: true`.
+   * Frame N shows the words of steps before N, so frame 0 is the empty card
+   * and the final screenshot shows the whole tweet. Hidden words keep their
+   * space, so the layout never shifts between frames.
+   *
+   * @param {string} html - The HTML content to render
+   * @param {string} outputPath - The file path for the final (fully revealed) screenshot
+   * @param {Object} [options] - Capture options (see generate())
+   * @returns {Promise<Object>} { screenshotPath, revealFrames: [{ path, weight }] } where
+   *   weight is the character count (words plus the space after each) of the step revealed after that frame
+   * @throws {Error} If screenshot generation fails
+   */
+  async generateRevealFrames(html, outputPath, options = {}) {
+    const revealFrames = await this._capture(html, outputPath, options, (page) =>
+      this._captureRevealFrames(page, outputPath)
+    );
+
+    return { screenshotPath: outputPath, revealFrames };
+  }
+
+  /**
+   * Render HTML in a pooled page and capture it
+   * @private
+   * @param {string} html - The HTML content to render
+   * @param {string} outputPath - The file path where the screenshot should be saved
+   * @param {Object} options - Capture options (see generate())
+   * @param {Function} [afterCapture] - Called with the page after the screenshot; its result is returned
+   * @returns {Promise<*>} The result of afterCapture, if any
+   */
+  async _capture(html, outputPath, options, afterCapture) {
+    const width = options.width || 1080;
+    const height = options.height || 1920;
+    const scale = options.scale || 2;
+    const format = options.format || 'png';
+
     console.log('[ScreenshotGenerator] Starting screenshot generation');
     console.log(`[ScreenshotGenerator] Output path: ${outputPath}`);
 
-    let browser = null;
+    let lease = null;
 
     try {
-      // Get launch options from ChromeDetector
-      const baseLaunchOptions = await ChromeDetector.createLaunchOptions(true);
-
-      // Enhance launch options with additional args
-      const launchOptions = {
-        ...baseLaunchOptions,
-        args: [
-          ...(baseLaunchOptions.args || []),
-          '--single-process'
-        ]
-      };
-
-      console.log('[ScreenshotGenerator] Launching browser with options:',
-        JSON.stringify(launchOptions, null, 2));
-
-      // Launch browser
-      browser = await puppeteer.launch(launchOptions);
-      console.log('[ScreenshotGenerator] Browser launched successfully');
-
-      // Create new page
-      const page = await browser.newPage();
-      console.log('[ScreenshotGenerator] New page created');
-
-      // Set viewport for optimal social media rendering (1080x1920 Retina)
+      if (this.aborted) {
+        throw new Error('Screenshot generation aborted');
+      }
+
+      // Take a fresh page in its own browser context from the pool
+      lease = await this.pool.acquire();
+      this.lease = lease;
+      const { page } = lease;
+      console.log('[ScreenshotGenerator] Page acquired from browser pool');
+
+      // abort() may have been called while waiting for a browser
+      if (this.aborted) {
+        throw new Error('Screenshot generation aborted');
+      }
+
+      // Set viewport to the output frame (Retina by default for crisp text)
       await page.setViewport({
-        width: 1080,
-        height: 1920,
-        deviceScaleFactor: 2
+        width,
+        height,
+        deviceScaleFactor: scale
       });
-      console.log('[ScreenshotGenerator] Viewport configured: 1080x1920 @ 2x scale');
+      console.log(`[ScreenshotGenerator] Viewport configured: ${width}x${height} @ ${scale}x scale`);
 
       // Set HTML content
       console.log('[ScreenshotGenerator] Setting HTML content...');
@@ -82,13 +138,15 @@ class ScreenshotGenerator {
       console.log('[ScreenshotGenerator] Capturing screenshot...');
       await page.screenshot({
         path: outputPath,
-        type: 'png',
+        type: format,
+        // PNG is lossless and takes no quality
+        ...(format !== 'png' && options.quality ? { quality: options.quality } : {}),
         fullPage: false,
         omitBackground: false
       });
       console.log(`[ScreenshotGenerator] Screenshot saved successfully to: ${outputPath}`);
 
-      return outputPath;
+      return afterCapture ? await afterCapture(page) : undefined;
 
     } catch (error) {
       console.error('[ScreenshotGenerator] Error during screenshot generation:', error);
@@ -96,19 +154,90 @@ class ScreenshotGenerator {
       throw new Error(`Failed to generate screenshot: ${error.message}`);
 
     } finally {
-      // Ensure browser is closed even if an error occurs
-      if (browser) {
+      this.lease = null;
+
+      // Return the page to the pool even if an error occurs
+      if (lease) {
         try {
-          console.log('[ScreenshotGenerator] Closing browser...');
-          await browser.close();
-          console.log('[ScreenshotGenerator] Browser closed successfully');
-        } catch (closeError) {
-          console.error('[ScreenshotGenerator] Error closing browser:', closeError);
+          await lease.release();
+        } catch (releaseError) {
+          console.error('[ScreenshotGenerator] Error releasing page:', releaseError);
           // Don't throw here, just log the error
         }
       }
     }
   }
+
+  /**
+   * Capture one frame per reveal step by hiding the words of later steps
+   * @private
+   * @param {Object} page - Puppeteer page with the rendered HTML
+   * @param {string} outputPath - Final screenshot path; frames are written next to it
+   * @returns {Promise<Array<{path: string, weight: number}>>} Frames in order (empty if the page has no reveal spans)
+   */
+  async _captureRevealFrames(page, outputPath) {
+    // Weighted like caption words (utils/video/captions.js), so burned-in
+    // captions keep pace with the typewriter: +1 for the space typed after each word
+    const stepLengths = await page.evaluate(() => {
+      const lengths = [];
+      document.querySelectorAll('[data-reveal-step]').forEach(word => {
+        const step = Number(word.dataset.revealStep);
+        lengths[step] = (lengths[step] || 0) + word.textContent.length + 1;
+      });
+      return Array.from(lengths, length => length || 0);
+    });
+
+    console.log(`[ScreenshotGenerator] Capturing ${stepLengths.length} reveal frame(s)...`);
+
+    const basePath = outputPath.replace(/\.png$/, '');
+    const frames = [];
+
+    for (let step = 0; step < stepLengths.length; step++) {
+      if (this.aborted) {
+        throw new Error('Screenshot generation aborted');
+      }
+
+      await page.evaluate((visibleSteps) => {
+        document.querySelectorAll('[data-reveal-step]').forEach(word => {
+          word.style.visibility = Number(word.dataset.revealStep) < visibleSteps ? 'visible' : 'hidden';
+        });
+      }, step);
+
+      const framePath = `${basePath}-reveal-${String(step).padStart(3, '0')}.png`;
+      await page.screenshot({
+        path: framePath,
+        type: 'png',
+        fullPage: false,
+        omitBackground: false
+      });
+
+      frames.push({ path: framePath, weight: stepLengths[step] });
+    }
+
+    console.log(`[ScreenshotGenerator] Reveal frames saved next to: ${outputPath}`);
+    return frames;
+  }
+
+  /**
+   * Abort an in-flight generate() call by closing its page's browser context
+   * Pending Puppeteer calls reject, so generate() throws shortly afterwards.
+   * The pooled browser itself keeps running for other renders.
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.aborted = true;
+
+    if (!this.lease) {
+      return;
+    }
+
+    try {
+      console.log('[ScreenshotGenerator] Aborting: closing page...');
+      await this.lease.release();
+    } catch (error) {
+      console.error('[ScreenshotGenerator] Error closing page during abort:', error);
+    }
+  }
 }
 
-module.exports = { ScreenshotGenerator };
+module.exports = { ScreenshotGenerator, IMAGE_FORMATS };
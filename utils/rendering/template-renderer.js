@@ -1,5 +1,30 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { resolveAttachments } = require('./tweet-attachments');
+
+// Frame the template's base sizes (fonts, avatar, padding) are designed for
+const BASE_FRAME = { width: 1080, height: 1920 };
+const BASE_CONTAINER_WIDTH = 900;
+const BASE_CONTAINER_PADDING = { vertical: 60, horizontal: 80 };
+const MAX_CONTAINER_WIDTH = 1500;
+
+// Upper bound on typewriter reveal states; longer tweets reveal several words per step
+const MAX_REVEAL_STEPS = 60;
+
+// Content score (see calculateDynamicFontSizes) of the height attachments take on the base frame
+const ATTACHMENT_SCORES = {
+  media: 250, // 16:9 grid across the card
+  linkCardImage: 250, // 1.91:1 Open Graph image
+  linkCardText: 100, // domain, title and description
+  quoteTweet: 100, // quote header and border
+  quoteMedia: 200, // 16:9 grid inside the quote's padding
+};
+// Quoted text is set smaller, so each character takes less height
+const QUOTE_TEXT_WEIGHT = 0.6;
+const QUOTE_FONT_RATIO = 0.78;
+// Media never takes more than this share of the frame height (landscape frames)
+const MAX_MEDIA_HEIGHT_RATIO = 0.3;
+const MAX_QUOTE_MEDIA_HEIGHT_RATIO = 0.2;
 
 /**
  * TemplateRenderer - A robust utility for rendering HTML templates with dynamic content injection
@@ -114,15 +139,18 @@ class TemplateRenderer {
   /**
    * Calculate dynamic font sizes based on tweet length
    * @param {string} tweetBody - The tweet text content
+   * @param {Object} [attachments] - Resolved attachments (see tweet-attachments.js), which take
+   *   vertical space from the text
    * @returns {Object} Object containing calculated font sizes
    */
-  calculateDynamicFontSizes(tweetBody) {
+  calculateDynamicFontSizes(tweetBody, attachments = null) {
     const length = tweetBody.length;
     const lineCount = tweetBody.split('\n').length;
+    const attachmentScore = this.calculateAttachmentScore(attachments);
 
     // Estimate total content height needed
     // Base calculation on both character count and line count
-    const contentScore = length + (lineCount * 50); // Lines add more height
+    const contentScore = length + (lineCount * 50) + attachmentScore; // Lines add more height
 
     // Define size breakpoints
     // Short tweets (< 150 chars): Large text
@@ -168,7 +196,7 @@ class TemplateRenderer {
       lineHeight = 1.2;
     }
 
-    console.log(`[TemplateRenderer] Dynamic sizing: ${length} chars, ${lineCount} lines, score: ${contentScore}`);
+    console.log(`[TemplateRenderer] Dynamic sizing: ${length} chars, ${lineCount} lines, attachments: ${attachmentScore}, score: ${contentScore}`);
     console.log(`[TemplateRenderer] Font sizes: tweet=${tweetFontSize}px, name=${nameFontSize}px`);
 
     return {
@@ -181,6 +209,67 @@ class TemplateRenderer {
     };
   }
 
+  /**
+   * Estimate the height of a tweet's attachments in content score units
+   * (about one character of text at the largest font size each)
+   * @param {Object} [attachments] - Resolved attachments (see tweet-attachments.js)
+   * @returns {number} Score to add to the text's
+   */
+  calculateAttachmentScore(attachments) {
+    if (!attachments) {
+      return 0;
+    }
+
+    const { media, linkCard, quoteTweet } = attachments;
+    let score = 0;
+
+    if (media) {
+      score += ATTACHMENT_SCORES.media;
+    }
+
+    if (linkCard) {
+      score += ATTACHMENT_SCORES.linkCardText + (linkCard.imageUrl ? ATTACHMENT_SCORES.linkCardImage : 0);
+    }
+
+    if (quoteTweet) {
+      const quoteLines = quoteTweet.tweetBody.split('\n').length;
+      score += ATTACHMENT_SCORES.quoteTweet +
+        Math.round((quoteTweet.tweetBody.length + quoteLines * 50) * QUOTE_TEXT_WEIGHT) +
+        (quoteTweet.media ? ATTACHMENT_SCORES.quoteMedia : 0);
+    }
+
+    return score;
+  }
+
+  /**
+   * Calculate card layout for an output frame
+   * The template is designed for a 1080x1920 frame. Other frames get a card
+   * width that suits them and a scale factor for fonts and spacing based on
+   * the text area available, so the tweet fills square and landscape frames
+   * instead of overflowing or sitting in a narrow column.
+   * @param {number} [width=1080] - Frame width in CSS pixels
+   * @param {number} [height=1920] - Frame height in CSS pixels
+   * @returns {Object} { width, height, containerWidth, scale }
+   */
+  calculateLayout(width = BASE_FRAME.width, height = BASE_FRAME.height) {
+    const horizontalMargin = BASE_FRAME.width - BASE_CONTAINER_WIDTH;
+    const containerWidth = Math.min(width - horizontalMargin, MAX_CONTAINER_WIDTH);
+
+    const baseTextWidth = BASE_CONTAINER_WIDTH - 2 * BASE_CONTAINER_PADDING.horizontal;
+    const textWidth = containerWidth - 2 * BASE_CONTAINER_PADDING.horizontal;
+    const areaRatio = (textWidth * height) / (baseTextWidth * BASE_FRAME.height);
+
+    // Never scale up: the base sizes are already the largest that look right
+    const scale = Math.min(1, Math.sqrt(areaRatio));
+
+    return {
+      width,
+      height,
+      containerWidth,
+      scale: Math.round(scale * 100) / 100,
+    };
+  }
+
   /**
    * Format the current timestamp as "HH:MM · Mon DD, YYYY"
    * @returns {string} Formatted timestamp
@@ -212,45 +301,112 @@ class TemplateRenderer {
    * @param {string} data.profileName - Display name
    * @param {string} data.username - Username without @
    * @param {string} data.tweetBody - Tweet content
+   * @param {Array<Object>} [data.media] - 1-4 images or video thumbnails ({ url, type, alt })
+   * @param {Object} [data.linkCard] - Link preview ({ url, title, description, imageUrl, domain })
+   * @param {Object} [data.quoteTweet] - Quoted tweet ({ profilePhotoUrl, profileName, username, tweetBody, media })
+   * @param {Object} [options] - Rendering options
+   * @param {number} [options.width=1080] - Output frame width (see utils/output-presets.js)
+   * @param {number} [options.height=1920] - Output frame height
+   * @param {boolean} [options.reveal=false] - Wrap tweet words in reveal spans for typewriter frames
    * @returns {Promise<string>} Rendered HTML
    * @throws {Error} If required data fields are missing or template cannot be loaded
    */
-  async render(data) {
+  async render(data, options = {}) {
     try {
       // Validate required data fields
       this._validateData(data);
+      const attachments = resolveAttachments(data);
 
       // Load template (from cache if available)
       const template = await this.loadTemplate();
 
       // Prepare data with proper escaping
       const sanitizedData = this._prepareData(data);
+      if (options.reveal) {
+        sanitizedData.tweetBody = this.wrapRevealWords(data.tweetBody);
+      }
 
       // Generate timestamp
       const timestamp = this.formatTimestamp();
 
-      // Calculate dynamic font sizes based on tweet length
-      const sizes = this.calculateDynamicFontSizes(data.tweetBody);
+      // Calculate dynamic font sizes based on tweet length, scaled to the output frame
+      const sizes = this.calculateDynamicFontSizes(data.tweetBody, attachments);
+      const layout = this.calculateLayout(options.width, options.height);
+      const px = (value) => `${Math.round(value * layout.scale)}px`;
+
+      console.log(`[TemplateRenderer] Layout: ${layout.width}x${layout.height}, card ${layout.containerWidth}px, scale ${layout.scale}`);
 
       // Create dynamic CSS to inject
       const dynamicStyles = `
     <style>
+      body {
+        width: ${layout.width}px !important;
+        height: ${layout.height}px !important;
+      }
+      .tweet-container {
+        max-width: ${layout.containerWidth}px !important;
+        padding: ${px(BASE_CONTAINER_PADDING.vertical)} ${px(BASE_CONTAINER_PADDING.horizontal)} !important;
+      }
+      .tweet-header {
+        margin-bottom: ${px(32)} !important;
+      }
+      .avatar {
+        width: ${px(120)} !important;
+        height: ${px(120)} !important;
+        margin-right: ${px(24)} !important;
+      }
       .tweet-content {
-        font-size: ${sizes.tweetFontSize}px !important;
+        font-size: ${px(sizes.tweetFontSize)} !important;
         line-height: ${sizes.lineHeight} !important;
+        margin-bottom: ${px(32)} !important;
       }
       .author-name {
-        font-size: ${sizes.nameFontSize}px !important;
+        font-size: ${px(sizes.nameFontSize)} !important;
       }
       .username {
-        font-size: ${sizes.usernameFontSize}px !important;
+        font-size: ${px(sizes.usernameFontSize)} !important;
       }
       .tweet-timestamp {
-        font-size: ${sizes.timestampFontSize}px !important;
+        font-size: ${px(sizes.timestampFontSize)} !important;
+        margin-top: ${px(24)} !important;
+        padding-top: ${px(24)} !important;
       }
       .verified-badge {
-        width: ${Math.round(sizes.nameFontSize * 1.05)}px !important;
-        height: ${Math.round(sizes.nameFontSize * 1.05)}px !important;
+        width: ${px(sizes.nameFontSize * 1.05)} !important;
+        height: ${px(sizes.nameFontSize * 1.05)} !important;
+      }
+      .tweet-attachments {
+        gap: ${px(24)} !important;
+        margin-bottom: ${px(32)} !important;
+      }
+      .media-grid, .link-card-image {
+        max-height: ${Math.round(layout.height * MAX_MEDIA_HEIGHT_RATIO)}px !important;
+      }
+      .media-grid, .link-card, .quote-tweet {
+        border-radius: ${px(32)} !important;
+      }
+      .media-play {
+        width: ${px(96)} !important;
+        height: ${px(96)} !important;
+      }
+      .link-card-body {
+        font-size: ${px(sizes.usernameFontSize)} !important;
+        padding: ${px(20)} ${px(24)} !important;
+      }
+      .quote-tweet {
+        padding: ${px(24)} !important;
+        gap: ${px(12)} !important;
+      }
+      .quote-header {
+        font-size: ${px(sizes.usernameFontSize)} !important;
+      }
+      .quote-content {
+        font-size: ${px(sizes.tweetFontSize * QUOTE_FONT_RATIO)} !important;
+        line-height: ${sizes.lineHeight} !important;
+      }
+      .quote-tweet .media-grid {
+        max-height: ${Math.round(layout.height * MAX_QUOTE_MEDIA_HEIGHT_RATIO)}px !important;
+        border-radius: ${px(24)} !important;
       }
     </style>
   </head>`;
@@ -265,6 +421,7 @@ class TemplateRenderer {
         '{{profileName}}': sanitizedData.profileName,
         '{{username}}': sanitizedData.username,
         '{{tweetBody}}': sanitizedData.tweetBody, // Preserves line breaks
+        '{{attachments}}': this.renderAttachments(attachments), // Built from escaped values
         '{{timestamp}}': timestamp, // Generated timestamp is safe
       };
 
@@ -331,6 +488,106 @@ class TemplateRenderer {
     }
   }
 
+  /**
+   * Wrap each word of the tweet in a span tagged with its reveal step
+   * ScreenshotGenerator hides the spans of later steps to capture each
+   * typewriter state. Whitespace is kept outside the spans so the layout
+   * (pre-wrap) is identical in every state.
+   * @param {string} tweetBody - Raw tweet text
+   * @returns {string} Escaped HTML with <span data-reveal-step="N"> words
+   */
+  wrapRevealWords(tweetBody) {
+    const tokens = tweetBody.split(/(\s+)/);
+    const wordCount = tokens.filter(token => token && !/^\s+$/.test(token)).length;
+    const steps = Math.min(wordCount, MAX_REVEAL_STEPS);
+    let wordIndex = 0;
+
+    return tokens.map(token => {
+      if (!token || /^\s+$/.test(token)) {
+        return token;
+      }
+
+      const step = Math.floor((wordIndex++ * steps) / wordCount);
+      return `<span class="reveal-word" data-reveal-step="${step}">${this.escapeHtml(token)}</span>`;
+    }).join('');
+  }
+
+  /**
+   * Build the HTML shown under the tweet text
+   * @param {Object} attachments - Resolved attachments (see tweet-attachments.js)
+   * @returns {string} Escaped HTML, or an empty string when there is nothing to show
+   */
+  renderAttachments(attachments) {
+    const { media, linkCard, quoteTweet } = attachments || {};
+    const parts = [];
+
+    if (media) {
+      parts.push(this._renderMediaGrid(media));
+    }
+
+    if (linkCard) {
+      parts.push(this._renderLinkCard(linkCard));
+    }
+
+    if (quoteTweet) {
+      parts.push(this._renderQuoteTweet(quoteTweet));
+    }
+
+    return parts.length > 0 ? `<div class="tweet-attachments">${parts.join('')}</div>` : '';
+  }
+
+  /**
+   * Lay out 1-4 media items; the media-N class picks Twitter's arrangement
+   * @private
+   * @param {Array<Object>} media - Resolved media items
+   * @returns {string} HTML
+   */
+  _renderMediaGrid(media) {
+    const items = media.map(item => {
+      const play = item.type === 'video'
+        ? '<span class="media-play"><svg viewBox="0 0 24 24" aria-hidden="true"><path d="M8 5v14l11-7z"></path></svg></span>'
+        : '';
+      return `<div class="media-item media-${item.type}"><img src="${this.escapeHtml(item.url)}" alt="${this.escapeHtml(item.alt)}">${play}</div>`;
+    });
+
+    return `<div class="media-grid media-${media.length}">${items.join('')}</div>`;
+  }
+
+  /**
+   * @private
+   * @param {Object} linkCard - Resolved link card
+   * @returns {string} HTML
+   */
+  _renderLinkCard(linkCard) {
+    const image = linkCard.imageUrl
+      ? `<img class="link-card-image" src="${this.escapeHtml(linkCard.imageUrl)}" alt="">`
+      : '';
+    const description = linkCard.description
+      ? `<div class="link-card-description">${this.escapeHtml(linkCard.description)}</div>`
+      : '';
+
+    return `<div class="link-card">${image}<div class="link-card-body">` +
+      `<div class="link-card-domain">${this.escapeHtml(linkCard.domain)}</div>` +
+      `<div class="link-card-title">${this.escapeHtml(linkCard.title)}</div>` +
+      `${description}</div></div>`;
+  }
+
+  /**
+   * @private
+   * @param {Object} quoteTweet - Resolved quoted tweet
+   * @returns {string} HTML
+   */
+  _renderQuoteTweet(quoteTweet) {
+    const media = quoteTweet.media ? this._renderMediaGrid(quoteTweet.media) : '';
+
+    return `<div class="quote-tweet"><div class="quote-header">` +
+      `<img class="quote-avatar" src="${this.escapeHtml(quoteTweet.profilePhotoUrl)}" alt="">` +
+      `<span class="quote-author-name">${this.escapeHtml(quoteTweet.profileName)}</span>` +
+      `<span class="quote-username">@${this.escapeHtml(quoteTweet.username)}</span></div>` +
+      `<div class="quote-content">${this.escapeHtml(quoteTweet.tweetBody)}</div>` +
+      `${media}</div>`;
+  }
+
   /**
    * Prepare and sanitize data for template rendering
    * @private
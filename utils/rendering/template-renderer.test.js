@@ -100,8 +100,52 @@ async function runTests() {
     const containsScript = xssHtml.includes('<script>');
     console.log(`✓ XSS protection working: script tags ${containsScript ? 'NOT escaped (FAIL)' : 'properly escaped'}\n`);
 
-    // Test 11: Cache clearing
-    console.log('Test 11: Cache clearing');
+    // Test 11: Layout follows the output frame
+    console.log('Test 11: Layout for output presets');
+    const portraitLayout = renderer.calculateLayout(1080, 1920);
+    const squareLayout = renderer.calculateLayout(1080, 1080);
+    const landscapeLayout = renderer.calculateLayout(1920, 1080);
+    console.log(`Portrait: card ${portraitLayout.containerWidth}px, scale ${portraitLayout.scale}`);
+    console.log(`Square: card ${squareLayout.containerWidth}px, scale ${squareLayout.scale}`);
+    console.log(`Landscape: card ${landscapeLayout.containerWidth}px, scale ${landscapeLayout.scale}`);
+    const landscapeHtml = await renderer.render(darkData, { width: 1920, height: 1080 });
+    const sizedBody = landscapeHtml.includes('width: 1920px !important') && landscapeHtml.includes('height: 1080px !important');
+    console.log(`✓ Layout scales with the frame: ${portraitLayout.scale === 1 && squareLayout.scale < 1 && sizedBody ? 'yes' : 'NO (FAIL)'}\n`);
+
+    // Test 12: Attachments
+    console.log('Test 12: Media grid, link card and quote tweet');
+    const mediaHtml = await renderer.render({
+      ...darkData,
+      media: [1, 2, 3].map(n => ({ url: `https://example.com/photo-${n}.jpg`, alt: `Photo "${n}"` })),
+      quoteTweet: {
+        profilePhotoUrl: 'https://example.com/quoted.jpg',
+        profileName: '<b>Quoted</b>',
+        username: 'quoted',
+        tweetBody: 'The original take',
+        media: [{ url: 'https://example.com/clip.jpg', type: 'video' }],
+      },
+    });
+    const linkHtml = await renderer.render({
+      ...lightData,
+      linkCard: { url: 'https://www.example.com/post', title: 'A post', imageUrl: 'https://example.com/og.png' },
+    });
+    const laidOut = mediaHtml.includes('media-grid media-3') && mediaHtml.includes('media-grid media-1') &&
+      mediaHtml.includes('media-play') && mediaHtml.includes('alt="Photo &quot;1&quot;"') &&
+      !mediaHtml.includes('<b>Quoted</b>') && linkHtml.includes('link-card-domain">example.com<') &&
+      !darkHtml.includes('<div class="tweet-attachments">') && !/\{\{[^}]+\}\}/.test(mediaHtml);
+    console.log(`✓ Attachments rendered and escaped: ${laidOut ? 'yes' : 'NO (FAIL)'}`);
+    const textOnlySizes = renderer.calculateDynamicFontSizes('Short tweet');
+    const withMediaSizes = renderer.calculateDynamicFontSizes('Short tweet', { media: [{}], linkCard: null, quoteTweet: null });
+    console.log(`✓ Attachments shrink the text: ${withMediaSizes.tweetFontSize < textOnlySizes.tweetFontSize ? 'yes' : 'NO (FAIL)'}`);
+    try {
+      await renderer.render({ ...darkData, media: [], linkCard: { url: 'https://example.com', title: 'Both' } });
+      console.log('✗ Should have thrown an error\n');
+    } catch (error) {
+      console.log(`✓ Error caught: ${error.message}\n`);
+    }
+
+    // Test 13: Cache clearing
+    console.log('Test 13: Cache clearing');
     renderer.clearCache();
     console.log(`✓ Cache cleared: ${!renderer.isCached()}\n`);
 
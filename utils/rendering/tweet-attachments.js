@@ -0,0 +1,201 @@
+/**
+ * Tweet attachments - Media, link cards and quoted tweets shown under the text
+ *
+ * A tweet carries at most one of:
+ * - `media`: 1-4 images or videos, laid out in Twitter's grid arrangements.
+ *   The card is a still, so a video is shown as its thumbnail (`url`) with a
+ *   play button.
+ * - `linkCard`: an Open Graph-style preview of a link (image, domain, title,
+ *   description)
+ * plus, optionally, a `quoteTweet` with its own author, text and media. Quoted
+ * tweets do not nest further.
+ */
+
+const ATTACHMENT_KEYS = ['media', 'linkCard', 'quoteTweet'];
+const MAX_MEDIA_ITEMS = 4;
+const MEDIA_TYPES = ['image', 'video'];
+const MEDIA_ITEM_KEYS = ['url', 'type', 'alt'];
+const LINK_CARD_KEYS = ['url', 'title', 'description', 'imageUrl', 'domain'];
+const QUOTE_TWEET_KEYS = ['profilePhotoUrl', 'profileName', 'username', 'tweetBody', 'media'];
+
+const MAX_URL_LENGTH = 2048;
+const MAX_ALT_LENGTH = 1000;
+const MAX_LINK_TITLE_LENGTH = 300;
+const MAX_LINK_DESCRIPTION_LENGTH = 500;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_QUOTE_BODY_LENGTH = 5000;
+const MAX_PROFILE_NAME_LENGTH = 100;
+
+/**
+ * Validates the attachments of a tweet and fills in the defaults
+ * @param {Object} tweet - Tweet data with optional media, linkCard and quoteTweet
+ * @param {string} [prefix=''] - Prepended to field names in error messages (e.g. 'tweets[2].')
+ * @returns {Object} { media, linkCard, quoteTweet }, each null when absent
+ * @throws {Error} If an attachment is malformed
+ */
+function resolveAttachments(tweet, prefix = '') {
+  const { media, linkCard, quoteTweet } = tweet || {};
+  const hasMedia = media !== undefined && media !== null;
+  const hasLinkCard = linkCard !== undefined && linkCard !== null;
+
+  // Twitter only previews a link when the tweet has no media
+  if (hasMedia && hasLinkCard) {
+    throw new Error(`${prefix}media and ${prefix}linkCard cannot be combined; a tweet shows one or the other`);
+  }
+
+  return {
+    media: hasMedia ? resolveMedia(media, `${prefix}media`) : null,
+    linkCard: hasLinkCard ? resolveLinkCard(linkCard, `${prefix}linkCard`) : null,
+    quoteTweet: quoteTweet !== undefined && quoteTweet !== null ? resolveQuoteTweet(quoteTweet, `${prefix}quoteTweet`) : null,
+  };
+}
+
+/**
+ * Checks whether a tweet has anything to show under its text
+ * @param {Object} attachments - Result of resolveAttachments()
+ * @returns {boolean}
+ */
+function hasAttachments(attachments) {
+  return Boolean(attachments && (attachments.media || attachments.linkCard || attachments.quoteTweet));
+}
+
+/**
+ * @private
+ * @param {*} media - Request value
+ * @param {string} field - Field name for error messages
+ * @returns {Array<{url: string, type: string, alt: string}>}
+ */
+function resolveMedia(media, field) {
+  if (!Array.isArray(media) || media.length === 0 || media.length > MAX_MEDIA_ITEMS) {
+    throw new Error(`${field} must be an array of 1-${MAX_MEDIA_ITEMS} items`);
+  }
+
+  return media.map((item, index) => {
+    const itemField = `${field}[${index}]`;
+    assertObject(item, itemField, MEDIA_ITEM_KEYS);
+
+    const type = item.type === undefined ? 'image' : item.type;
+    if (!MEDIA_TYPES.includes(type)) {
+      throw new Error(`${itemField}.type must be one of: ${MEDIA_TYPES.join(', ')}`);
+    }
+
+    return {
+      url: resolveUrl(item.url, `${itemField}.url`),
+      type,
+      alt: resolveText(item.alt, `${itemField}.alt`, MAX_ALT_LENGTH) || '',
+    };
+  });
+}
+
+/**
+ * @private
+ * @param {*} linkCard - Request value
+ * @param {string} field - Field name for error messages
+ * @returns {{url: string, title: string, description: string|null, imageUrl: string|null, domain: string}}
+ */
+function resolveLinkCard(linkCard, field) {
+  assertObject(linkCard, field, LINK_CARD_KEYS);
+
+  const url = resolveUrl(linkCard.url, `${field}.url`);
+  const title = resolveText(linkCard.title, `${field}.title`, MAX_LINK_TITLE_LENGTH);
+  if (!title) {
+    throw new Error(`${field}.title is required and must be a string of at most ${MAX_LINK_TITLE_LENGTH} characters`);
+  }
+
+  return {
+    url,
+    title,
+    description: resolveText(linkCard.description, `${field}.description`, MAX_LINK_DESCRIPTION_LENGTH),
+    imageUrl: linkCard.imageUrl === undefined || linkCard.imageUrl === null ? null : resolveUrl(linkCard.imageUrl, `${field}.imageUrl`),
+    // Shown like Twitter does: the bare host of the link
+    domain: resolveText(linkCard.domain, `${field}.domain`, MAX_DOMAIN_LENGTH) || new URL(url).hostname.replace(/^www\./, ''),
+  };
+}
+
+/**
+ * @private
+ * @param {*} quoteTweet - Request value
+ * @param {string} field - Field name for error messages
+ * @returns {{profilePhotoUrl: string, profileName: string, username: string, tweetBody: string, media: Array|null}}
+ */
+function resolveQuoteTweet(quoteTweet, field) {
+  assertObject(quoteTweet, field, QUOTE_TWEET_KEYS);
+
+  const profileName = resolveText(quoteTweet.profileName, `${field}.profileName`, MAX_PROFILE_NAME_LENGTH);
+  const username = resolveText(quoteTweet.username, `${field}.username`, MAX_PROFILE_NAME_LENGTH);
+  const tweetBody = resolveText(quoteTweet.tweetBody, `${field}.tweetBody`, MAX_QUOTE_BODY_LENGTH);
+
+  for (const [key, value] of [['profileName', profileName], ['username', username], ['tweetBody', tweetBody]]) {
+    if (!value) {
+      throw new Error(`${field}.${key} is required and must be a non-empty string`);
+    }
+  }
+
+  return {
+    profilePhotoUrl: resolveUrl(quoteTweet.profilePhotoUrl, `${field}.profilePhotoUrl`),
+    profileName,
+    username,
+    tweetBody,
+    media: quoteTweet.media === undefined || quoteTweet.media === null ? null : resolveMedia(quoteTweet.media, `${field}.media`),
+  };
+}
+
+/**
+ * @private
+ * @throws {Error} If value is not a plain object or has keys outside allowedKeys
+ */
+function assertObject(value, field, allowedKeys) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${field} must be an object`);
+  }
+
+  const unknownKey = Object.keys(value).find(key => !allowedKeys.includes(key));
+  if (unknownKey) {
+    throw new Error(`${field}.${unknownKey} is not supported. Allowed fields: ${allowedKeys.join(', ')}`);
+  }
+}
+
+/**
+ * @private
+ * @returns {string} The URL, if it is http(s)
+ * @throws {Error} If value is not an http(s) URL of at most MAX_URL_LENGTH characters
+ */
+function resolveUrl(value, field) {
+  let parsed = null;
+  try {
+    parsed = typeof value === 'string' && value.length <= MAX_URL_LENGTH ? new URL(value) : null;
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`${field} must be a valid http(s) URL of at most ${MAX_URL_LENGTH} characters`);
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @returns {string|null} The trimmed text, or null if absent or blank
+ * @throws {Error} If value is not a string of at most maxLength characters
+ */
+function resolveText(value, field, maxLength) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new Error(`${field} must be a string of at most ${maxLength} characters`);
+  }
+
+  return value.trim() || null;
+}
+
+module.exports = {
+  ATTACHMENT_KEYS,
+  MAX_MEDIA_ITEMS,
+  MEDIA_TYPES,
+  resolveAttachments,
+  hasAttachments,
+};
@@ -9,17 +9,68 @@ const crypto = require('crypto');
  * Required Environment Variables:
  * - HMAC_SECRET: Secret key for HMAC signature generation/validation
  *
+ * Optional Environment Variables:
+ * - HMAC_CLIENT_SECRETS: Additional per-client keys as "clientId:secret" pairs,
+ *   comma-separated. The key that matches a request identifies its client
+ *   (req.clientId); requests signed with HMAC_SECRET get the 'default' client.
+ *
  * Required Request Headers:
  * - X-Signature: Hex-encoded HMAC-SHA256 signature
  * - X-Timestamp: Unix timestamp (seconds since epoch)
  *
  * Signature Format: HMAC-SHA256(timestamp:jsonBody, secret)
+ *
+ * Reads (verifyReadSignature) have no body and sign the request line instead:
+ * HMAC-SHA256(timestamp:GET /path, secret). For clients that cannot set
+ * headers (EventSource), the timestamp and signature may be sent as the
+ * `timestamp` and `signature` query parameters.
  */
 
 // Constants
 const TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000; // 5 minutes
 const SIGNATURE_HEADER = 'x-signature';
 const TIMESTAMP_HEADER = 'x-timestamp';
+const DEFAULT_CLIENT_ID = 'default';
+
+/**
+ * Builds the list of accepted signing keys from the environment
+ *
+ * @returns {Array<{clientId: string, secret: string}>} Accepted keys, HMAC_SECRET first
+ */
+function getSigningKeys() {
+  const keys = [];
+
+  if (process.env.HMAC_SECRET) {
+    keys.push({ clientId: DEFAULT_CLIENT_ID, secret: process.env.HMAC_SECRET });
+  }
+
+  const clientSecrets = process.env.HMAC_CLIENT_SECRETS || '';
+  for (const entry of clientSecrets.split(',')) {
+    const separatorIndex = entry.indexOf(':');
+    if (separatorIndex <= 0) {
+      continue;
+    }
+
+    const clientId = entry.slice(0, separatorIndex).trim();
+    const secret = entry.slice(separatorIndex + 1).trim();
+    if (clientId && secret) {
+      keys.push({ clientId, secret });
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Looks up the signing key of an API client
+ *
+ * @param {string} clientId - Client ID ('default' for HMAC_SECRET)
+ * @returns {string|null} The client's secret, or null if it has no key configured
+ */
+function getClientSecret(clientId) {
+  const key = getSigningKeys().find(candidate => candidate.clientId === clientId);
+  return key ? key.secret : null;
+}
 
 /**
  * Generates an HMAC-SHA256 signature for a given timestamp and body
@@ -136,13 +187,51 @@ function validateTimestamp(timestamp) {
  * app.use(verifySignature);
  */
 function verifySignature(req, res, next) {
+  authenticate(req, res, next, {
+    signature: req.headers[SIGNATURE_HEADER],
+    timestamp: req.headers[TIMESTAMP_HEADER],
+    payload: req.body || {}
+  });
+}
+
+/**
+ * Express middleware for HMAC verification of body-less reads (GET)
+ *
+ * The signed message is the request line ("GET /job/<id>"), so a signature
+ * only reads the resource it was made for and never passes for a write.
+ * The timestamp and signature come from the usual headers, or from the
+ * `timestamp` and `signature` query parameters.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function verifyReadSignature(req, res, next) {
+  const query = req.query || {};
+
+  authenticate(req, res, next, {
+    signature: req.headers[SIGNATURE_HEADER] || (typeof query.signature === 'string' ? query.signature : undefined),
+    timestamp: req.headers[TIMESTAMP_HEADER] || (typeof query.timestamp === 'string' ? query.timestamp : undefined),
+    payload: `${req.method} ${req.baseUrl}${req.path}`
+  });
+}
+
+/**
+ * Verifies a signature over a payload and identifies the signing client
+ * @private
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {Object} credentials - { signature, timestamp, payload } where payload is the signed body
+ */
+function authenticate(req, res, next, { signature, timestamp, payload }) {
   const startTime = Date.now();
 
   try {
-    // Get HMAC secret from environment
-    const secret = process.env.HMAC_SECRET;
+    // Get HMAC secret(s) from environment
+    const keys = getSigningKeys();
 
-    if (!secret) {
+    if (keys.length === 0) {
       console.error('[HMAC] HMAC_SECRET environment variable not configured');
       return res.status(500).json({
         error: 'Server configuration error',
@@ -150,10 +239,6 @@ function verifySignature(req, res, next) {
       });
     }
 
-    // Extract headers (case-insensitive)
-    const signature = req.headers[SIGNATURE_HEADER];
-    const timestamp = req.headers[TIMESTAMP_HEADER];
-
     // Validate required headers presence
     if (!signature) {
       console.warn('[HMAC] Missing X-Signature header', {
@@ -195,13 +280,13 @@ function verifySignature(req, res, next) {
       });
     }
 
-    // Get request body (ensure it's available)
-    const body = req.body || {};
-
-    // Generate expected signature
-    let expectedSignature;
+    // Generate expected signatures, one per accepted key
+    let expectedSignatures;
     try {
-      expectedSignature = generateSignature(timestamp, body, secret);
+      expectedSignatures = keys.map(key => ({
+        clientId: key.clientId,
+        signature: generateSignature(timestamp, payload, key.secret)
+      }));
     } catch (error) {
       console.error('[HMAC] Error generating signature', {
         error: error.message,
@@ -215,17 +300,23 @@ function verifySignature(req, res, next) {
       });
     }
 
-    // Perform timing-safe signature comparison
-    const isValid = timingSafeEqual(signature.toLowerCase(), expectedSignature.toLowerCase());
+    // Perform timing-safe signature comparison against every key
+    const receivedSignature = String(signature).toLowerCase();
+    let clientId = null;
+    for (const expected of expectedSignatures) {
+      if (timingSafeEqual(receivedSignature, expected.signature) && clientId === null) {
+        clientId = expected.clientId;
+      }
+    }
 
-    if (!isValid) {
+    if (clientId === null) {
       console.warn('[HMAC] Signature verification failed', {
         ip: req.ip,
         path: req.path,
         method: req.method,
         timestamp,
         receivedSignatureLength: signature.length,
-        expectedSignatureLength: expectedSignature.length
+        expectedSignatureLength: expectedSignatures[0].signature.length
       });
       return res.status(401).json({
         error: 'Invalid signature',
@@ -239,12 +330,14 @@ function verifySignature(req, res, next) {
       ip: req.ip,
       path: req.path,
       method: req.method,
+      clientId,
       verificationTimeMs: verificationTime
     });
 
     // Add verification metadata to request object for downstream use
     req.hmacVerified = true;
     req.hmacTimestamp = Number(timestamp);
+    req.clientId = clientId;
 
     // Continue to next middleware
     next();
@@ -265,8 +358,49 @@ function verifySignature(req, res, next) {
   }
 }
 
+/**
+ * Express middleware that binds a signed request to its URL parameters
+ *
+ * The signature covers the timestamp and body only, so a request whose target
+ * is in the path (e.g. DELETE /job/:jobId) must repeat those parameters in its
+ * signed body. Otherwise a captured signature could be replayed against any
+ * other path within the timestamp tolerance. Place it after verifySignature.
+ *
+ * @param {...string} names - Route parameters the body must repeat
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * // The client signs { "jobId": "<id>" }
+ * app.delete('/job/:jobId', verifySignature, requireSignedParams('jobId'), handler);
+ */
+function requireSignedParams(...names) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const mismatch = names.find(name => body[name] !== req.params[name]);
+
+    if (mismatch) {
+      console.warn('[HMAC] Signed body does not match URL parameter', {
+        ip: req.ip,
+        path: req.path,
+        method: req.method,
+        parameter: mismatch
+      });
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: `The signed body must contain "${mismatch}" matching the URL (${names.join(', ')})`
+      });
+    }
+
+    next();
+  };
+}
+
 // Exports
 module.exports = {
   verifySignature,
-  generateSignature
+  verifyReadSignature,
+  requireSignedParams,
+  generateSignature,
+  getClientSecret,
+  DEFAULT_CLIENT_ID
 };
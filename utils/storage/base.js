@@ -17,6 +17,7 @@ class StorageProvider {
    * @param {string} filename - The name of the file to save
    * @param {Buffer} buffer - The file content as a buffer
    * @param {Object} metadata - Optional metadata about the file
+   *   (metadata.ttlHours overrides the provider's TTL for this file)
    * @returns {Promise<Object>} Object containing save result (path, size, etc.)
    */
   async save(filename, buffer, metadata = {}) {
@@ -79,8 +79,10 @@ class LocalStorageProvider extends StorageProvider {
       return false;
     }
 
+    // Files saved with their own TTL keep it
+    const ttlHours = metadata.ttlHours || this.ttlHours;
     const createdAt = new Date(metadata.createdAt);
-    const expiresAt = new Date(createdAt.getTime() + this.ttlHours * 60 * 60 * 1000);
+    const expiresAt = new Date(createdAt.getTime() + ttlHours * 60 * 60 * 1000);
     const now = new Date();
 
     return now > expiresAt;
@@ -91,6 +93,7 @@ class LocalStorageProvider extends StorageProvider {
    * @param {string} filename - The name of the file to save
    * @param {Buffer} buffer - The file content as a buffer
    * @param {Object} metadata - Optional metadata about the file
+   *   (metadata.ttlHours overrides the provider's TTL for this file)
    * @returns {Promise<Object>} Object containing save result
    */
   async save(filename, buffer, metadata = {}) {
@@ -116,14 +119,15 @@ class LocalStorageProvider extends StorageProvider {
 
       // Prepare and save metadata
       const now = new Date().toISOString();
+      const ttlHours = metadata.ttlHours || this.ttlHours;
       const fileMetadata = {
         filename: sanitizedFilename,
         size: buffer.length,
         createdAt: now,
         updatedAt: now,
-        expiresAt: new Date(Date.now() + this.ttlHours * 60 * 60 * 1000).toISOString(),
-        ttlHours: this.ttlHours,
         ...metadata,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString(),
+        ttlHours,
       };
 
       await fs.writeFile(metadataPath, JSON.stringify(fileMetadata, null, 2));
@@ -6,36 +6,12 @@
 const { createStorageProvider } = require('./index');
 const path = require('path');
 const fs = require('fs').promises;
+const { createTestSuite, assert, runIfMain } = require('../test-harness');
 
-// Test counters
-let passed = 0;
-let failed = 0;
-
-// Helper function to run a test
-async function test(name, fn) {
-  try {
-    await fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (error) {
-    console.error(`✗ ${name}`);
-    console.error(`  Error: ${error.message}`);
-    failed++;
-  }
-}
-
-// Helper function to assert
-function assert(condition, message) {
-  if (!condition) {
-    throw new Error(message || 'Assertion failed');
-  }
-}
+const { test, printHeader, printResults } = createTestSuite('Storage Provider Test Suite');
 
 async function runTests() {
-  console.log('='.repeat(80));
-  console.log('Storage Provider Test Suite');
-  console.log('='.repeat(80));
-  console.log();
+  printHeader();
 
   // Setup test storage
   const testPath = path.join(__dirname, '../../tmp/test-storage');
@@ -190,6 +166,20 @@ async function runTests() {
     assert(count >= 1, 'Should have cleaned up at least 1 file');
   });
 
+  // Test 17: Per-file TTL overrides the provider TTL
+  await test('Files saved with their own ttlHours expire on it', async () => {
+    const saveResult = await storage.save('short-lived.png', Buffer.from('image'), { ttlHours: 0.0001 });
+    assert(saveResult.metadata.ttlHours === 0.0001, 'Metadata should record the file TTL');
+    assert(new Date(saveResult.metadata.expiresAt) - Date.now() < 1000, 'expiresAt should follow the file TTL');
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const count = await storage.cleanupExpiredFiles();
+    assert(count >= 1, 'Should have cleaned up the short-lived file');
+    assert(!(await storage.exists('short-lived.png')), 'Short-lived file should be gone');
+    assert(await storage.exists('test-file.mp4'), 'Files on the provider TTL should remain');
+  });
+
   // Cleanup test files
   await test('Cleanup test directory', async () => {
     await storage.delete('test-file.mp4');
@@ -203,31 +193,9 @@ async function runTests() {
     }
   });
 
-  // Print results
-  console.log();
-  console.log('='.repeat(80));
-  console.log(`Test Results: ${passed} passed, ${failed} failed`);
-  console.log('='.repeat(80));
-
-  return failed === 0;
+  return printResults();
 }
 
-// Run tests if executed directly
-if (require.main === module) {
-  runTests()
-    .then(success => {
-      if (success) {
-        console.log('\n✓ All tests passed!');
-        process.exit(0);
-      } else {
-        console.error('\n✗ Some tests failed!');
-        process.exit(1);
-      }
-    })
-    .catch(error => {
-      console.error('\n✗ Test suite error:', error);
-      process.exit(1);
-    });
-}
+runIfMain(module, runTests);
 
 module.exports = { runTests };
@@ -0,0 +1,100 @@
+/**
+ * Minimal harness shared by the utility test suites
+ *
+ * Suites are plain node scripts (e.g. node utils/storage/test.js). They run
+ * their tests in order, print a ✓/✗ line per test and a summary, and exit
+ * non-zero when a test failed. Each suite also exports runTests(), which
+ * resolves to whether every test passed.
+ */
+
+/**
+ * Creates the counters and output of one test suite
+ * @param {string} title - Suite name printed in the header
+ * @returns {Object} { test, printHeader, printResults }
+ */
+function createTestSuite(title) {
+  let passed = 0;
+  let failed = 0;
+
+  /**
+   * Runs a test and records whether it passed
+   * @param {string} name - Test description
+   * @param {Function} fn - Test body; fails by throwing
+   */
+  async function test(name, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}`);
+      console.error(`  Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function printHeader() {
+    console.log('='.repeat(80));
+    console.log(title);
+    console.log('='.repeat(80));
+    console.log();
+  }
+
+  /**
+   * Prints the pass/fail counts
+   * @returns {boolean} Whether every test passed
+   */
+  function printResults() {
+    console.log();
+    console.log('='.repeat(80));
+    console.log(`Test Results: ${passed} passed, ${failed} failed`);
+    console.log('='.repeat(80));
+
+    return failed === 0;
+  }
+
+  return { test, printHeader, printResults };
+}
+
+/**
+ * Throws unless a condition holds
+ * @param {*} condition - Value that must be truthy
+ * @param {string} [message] - Error message
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+/**
+ * Runs a suite and exits with its result when the suite file is executed directly
+ * @param {Object} suiteModule - The suite's `module`
+ * @param {Function} runTests - Resolves to true when every test passed
+ */
+function runIfMain(suiteModule, runTests) {
+  if (require.main !== suiteModule) {
+    return;
+  }
+
+  runTests()
+    .then(success => {
+      if (success) {
+        console.log('\n✓ All tests passed!');
+        process.exit(0);
+      } else {
+        console.error('\n✗ Some tests failed!');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('\n✗ Test suite error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createTestSuite,
+  assert,
+  runIfMain,
+};
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+
+/**
+ * TTSProvider - Base class/interface for text-to-speech engines
+ *
+ * Defines the contract that all TTS providers must implement.
+ * This allows the worker to narrate tweets with a local engine (espeak-ng)
+ * or, later, a hosted service without changing the video pipeline.
+ *
+ * Providers write a WAV file and report its duration, which the video
+ * composer uses to stretch the video to fit the narration.
+ */
+class TTSProvider {
+  constructor(config = {}) {
+    if (new.target === TTSProvider) {
+      throw new Error('TTSProvider is an abstract class and cannot be instantiated directly');
+    }
+    this.config = config;
+  }
+
+  /**
+   * Synthesizes speech for a text
+   * @param {string} text - Text to read aloud
+   * @param {string} outputPath - Where to write the WAV file
+   * @param {Object} [options] - Voice options
+   * @param {string} [options.voice] - Provider-specific voice name
+   * @param {number} [options.rate] - Speaking rate in words per minute
+   * @returns {Promise<{path: string, duration: number}>} The WAV path and its duration in seconds
+   */
+  async synthesize(text, outputPath, options = {}) {
+    throw new Error('synthesize() must be implemented by subclass');
+  }
+
+  /**
+   * Checks whether the engine can run on this machine
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    throw new Error('isAvailable() must be implemented by subclass');
+  }
+
+  /**
+   * Stops an in-flight synthesize() call
+   * synthesize() rejects shortly afterwards; later calls are not affected.
+   */
+  abort() {
+    throw new Error('abort() must be implemented by subclass');
+  }
+
+  /**
+   * Gets the provider name
+   * @returns {string}
+   */
+  getName() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Reads the duration of a PCM WAV file from its header
+   * Engines that stream to disk may leave the data size unset, so the
+   * remaining file length is used when the header value is implausible.
+   * @protected
+   * @param {string} wavPath - Path to the WAV file
+   * @returns {Promise<number>} Duration in seconds
+   * @throws {Error} If the file is not a WAV file
+   */
+  async _readWavDuration(wavPath) {
+    const buffer = await fs.readFile(wavPath);
+
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error(`Not a WAV file: ${wavPath}`);
+    }
+
+    let byteRate = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const dataStart = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        byteRate = buffer.readUInt32LE(dataStart + 8);
+      } else if (chunkId === 'data') {
+        if (!byteRate) {
+          break;
+        }
+        const available = buffer.length - dataStart;
+        const dataSize = chunkSize > 0 && chunkSize <= available ? chunkSize : available;
+        return dataSize / byteRate;
+      }
+
+      offset = dataStart + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error(`WAV file has no readable audio data: ${wavPath}`);
+  }
+}
+
+module.exports = { TTSProvider };
@@ -0,0 +1,140 @@
+const { spawn } = require('child_process');
+const { TTSProvider } = require('./base');
+
+/**
+ * EspeakTTSProvider - Offline text-to-speech using espeak-ng
+ *
+ * Runs the espeak-ng binary locally, so narration works without network
+ * access or API keys. The text is passed on stdin rather than as an
+ * argument, so tweet content can never be read as a command-line option.
+ *
+ * Install: apt-get install espeak-ng (Debian/Ubuntu), brew install espeak-ng (macOS)
+ */
+class EspeakTTSProvider extends TTSProvider {
+  /**
+   * Creates an EspeakTTSProvider instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.binaryPath - espeak-ng executable (default: espeak-ng on PATH)
+   * @param {string} config.voice - Default voice (default: en-us)
+   * @param {number} config.rate - Default speaking rate in words per minute (default: 160)
+   * @param {number} config.timeoutMs - Maximum synthesis time (default: 30000)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.binaryPath = config.binaryPath || 'espeak-ng';
+    this.voice = config.voice || 'en-us';
+    this.rate = config.rate || 160;
+    this.timeoutMs = config.timeoutMs || 30000;
+    this.process = null;
+    this.aborted = false;
+
+    console.log(`[EspeakTTSProvider] Initialized (binary: ${this.binaryPath}, voice: ${this.voice}, rate: ${this.rate} wpm)`);
+  }
+
+  /**
+   * Synthesizes speech for a text
+   * @param {string} text - Text to read aloud
+   * @param {string} outputPath - Where to write the WAV file
+   * @param {Object} [options] - Voice options
+   * @param {string} [options.voice] - espeak-ng voice, e.g. 'en-us' or 'en-gb+f3'
+   * @param {number} [options.rate] - Speaking rate in words per minute
+   * @returns {Promise<{path: string, duration: number}>}
+   * @throws {Error} If espeak-ng is missing, fails or times out
+   */
+  async synthesize(text, outputPath, options = {}) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('Invalid text: must be a non-empty string');
+    }
+    // abort() only stops the call in flight; the provider stays usable
+    this.aborted = false;
+
+    const voice = options.voice || this.voice;
+    const rate = options.rate || this.rate;
+
+    console.log(`[EspeakTTSProvider] Synthesizing ${text.length} characters (voice: ${voice}, rate: ${rate} wpm)`);
+
+    await this._run(['-v', voice, '-s', String(rate), '-w', outputPath, '--stdin'], text);
+
+    const duration = await this._readWavDuration(outputPath);
+    console.log(`[EspeakTTSProvider] Voiceover saved to ${outputPath} (${duration.toFixed(2)}s)`);
+
+    return { path: outputPath, duration };
+  }
+
+  /**
+   * Checks whether espeak-ng can be executed
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    try {
+      await this._run(['--version'], '');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stops an in-flight synthesize() call by killing espeak-ng
+   */
+  abort() {
+    this.aborted = true;
+
+    if (this.process) {
+      console.log('[EspeakTTSProvider] Aborting: killing espeak-ng process...');
+      this.process.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Runs espeak-ng with text on stdin
+   * @private
+   * @param {Array<string>} args - Command-line arguments
+   * @param {string} input - Text written to stdin
+   * @returns {Promise<void>}
+   */
+  _run(args, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binaryPath, args, { stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true });
+      this.process = child;
+
+      let stderr = '';
+      const timer = setTimeout(() => child.kill('SIGKILL'), this.timeoutMs);
+
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        this.process = null;
+        if (error.code === 'ENOENT') {
+          reject(new Error(`espeak-ng not found at "${this.binaryPath}". Install espeak-ng or set TTS_ESPEAK_PATH`));
+        } else {
+          reject(new Error(`espeak-ng failed to start: ${error.message}`));
+        }
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        this.process = null;
+
+        if (this.aborted) {
+          reject(new Error('Speech synthesis aborted'));
+        } else if (signal) {
+          reject(new Error(`espeak-ng timed out after ${this.timeoutMs}ms`));
+        } else if (code !== 0) {
+          reject(new Error(`espeak-ng exited with code ${code}: ${stderr.trim()}`));
+        } else {
+          resolve();
+        }
+      });
+
+      // espeak-ng may exit before reading stdin (e.g. --version)
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    });
+  }
+}
+
+module.exports = { EspeakTTSProvider };
@@ -0,0 +1,56 @@
+const { EspeakTTSProvider } = require('./espeak');
+
+/**
+ * Creates a TTS provider based on configuration
+ *
+ * Factory function for instantiating text-to-speech engines with environment-based config.
+ * Supports multiple engines (currently: espeak).
+ */
+
+/**
+ * Creates a TTS provider instance
+ * @param {string} type - The type of provider ('espeak')
+ * @param {Object} config - Optional configuration object to override defaults
+ * @returns {TTSProvider} TTS provider instance
+ */
+function createTTSProvider(type = null, config = {}) {
+  // Use environment variable if type not specified
+  const providerType = type || process.env.TTS_PROVIDER || 'espeak';
+
+  console.log(`[TTSFactory] Creating TTS provider: ${providerType}`);
+
+  // Build configuration from environment variables and overrides
+  const defaultConfig = {
+    binaryPath: process.env.TTS_ESPEAK_PATH || 'espeak-ng',
+    voice: process.env.TTS_VOICE || 'en-us',
+    rate: parseInt(process.env.TTS_RATE) || 160,
+    timeoutMs: parseInt(process.env.TTS_TIMEOUT_MS) || 30000,
+  };
+
+  const finalConfig = {
+    ...defaultConfig,
+    ...config,
+  };
+
+  switch (providerType.toLowerCase()) {
+    case 'espeak':
+      return new EspeakTTSProvider(finalConfig);
+
+    default:
+      console.error(`[TTSFactory] Unknown TTS provider type: ${providerType}`);
+      throw new Error(`Unknown TTS provider type: ${providerType}. Supported types: espeak`);
+  }
+}
+
+/**
+ * Creates a default TTS provider using environment configuration
+ * @returns {TTSProvider} TTS provider instance
+ */
+function createDefaultTTSProvider() {
+  return createTTSProvider();
+}
+
+module.exports = {
+  createTTSProvider,
+  createDefaultTTSProvider,
+};
@@ -0,0 +1,22 @@
+/**
+ * Text-to-speech utilities for tweet voiceovers
+ *
+ * Provides a pluggable speech engine behind the video worker with support for:
+ * - espeak-ng (default, offline, no API keys)
+ */
+
+const { TTSProvider } = require('./base');
+const { EspeakTTSProvider } = require('./espeak');
+const { createTTSProvider, createDefaultTTSProvider } = require('./factory');
+
+module.exports = {
+  // Base class
+  TTSProvider,
+
+  // Implementations
+  EspeakTTSProvider,
+
+  // Factory functions
+  createTTSProvider,
+  createDefaultTTSProvider,
+};
@@ -136,9 +136,9 @@ function isValidFilename(filename) {
     return false;
   }
 
-  // Validate extension - must be .mp4 for video files
+  // Validate extension - video and animation files, plus sidecar captions
   const extension = parts[parts.length - 1].toLowerCase();
-  const allowedExtensions = ['mp4', 'mov', 'avi', 'webm']; // Add more if needed
+  const allowedExtensions = ['mp4', 'mov', 'avi', 'webm', 'gif', 'webp', 'png', 'jpg', 'vtt', 'srt']; // Add more if needed
 
   if (!allowedExtensions.includes(extension)) {
     console.warn(`[URL Generator] Validation failed: invalid extension .${extension} (allowed: ${allowedExtensions.join(', ')})`);
@@ -0,0 +1,290 @@
+/**
+ * Captions - Timed subtitles for the tweet text
+ *
+ * Words are timed to whatever speaks or shows the text: the voiceover, or the
+ * typewriter reveal. Neither gives per-word timestamps, so each word gets a
+ * share of the span proportional to its length (the same weighting the reveal
+ * uses). Words are grouped into short cues for display.
+ *
+ * Output:
+ * - WebVTT or SRT sidecar files, saved next to the MP4 in storage
+ * - An ASS script for burning in with FFmpeg's `subtitles` filter, which is
+ *   the only output that carries the font, size and colours
+ */
+
+const CAPTION_MODES = ['sidecar', 'burn', 'both'];
+const CAPTION_FORMATS = ['vtt', 'srt'];
+const CAPTION_POSITIONS = ['bottom', 'center', 'top'];
+
+const DEFAULT_CAPTION_OPTIONS = {
+  mode: 'sidecar',
+  format: 'vtt',
+  font: 'Liberation Sans',
+  fontSize: null, // 6% of the frame's shorter side
+  position: 'bottom',
+  highlight: true,
+  highlightColor: '#FFD400',
+};
+
+const CAPTION_OPTION_KEYS = Object.keys(DEFAULT_CAPTION_OPTIONS);
+const FONT_PATTERN = /^[a-zA-Z0-9 _-]{1,64}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const FONT_SIZE_RANGE = [8, 200];
+
+// A cue holds at most this many words / characters, and ends after a sentence
+const MAX_CUE_WORDS = 7;
+const MAX_CUE_CHARS = 42;
+
+// Distance of bottom/top captions from the frame edge, as a share of its height
+const VERTICAL_MARGIN = 0.08;
+
+// ASS \an alignment (numpad layout, horizontally centred)
+const ASS_ALIGNMENT = { bottom: 2, center: 5, top: 8 };
+
+// WebVTT line position
+const VTT_LINE = { bottom: null, center: '50%', top: '10%' };
+
+/**
+ * Validates caption options and fills in the defaults
+ * @param {Object|boolean} options - Request options, or true for the defaults
+ * @returns {Object} Complete options (mode, format, font, fontSize, position, highlight, highlightColor)
+ * @throws {Error} If an option is unknown or invalid
+ */
+function resolveCaptionOptions(options) {
+  const input = options === true ? {} : options;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('captions must be true or an object');
+  }
+
+  const unknownKey = Object.keys(input).find(key => !CAPTION_OPTION_KEYS.includes(key));
+  if (unknownKey) {
+    throw new Error(`captions.${unknownKey} is not supported. Allowed options: ${CAPTION_OPTION_KEYS.join(', ')}`);
+  }
+
+  const config = { ...DEFAULT_CAPTION_OPTIONS };
+  for (const key of CAPTION_OPTION_KEYS) {
+    if (input[key] !== undefined && input[key] !== null) {
+      config[key] = input[key];
+    }
+  }
+
+  if (!CAPTION_MODES.includes(config.mode)) {
+    throw new Error(`captions.mode must be one of: ${CAPTION_MODES.join(', ')}`);
+  }
+
+  if (!CAPTION_FORMATS.includes(config.format)) {
+    throw new Error(`captions.format must be one of: ${CAPTION_FORMATS.join(', ')}`);
+  }
+
+  if (!CAPTION_POSITIONS.includes(config.position)) {
+    throw new Error(`captions.position must be one of: ${CAPTION_POSITIONS.join(', ')}`);
+  }
+
+  if (typeof config.font !== 'string' || !FONT_PATTERN.test(config.font)) {
+    throw new Error('captions.font must be a font family name of 1-64 letters, digits, spaces, "_" or "-"');
+  }
+
+  const [minSize, maxSize] = FONT_SIZE_RANGE;
+  if (config.fontSize !== null && (!Number.isInteger(config.fontSize) || config.fontSize < minSize || config.fontSize > maxSize)) {
+    throw new Error(`captions.fontSize must be an integer between ${minSize} and ${maxSize} (pixels)`);
+  }
+
+  if (typeof config.highlight !== 'boolean') {
+    throw new Error('captions.highlight must be a boolean');
+  }
+
+  if (typeof config.highlightColor !== 'string' || !COLOR_PATTERN.test(config.highlightColor)) {
+    throw new Error('captions.highlightColor must be a hex colour like #FFD400');
+  }
+
+  return config;
+}
+
+/**
+ * Times each word of a text across a span
+ * @param {string} text - Text to caption (split on whitespace, like the reveal)
+ * @param {number} start - Start of the span in seconds
+ * @param {number} duration - Length of the span in seconds
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function timeCaptionWords(text, start, duration) {
+  const words = text.split(/\s+/).filter(Boolean);
+  // +1 for the space (or pause) after the word
+  const totalWeight = words.reduce((sum, word) => sum + word.length + 1, 0);
+  let elapsed = 0;
+
+  return words.map(word => {
+    const wordStart = start + (duration * elapsed) / totalWeight;
+    elapsed += word.length + 1;
+    return { text: word, start: wordStart, end: start + (duration * elapsed) / totalWeight };
+  });
+}
+
+/**
+ * Groups timed words into display cues
+ * @param {Array<{text: string, start: number, end: number}>} words - Timed words
+ * @returns {Array<{start: number, end: number, words: Array}>}
+ */
+function groupCaptionCues(words) {
+  const cues = [];
+  let current = null;
+
+  for (const word of words) {
+    const length = current ? current.words.map(w => w.text).join(' ').length + 1 + word.text.length : word.text.length;
+
+    if (!current || current.words.length >= MAX_CUE_WORDS || length > MAX_CUE_CHARS) {
+      current = { start: word.start, end: word.end, words: [] };
+      cues.push(current);
+    }
+
+    current.words.push(word);
+    current.end = word.end;
+
+    // Start a new cue after the end of a sentence
+    if (/[.!?…]["')\]]*$/.test(word.text)) {
+      current = null;
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Formats cues as a WebVTT or SRT sidecar file
+ * With `highlight`, WebVTT cues carry per-word timestamps so players can style
+ * the current word (::cue(:past) / ::cue(:future)); SRT has no equivalent.
+ * @param {Array} cues - Cues from groupCaptionCues()
+ * @param {Object} config - Resolved caption options
+ * @returns {string}
+ */
+function formatCaptions(cues, config) {
+  if (config.format === 'srt') {
+    return cues.map((cue, index) => [
+      String(index + 1),
+      `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+      cue.words.map(word => word.text).join(' '),
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  const line = VTT_LINE[config.position];
+  const settings = line ? ` line:${line}` : '';
+  const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const blocks = cues.map(cue => {
+    const text = cue.words.map((word, index) => {
+      const timestamp = config.highlight && index > 0 ? `<${formatTimestamp(word.start, '.')}>` : '';
+      return timestamp + escape(word.text);
+    }).join(' ');
+
+    return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${settings}\n${text}`;
+  });
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Builds an ASS script for burning the cues into the video
+ * With `highlight`, each cue is split into one event per word, with that word
+ * drawn in highlightColor.
+ * @param {Array} cues - Cues from groupCaptionCues()
+ * @param {Object} config - Resolved caption options
+ * @param {Object} frame - Output frame { width, height }
+ * @returns {string}
+ */
+function buildAssSubtitles(cues, config, frame) {
+  const fontSize = config.fontSize || Math.round(Math.min(frame.width, frame.height) * 0.06);
+  const marginV = config.position === 'center' ? 0 : Math.round(frame.height * VERTICAL_MARGIN);
+  const outline = Math.max(2, Math.round(fontSize / 16));
+  const highlightColor = toAssColor(config.highlightColor);
+
+  const lines = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${frame.width}`,
+    `PlayResY: ${frame.height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Default,${config.font},${fontSize},&H00FFFFFF,&H00FFFFFF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,${outline},0,${ASS_ALIGNMENT[config.position]},${Math.round(frame.width * 0.06)},${Math.round(frame.width * 0.06)},${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  ];
+
+  const event = (start, end, text) => `Dialogue: 0,${formatAssTimestamp(start)},${formatAssTimestamp(end)},Default,,0,0,0,,${text}`;
+
+  for (const cue of cues) {
+    const texts = cue.words.map(word => escapeAss(word.text));
+
+    if (!config.highlight) {
+      lines.push(event(cue.start, cue.end, texts.join(' ')));
+      continue;
+    }
+
+    cue.words.forEach((word, index) => {
+      const end = index < cue.words.length - 1 ? cue.words[index + 1].start : cue.end;
+      const text = texts.map((value, i) => (i === index ? `{\\c${highlightColor}}${value}{\\r}` : value)).join(' ');
+      lines.push(event(word.start, end, text));
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats seconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+ * @private
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Formats seconds as H:MM:SS.cc (ASS uses centiseconds)
+ * @private
+ */
+function formatAssTimestamp(seconds) {
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${Math.floor(totalCs / 360000)}:${pad(Math.floor((totalCs % 360000) / 6000))}:${pad(Math.floor((totalCs % 6000) / 100))}.${pad(totalCs % 100)}`;
+}
+
+/**
+ * Converts #RRGGBB to an ASS colour (&HBBGGRR&)
+ * @private
+ */
+function toAssColor(hex) {
+  const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+  return `&H${b}${g}${r}&`.toUpperCase();
+}
+
+/**
+ * Keeps tweet text from being read as ASS override blocks or escapes
+ * @private
+ */
+function escapeAss(text) {
+  // A zero-width space after a backslash stops \N, \n and \h from being special
+  return text.replace(/\\/g, '\\\u200B').replace(/{/g, '(').replace(/}/g, ')');
+}
+
+module.exports = {
+  CAPTION_MODES,
+  CAPTION_FORMATS,
+  CAPTION_POSITIONS,
+  CAPTION_OPTION_KEYS,
+  resolveCaptionOptions,
+  timeCaptionWords,
+  groupCaptionCues,
+  formatCaptions,
+  buildAssSubtitles,
+};
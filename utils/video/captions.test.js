@@ -0,0 +1,166 @@
+/**
+ * Test suite for caption timing and formatting
+ * Run with: node utils/video/captions.test.js
+ */
+
+const {
+  resolveCaptionOptions,
+  timeCaptionWords,
+  groupCaptionCues,
+  formatCaptions,
+  buildAssSubtitles,
+} = require('./captions');
+const { TemplateRenderer } = require('../rendering/template-renderer');
+const { createTestSuite, assert, runIfMain } = require('../test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Captions Test Suite');
+
+function assertClose(actual, expected, message) {
+  assert(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Computes the typewriter reveal frames of a text the way the pipeline does:
+ * TemplateRenderer assigns words to steps, ScreenshotGenerator weighs each
+ * step by its words plus the space after each, and VideoComposer shows each
+ * frame for its weight's share of the reveal duration.
+ * @returns {Array<{words: Array<string>, start: number, end: number}>}
+ */
+function revealFrames(text, revealDuration) {
+  const html = new TemplateRenderer('unused.html').wrapRevealWords(text);
+  const steps = [];
+  for (const [, step, word] of html.matchAll(/data-reveal-step="(\d+)">([^<]*)<\/span>/g)) {
+    steps[step] = steps[step] || [];
+    steps[step].push(word);
+  }
+
+  const weights = steps.map(words => words.reduce((sum, word) => sum + word.length + 1, 0));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let elapsed = 0;
+
+  return steps.map((words, index) => {
+    const start = (revealDuration * elapsed) / totalWeight;
+    elapsed += weights[index];
+    return { words, start, end: (revealDuration * elapsed) / totalWeight };
+  });
+}
+
+const ASS_ZWSP_BACKSLASH = '\\\u200B';
+
+async function runTests() {
+  printHeader();
+
+  // Test 1: Words fill the span in order, weighted by length
+  await test('timeCaptionWords spreads words over the span by length', async () => {
+    const words = timeCaptionWords('a bbb  cc\ndddd', 2, 6);
+
+    assert(words.map(word => word.text).join() === 'a,bbb,cc,dddd', 'Words should be split on any whitespace');
+    assertClose(words[0].start, 2, 'First word starts with the span');
+    assertClose(words[words.length - 1].end, 8, 'Last word ends with the span');
+    for (let i = 1; i < words.length; i++) {
+      assertClose(words[i].start, words[i - 1].end, `Word ${i} should start when word ${i - 1} ends`);
+    }
+    // Weights 2, 4, 3, 5 (+1 per word) of 14
+    assertClose(words[1].end - words[1].start, (6 * 4) / 14, 'Duration should be proportional to length + 1');
+  });
+
+  // Test 2: Captions without a voiceover follow the typewriter reveal
+  await test('Caption words line up with the reveal steps', async () => {
+    const shortText = 'Shipping the new caption pipeline today, finally!';
+    const longText = Array.from({ length: 150 }, (_, i) => `word${i % 13 === 0 ? 'longer' : ''}${i}`).join(' ');
+
+    for (const text of [shortText, longText]) {
+      const revealDuration = 3;
+      const frames = revealFrames(text, revealDuration);
+      const words = timeCaptionWords(text, 0, revealDuration);
+      let wordIndex = 0;
+
+      assert(frames.length === Math.min(words.length, 60), `Expected ${Math.min(words.length, 60)} steps, got ${frames.length}`);
+
+      for (const [step, frame] of frames.entries()) {
+        const stepWords = words.slice(wordIndex, wordIndex + frame.words.length);
+        wordIndex += frame.words.length;
+
+        assert(stepWords.map(word => word.text).join() === frame.words.join(), `Step ${step} should hold the same words`);
+        assertClose(stepWords[0].start, frame.start, `Step ${step} start`);
+        assertClose(stepWords[stepWords.length - 1].end, frame.end, `Step ${step} end`);
+      }
+      assert(wordIndex === words.length, 'Every word should belong to a step');
+    }
+  });
+
+  // Test 3: Cue splitting
+  await test('groupCaptionCues splits on word count, length and sentence ends', async () => {
+    const byCount = groupCaptionCues(timeCaptionWords('one two three four five six seven eight nine', 0, 9));
+    assert(byCount.map(cue => cue.words.length).join() === '7,2', 'Cues hold at most 7 words');
+
+    const byLength = groupCaptionCues(timeCaptionWords('internationalization accessibility responsibilities', 0, 3));
+    assert(byLength.map(cue => cue.words.length).join() === '2,1', 'Cues hold at most 42 characters');
+
+    const bySentence = groupCaptionCues(timeCaptionWords('It works. Really? Yes! "Quoted." (Aside.) done…  next', 0, 8));
+    assert(
+      bySentence.map(cue => cue.words.map(word => word.text).join(' ')).join('|') === 'It works.|Really?|Yes!|"Quoted."|(Aside.)|done…|next',
+      `Wrong sentence split: ${bySentence.map(cue => cue.words.map(word => word.text).join(' ')).join('|')}`
+    );
+
+    for (const cue of bySentence) {
+      assertClose(cue.start, cue.words[0].start, 'Cue starts with its first word');
+      assertClose(cue.end, cue.words[cue.words.length - 1].end, 'Cue ends with its last word');
+    }
+  });
+
+  // Test 4: Tweet text cannot inject ASS override blocks or escapes
+  await test('buildAssSubtitles escapes braces and backslashes', async () => {
+    const config = resolveCaptionOptions({ mode: 'burn', highlight: false });
+    const cues = groupCaptionCues(timeCaptionWords('{\\b1}bold} C:\\New \\N', 0, 2));
+    const ass = buildAssSubtitles(cues, config, { width: 1080, height: 1920 });
+    const dialogue = ass.split('\n').filter(line => line.startsWith('Dialogue:'));
+
+    assert(dialogue.length === 1, `Expected 1 event, got ${dialogue.length}`);
+    const text = dialogue[0].split(',,0,0,0,,')[1];
+    assert(
+      text === `(${ASS_ZWSP_BACKSLASH}b1)bold) C:${ASS_ZWSP_BACKSLASH}New ${ASS_ZWSP_BACKSLASH}N`,
+      `Wrong escaping: ${JSON.stringify(text)}`
+    );
+    assert(!/[{}]/.test(text), 'No override blocks should remain');
+    assert(dialogue[0].startsWith('Dialogue: 0,0:00:00.00,0:00:02.00,Default'), `Wrong event timing: ${dialogue[0]}`);
+  });
+
+  // Test 5: Highlighting produces one event per word
+  await test('buildAssSubtitles highlights one word per event', async () => {
+    const config = resolveCaptionOptions({ mode: 'burn', highlightColor: '#FFD400' });
+    const cues = groupCaptionCues(timeCaptionWords('say {hi} now', 1, 3));
+    const dialogue = buildAssSubtitles(cues, config, { width: 1080, height: 1920 })
+      .split('\n')
+      .filter(line => line.startsWith('Dialogue:'));
+
+    assert(dialogue.length === 3, `Expected 3 events, got ${dialogue.length}`);
+    assert(dialogue[1].endsWith('say {\\c&H00D4FF&}(hi){\\r} now'), `Wrong highlight: ${dialogue[1]}`);
+    // 'say' weighs 4 of 13 over 3s: 1.00 -> 1.92
+    assert(dialogue[0].startsWith('Dialogue: 0,0:00:01.00,0:00:01.92,'), `Wrong first event timing: ${dialogue[0]}`);
+    assert(dialogue[2].includes(',0:00:04.00,Default'), `Last event should end with the cue: ${dialogue[2]}`);
+  });
+
+  // Test 6: Sidecar formats
+  await test('formatCaptions writes WebVTT and SRT', async () => {
+    const cues = groupCaptionCues(timeCaptionWords('a <b> c. Next', 0, 62.5));
+
+    const vtt = formatCaptions(cues, resolveCaptionOptions({ format: 'vtt', position: 'top' }));
+    assert(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> '), `Wrong VTT header: ${vtt.slice(0, 40)}`);
+    assert(vtt.includes('line:10%'), 'Top captions should carry a line setting');
+    assert(vtt.includes('&lt;b&gt;'), 'Markup in the text should be escaped');
+    assert(/a <00:00:\d\d\.\d{3}>&lt;b&gt;/.test(vtt), 'Highlighted cues should carry word timestamps');
+    assert(vtt.trimEnd().endsWith('--> 00:01:02.500 line:10%\nNext'), `Wrong last cue: ${vtt.slice(-40)}`);
+
+    const srt = formatCaptions(cues, resolveCaptionOptions({ format: 'srt' }));
+    assert(srt.startsWith('1\n00:00:00,000 --> '), `Wrong SRT start: ${srt.slice(0, 30)}`);
+    assert(srt.includes('\n\n2\n'), 'SRT cues should be numbered');
+    assert(srt.includes('a <b> c.'), 'SRT text is written as is');
+  });
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };
@@ -137,6 +137,24 @@ class FFmpegDetector {
     return { found: false, path: null };
   }
 
+  /**
+   * Derive the ffprobe binary that ships alongside an FFmpeg binary
+   * FFPROBE_PATH takes precedence when set.
+   * @param {string} ffmpegPath - Path to the detected FFmpeg binary
+   * @returns {string} - Path to ffprobe
+   */
+  static getFfprobePath(ffmpegPath) {
+    if (process.env.FFPROBE_PATH) {
+      return process.env.FFPROBE_PATH;
+    }
+
+    if (ffmpegPath && path.isAbsolute(ffmpegPath)) {
+      return path.join(path.dirname(ffmpegPath), 'ffprobe');
+    }
+
+    return 'ffprobe'; // System PATH
+  }
+
   /**
    * Detect FFmpeg and throw error if not found
    * @returns {Promise<string>} - Path to FFmpeg binary
@@ -0,0 +1,51 @@
+/**
+ * Output formats - Containers and codecs a video can be encoded to
+ *
+ * The format decides the file extension and Content-Type the worker stores
+ * the result with, and the encoder settings VideoComposer uses. GIF and WebP
+ * are silent animations, rendered smaller and at a lower frame rate to keep
+ * the files a shareable size.
+ */
+
+const OUTPUT_FORMATS = {
+  'mp4-h264': { label: 'MP4 (H.264 / AAC)', extension: 'mp4', contentType: 'video/mp4', audio: true },
+  'mp4-hevc': { label: 'MP4 (HEVC / AAC)', extension: 'mp4', contentType: 'video/mp4', audio: true },
+  'webm-vp9': { label: 'WebM (VP9 / Opus)', extension: 'webm', contentType: 'video/webm', audio: true },
+  gif: { label: 'Animated GIF', extension: 'gif', contentType: 'image/gif', audio: false, scale: 0.5, maxFps: 15 },
+  webp: { label: 'Animated WebP', extension: 'webp', contentType: 'image/webp', audio: false, scale: 0.5, maxFps: 15 },
+};
+
+// The only output before formats existed
+const DEFAULT_OUTPUT_FORMAT = 'mp4-h264';
+
+/**
+ * Checks whether an output format exists
+ * @param {string} name - Format name
+ * @returns {boolean}
+ */
+function isValidOutputFormat(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, name);
+}
+
+/**
+ * Looks up an output format by name
+ * @param {string} [name] - Format name; defaults to DEFAULT_OUTPUT_FORMAT
+ * @returns {Object} { name, label, extension, contentType, audio, scale?, maxFps? }
+ * @throws {Error} If the format does not exist
+ */
+function getOutputFormat(name = DEFAULT_OUTPUT_FORMAT) {
+  const formatName = name || DEFAULT_OUTPUT_FORMAT;
+
+  if (!isValidOutputFormat(formatName)) {
+    throw new Error(`Unknown output format: ${formatName}. Must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  return { name: formatName, ...OUTPUT_FORMATS[formatName] };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT,
+  isValidOutputFormat,
+  getOutputFormat,
+};
@@ -1,5 +1,27 @@
+const fs = require('fs').promises;
 const ffmpeg = require('fluent-ffmpeg');
 const { FFmpegDetector } = require('./ffmpeg-detector.js');
+const { DEFAULT_OUTPUT_FORMAT, isValidOutputFormat, getOutputFormat } = require('./output-formats.js');
+
+// How audio already in the background clip is treated
+const BACKGROUND_AUDIO_MODES = ['mute', 'mix', 'duck'];
+
+// Animations of the tweet card over the background
+const MOTION_STYLES = ['none', 'zoom-in', 'slide-up', 'pop-in', 'float'];
+
+// How the tweet text appears
+const REVEAL_STYLES = ['none', 'typewriter'];
+
+// Silence after the narration before the fade-out starts, in seconds
+const VOICEOVER_TAIL = 1;
+
+// Transitions between the tweets of a thread -> FFmpeg xfade transition
+const TRANSITION_STYLES = {
+  none: null,
+  crossfade: 'fade',
+  slide: 'slideleft',
+  wipe: 'wipeleft',
+};
 
 /**
  * VideoComposer - Production-ready video composition utility using FFmpeg
@@ -9,6 +31,8 @@ class VideoComposer {
   constructor() {
     this.ffmpegPath = null;
     this.initialized = false;
+    this.command = null;
+    this.aborted = false;
   }
 
   /**
@@ -31,6 +55,9 @@ class VideoComposer {
       // Set FFmpeg path for fluent-ffmpeg
       ffmpeg.setFfmpegPath(this.ffmpegPath);
 
+      // ffprobe is used to check whether the background clip has audio
+      ffmpeg.setFfprobePath(FFmpegDetector.getFfprobePath(this.ffmpegPath));
+
       this.initialized = true;
       console.log('[VideoComposer] Video composer initialized successfully');
     } catch (error) {
@@ -40,18 +67,44 @@ class VideoComposer {
   }
 
   /**
-   * Compose a video from a screenshot and audio file
+   * Compose a video from a screenshot and a music track
+   * The music is looped or trimmed to the video duration, faded in and out and
+   * set to `audioVolume`. Audio in the background clip is muted unless
+   * `backgroundAudio` asks for it to be mixed in, or mixed with the music ducked under it.
    * @param {string} screenshotPath - Path to the screenshot image
-   * @param {string} audioPath - Path to the audio file
+   * @param {string} audioPath - Path to the music track
    * @param {string} outputPath - Path for the output video file
    * @param {Object} options - Composition options
+   * @param {string} options.backgroundPath - Path to the background clip (looped for the whole video)
    * @param {number} [options.duration=45] - Video duration in seconds
    * @param {number} [options.width=1080] - Video width in pixels
    * @param {number} [options.height=1920] - Video height in pixels
    * @param {number} [options.fps=30] - Frames per second
    * @param {number} [options.fadeInDuration=0.5] - Fade in duration in seconds
    * @param {number} [options.fadeOutDuration=0.5] - Fade out duration in seconds
-   * @param {number} [options.audioVolume=0.3] - Audio volume (0.0 to 1.0)
+   * @param {number} [options.audioVolume=0.3] - Music volume (0.0 to 2.0)
+   * @param {string} [options.backgroundAudio='mute'] - Background clip audio: 'mute', 'mix' or 'duck'
+   * @param {number} [options.backgroundVolume=1] - Background clip audio volume when mixed (0.0 to 2.0)
+   * @param {string} [options.motion='none'] - Tweet card motion: 'none', 'zoom-in', 'slide-up', 'pop-in' or 'float'
+   * @param {string} [options.reveal='none'] - Text reveal: 'none' or 'typewriter'
+   * @param {number} [options.revealDuration=3] - Seconds the typewriter reveal takes before the text holds (at most duration)
+   * @param {string} [options.voiceoverPath] - Narration track (WAV), started when the fade-in ends;
+   *   the music is ducked under it
+   * @param {number} [options.voiceoverDuration] - Narration length in seconds; the video is
+   *   stretched past `duration` if needed to fit it
+   * @param {Array<{path: string, weight: number}>} [options.revealFrames] - Reveal states from
+   *   ScreenshotGenerator.generateRevealFrames(); each is shown for a share of revealDuration
+   *   proportional to its weight, then screenshotPath holds until the end
+   * @param {Array<{path: string, duration: number}>} [options.segments] - Thread mode: one
+   *   screenshot per tweet, each held for `duration` seconds and joined by `transition`.
+   *   The video lasts the sum of the holds; screenshotPath and revealFrames are ignored
+   * @param {string} [options.transition='crossfade'] - Between segments: 'none', 'crossfade', 'slide' or 'wipe'
+   * @param {number} [options.transitionDuration=0.5] - Transition length in seconds (at most the shortest hold)
+   * @param {string} [options.format='mp4-h264'] - Output format (see utils/video/output-formats.js);
+   *   outputPath should carry its extension. GIF and WebP are silent
+   * @param {string} [options.captionsPath] - ASS subtitle script burned into the video
+   *   (see utils/video/captions.js); drawn over the card, under the fades
+   * @param {Function} [options.onProgress] - Called with the encoding percentage (0-100) as FFmpeg reports progress
    * @returns {Promise<string>} Resolves with outputPath on success
    * @throws {Error} If composition fails
    */
@@ -63,31 +116,40 @@ class VideoComposer {
     if (!screenshotPath || typeof screenshotPath !== 'string') {
       throw new Error('Invalid screenshotPath: must be a non-empty string');
     }
-    // audioPath is currently unused (we have no TTS yet) – keep the check for now
     if (!audioPath || typeof audioPath !== 'string') {
       throw new Error('Invalid audioPath: must be a non-empty string');
     }
     if (!outputPath || typeof outputPath !== 'string') {
       throw new Error('Invalid outputPath: must be a non-empty string');
     }
+    if (!options.backgroundPath || typeof options.backgroundPath !== 'string') {
+      throw new Error('Invalid backgroundPath: must be a non-empty string');
+    }
+    if (this.aborted) {
+      throw new Error('Video composition aborted');
+    }
 
-    // Set default options
-    const config = {
-      duration: options.duration ?? 45,
-      width: options.width ?? 1080,
-      height: options.height ?? 1920,
-      fps: options.fps ?? 30,
-      fadeInDuration: options.fadeInDuration ?? 0.5,
-      fadeOutDuration: options.fadeOutDuration ?? 0.5,
-      audioVolume: options.audioVolume ?? 0.3
-    };
+    // Apply defaults and validate numeric options; a thread lasts as long as its segments
+    const segments = Array.isArray(options.segments) && options.segments.length > 0 ? options.segments : null;
+    const config = this.resolveOptions(segments
+      ? { ...options, segmentDurations: segments.map(segment => segment.duration) }
+      : options);
 
-    // Validate numeric options
-    this._validateNumericOptions(config);
+    // Only probe the background clip when its audio would be used
+    const useBackgroundAudio = config.backgroundAudio !== 'mute' &&
+      await this._hasAudioStream(options.backgroundPath);
+
+    // Typewriter frames are sequenced with the concat demuxer instead of looping one image
+    const revealFrames = !segments && config.reveal === 'typewriter' ? (options.revealFrames || []) : [];
+    const sequencePath = revealFrames.length > 0
+      ? await this._writeRevealSequence(screenshotPath, revealFrames, config, outputPath)
+      : null;
 
     console.log('[VideoComposer] Starting video composition...');
     console.log('[VideoComposer] Configuration:', {
       screenshot: screenshotPath,
+      background: options.backgroundPath,
+      audio: audioPath,
       output: outputPath,
       ...config
     });
@@ -96,57 +158,121 @@ class VideoComposer {
       try {
         const fadeOutStart = config.duration - config.fadeOutDuration;
 
-        // Hardcoded carnivore assets – update filenames if yours differ
-        const backgroundPath = './assets/carnivore-bg-fixed.mp4';
-        const musicPath = './assets/unknown-moments-dark-ambient-297679.mp3';
+        const format = getOutputFormat(config.format);
 
-        // Full filter chain: loop background + overlay zoomed tweet + quiet music
+        // Thread segments follow the music (and narration) inputs, except the first, which is input 1
+        const firstExtraInput = options.voiceoverPath ? 4 : 3;
+        const segmentInputs = segments ? segments.map((segment, index) => (index === 0 ? 1 : firstExtraInput + index - 1)) : [];
+
+        let cardInput = '[1:v]';
+        if (sequencePath) {
+          cardInput = `[1:v]fps=${config.fps},`;
+        } else if (segments) {
+          cardInput = '[cards]';
+        }
+
+        // Full filter chain: loop background + overlay tweet (with motion) + quiet music
+        // The background is cropped to fill the output frame; the screenshot was
+        // captured at the frame's aspect ratio, so it scales down to it exactly
+        const motion = this._buildMotionFilter(config, cardInput);
         const filterString = [
-          '[0:v]loop=loop=-1:size=1:start=0[vbg]',
-          '[1:v]format=yuv420p[img]',
-          '[vbg][img]overlay=0:0:format=auto,' +
-          `scale=${config.width}:${config.height}:force_original_aspect_ratio=decrease,` +
-          `pad=${config.width}:${config.height}:(ow-iw)/2:(oh-ih)/2:black,` +
+          '[0:v]loop=loop=-1:size=1:start=0,' +
+          `scale=${config.width}:${config.height}:force_original_aspect_ratio=increase,` +
+          `crop=${config.width}:${config.height}[vbg]`,
+          ...(segments ? [this._buildSegmentFilter(config, segmentInputs)] : []),
+          motion.card,
+          `[vbg][img]overlay=${motion.overlay}:format=auto,` +
           `setsar=1,` +
+          (options.captionsPath ? `subtitles=filename=${this._escapeFilterPath(options.captionsPath)},` : '') +
           `fade=t=in:st=0:d=${config.fadeInDuration},` +
-          `fade=t=out:st=${fadeOutStart}:d=${config.fadeOutDuration}[v]`
+          `fade=t=out:st=${fadeOutStart}:d=${config.fadeOutDuration}[v]`,
+          format.audio
+            ? this._buildAudioFilter(config, fadeOutStart, useBackgroundAudio, Boolean(options.voiceoverPath))
+            : this._buildAnimationFilter(config, format)
         ].join(';');
 
         console.log('[VideoComposer] FFmpeg complex filter:', filterString);
 
         const command = ffmpeg()
-          .input(backgroundPath) // 0: looping steak background
-          .input(screenshotPath) // 1: tweet screenshot
-          .inputOptions(['-loop 1', '-framerate', config.fps.toString()]) // force screenshot as looped video with framerate
-          .complexFilter(filterString)
-          .map('[v]')
-          .videoCodec('libx264')
-          .outputOptions([
-            '-preset medium',
-            '-crf 23',
-            '-pix_fmt yuv420p'
-          ])
-          .audioCodec('aac')
-          .audioBitrate('128k')
+          .input(options.backgroundPath); // 0: looping background clip
+
+        if (segments) {
+          command
+            .input(segments[0].path) // 1: first tweet of the thread
+            .inputOptions(this._segmentInputOptions(config, 0));
+        } else if (sequencePath) {
+          command
+            .input(sequencePath) // 1: typewriter frames, then the tweet screenshot held
+            .inputOptions(['-f', 'concat', '-safe', '0']);
+        } else {
+          command
+            .input(screenshotPath) // 1: tweet screenshot
+            .inputOptions(['-loop 1', '-framerate', config.fps.toString()]); // force screenshot as looped video with framerate
+        }
+
+        command
+          .input(audioPath) // 2: music track
+          .inputOptions(['-stream_loop', '-1']); // loop short tracks; the output duration trims long ones
+
+        if (options.voiceoverPath) {
+          command.input(options.voiceoverPath); // 3: narration
+        }
+
+        // Remaining tweets of a thread
+        (segments || []).slice(1).forEach((segment, index) => {
+          command
+            .input(segment.path)
+            .inputOptions(this._segmentInputOptions(config, index + 1));
+        });
+
+        command.complexFilter(filterString);
+
+        if (format.audio) {
+          command.map('[v]').map('[aout]');
+        } else {
+          command.map('[vout]');
+        }
+
+        this._applyEncoderSettings(command, format);
+
+        command
           .duration(config.duration)                           // 45s for now
-          .outputOptions('-movflags +faststart')
           .output(outputPath);
 
+        this.command = command;
+
         // The rest of the event handlers stay exactly the same
         command.on('start', (commandLine) => {
           console.log('[VideoComposer] Executing FFmpeg command:', commandLine);
         });
         command.on('progress', (progress) => {
-          const percent = progress.percent ? progress.percent.toFixed(2) : '0.00';
           const timemark = progress.timemark || '00:00:00.00';
-          console.log(`[VideoComposer] Progress: ${percent}% (${timemark})`);
+          const percent = this._calculateProgressPercent(timemark, config.duration);
+          console.log(`[VideoComposer] Progress: ${percent.toFixed(2)}% (${timemark})`);
+
+          if (typeof options.onProgress === 'function') {
+            try {
+              options.onProgress(percent);
+            } catch (callbackError) {
+              console.warn('[VideoComposer] onProgress callback failed:', callbackError.message);
+            }
+          }
         });
         command.on('error', (error, stdout, stderr) => {
+          this.command = null;
+          this._removeFile(sequencePath);
+          if (this.aborted) {
+            console.warn('[VideoComposer] FFmpeg process killed by abort()');
+            reject(new Error('Video composition aborted'));
+            return;
+          }
           console.error('[VideoComposer] FFmpeg error:', error.message);
           if (stderr) console.error('[VideoComposer] FFmpeg stderr:', stderr);
           reject(new Error(`Video composition failed: ${error.message}`));
         });
         command.on('end', () => {
+          this.command = null;
+          this._removeFile(sequencePath);
           console.log('[VideoComposer] Video composition completed successfully');
           console.log('[VideoComposer] Output file:', outputPath);
           resolve(outputPath);
@@ -154,6 +280,7 @@ class VideoComposer {
 
         command.run();
       } catch (error) {
+        this._removeFile(sequencePath);
         console.error('[VideoComposer] Composition setup failed:', error.message);
         reject(new Error(`Failed to setup video composition: ${error.message}`));
       }
@@ -161,48 +288,539 @@ class VideoComposer {
   }
 
   /**
-   * Build the video filter chain
+   * Extract a single JPEG frame, e.g. a poster for a composed video
+   * With `time`, the frame is taken from that point of a video; without it the
+   * input is treated as a still (such as the tweet card screenshot).
+   * @param {string} inputPath - Video or image to take the frame from
+   * @param {string} outputPath - Path for the JPEG
+   * @param {Object} [options] - Extraction options
+   * @param {number} [options.time] - Seconds into the input to take the frame at
+   * @param {number} [options.width] - Output width in pixels (with height)
+   * @param {number} [options.height] - Output height in pixels (with width)
+   * @returns {Promise<string>} Resolves with outputPath on success
+   * @throws {Error} If extraction fails
+   */
+  async extractPoster(inputPath, outputPath, options = {}) {
+    if (!this.initialized) {
+      throw new Error('VideoComposer not initialized. Call initialize() first.');
+    }
+    if (!inputPath || typeof inputPath !== 'string') {
+      throw new Error('Invalid inputPath: must be a non-empty string');
+    }
+    if (!outputPath || typeof outputPath !== 'string') {
+      throw new Error('Invalid outputPath: must be a non-empty string');
+    }
+    if (this.aborted) {
+      throw new Error('Video composition aborted');
+    }
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath);
+
+      if (typeof options.time === 'number') {
+        command.seekInput(options.time);
+      }
+
+      if (options.width && options.height) {
+        command.videoFilters(`scale=${options.width}:${options.height}`);
+      }
+
+      command
+        .outputOptions(['-frames:v 1', '-q:v 2'])
+        .output(outputPath);
+
+      this.command = command;
+
+      command.on('start', (commandLine) => {
+        console.log('[VideoComposer] Executing FFmpeg command:', commandLine);
+      });
+      command.on('error', (error, stdout, stderr) => {
+        this.command = null;
+        if (this.aborted) {
+          console.warn('[VideoComposer] FFmpeg process killed by abort()');
+          reject(new Error('Video composition aborted'));
+          return;
+        }
+        console.error('[VideoComposer] FFmpeg error:', error.message);
+        if (stderr) console.error('[VideoComposer] FFmpeg stderr:', stderr);
+        reject(new Error(`Poster extraction failed: ${error.message}`));
+      });
+      command.on('end', () => {
+        this.command = null;
+        console.log('[VideoComposer] Poster extracted:', outputPath);
+        resolve(outputPath);
+      });
+
+      command.run();
+    });
+  }
+
+  /**
+   * Apply defaults to composition options and validate them
+   * Usable before initialize(), e.g. to validate options when a job is created.
+   * @param {Object} [options] - Composition options (see compose())
+   * @returns {Object} Complete configuration
+   * @throws {Error} If any option is invalid
+   */
+  resolveOptions(options = {}) {
+    const config = {
+      duration: options.duration ?? 45,
+      width: options.width ?? 1080,
+      height: options.height ?? 1920,
+      fps: options.fps ?? 30,
+      fadeInDuration: options.fadeInDuration ?? 0.5,
+      fadeOutDuration: options.fadeOutDuration ?? 0.5,
+      audioVolume: options.audioVolume ?? 0.3,
+      backgroundAudio: options.backgroundAudio ?? 'mute',
+      backgroundVolume: options.backgroundVolume ?? 1,
+      motion: options.motion ?? 'none',
+      reveal: options.reveal ?? 'none',
+      revealDuration: options.revealDuration,
+      voiceoverDuration: options.voiceoverDuration ?? null,
+      transition: options.transition ?? 'crossfade',
+      transitionDuration: options.transitionDuration ?? 0.5,
+      segmentDurations: options.segmentDurations ?? null,
+      format: options.format ?? DEFAULT_OUTPUT_FORMAT
+    };
+
+    // A thread lasts as long as the holds of its tweets
+    if (Array.isArray(config.segmentDurations)) {
+      for (const hold of config.segmentDurations) {
+        if (typeof hold !== 'number' || isNaN(hold) || hold <= 0) {
+          throw new Error('Invalid segment duration: must be a positive number');
+        }
+      }
+      config.duration = Math.round(config.segmentDurations.reduce((sum, hold) => sum + hold, 0) * 1000) / 1000;
+    }
+
+    // Stretch the video so the narration fits between the fade-in and the fade-out
+    if (typeof config.voiceoverDuration === 'number' && config.voiceoverDuration > 0) {
+      const required = config.fadeInDuration + config.voiceoverDuration + VOICEOVER_TAIL + config.fadeOutDuration;
+      if (required > config.duration) {
+        config.duration = Math.ceil(required * 10) / 10;
+      }
+    }
+
+    // Default to 3 seconds, but never longer than the video itself
+    if (config.revealDuration === undefined) {
+      config.revealDuration = typeof config.duration === 'number' ? Math.min(3, config.duration) : 3;
+    }
+
+    this._validateNumericOptions(config);
+
+    if (!BACKGROUND_AUDIO_MODES.includes(config.backgroundAudio)) {
+      throw new Error(`Invalid backgroundAudio: must be one of ${BACKGROUND_AUDIO_MODES.join(', ')}`);
+    }
+
+    if (!MOTION_STYLES.includes(config.motion)) {
+      throw new Error(`Invalid motion: must be one of ${MOTION_STYLES.join(', ')}`);
+    }
+
+    if (!REVEAL_STYLES.includes(config.reveal)) {
+      throw new Error(`Invalid reveal: must be one of ${REVEAL_STYLES.join(', ')}`);
+    }
+
+    if (!isValidOutputFormat(config.format)) {
+      throw new Error(`Invalid format: ${config.format}`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(TRANSITION_STYLES, config.transition)) {
+      throw new Error(`Invalid transition: must be one of ${Object.keys(TRANSITION_STYLES).join(', ')}`);
+    }
+
+    // A transition may not overlap the next one
+    if (Array.isArray(config.segmentDurations) && config.transition !== 'none') {
+      const shortestHold = Math.min(...config.segmentDurations);
+      if (config.transitionDuration > shortestHold) {
+        throw new Error(`Invalid transitionDuration: must not exceed the shortest tweet hold (${shortestHold}s)`);
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Build the tweet card chain and its overlay position for a motion style
+   * Entrances (slide-up, pop-in) run for the fade-in duration, so the card
+   * settles as the video becomes fully visible. Expressions are evaluated
+   * per frame by FFmpeg.
+   * @private
+   * @param {Object} config - Configuration object
+   * @param {string} [input='[1:v]'] - Start of the card chain: an input or label, plus any
+   *   filters to run first (a concat frame sequence needs fps= so frame-based motion stays in time)
+   * @returns {{card: string, overlay: string}} Filter chain for the card labelled [img],
+   *   and the overlay filter's x/y arguments
+   */
+  _buildMotionFilter(config, input = '[1:v]') {
+    const { width, height, fps, duration, fadeInDuration } = config;
+
+    // Entrance progress from 0 to 1 over the fade-in
+    const entrance = fadeInDuration > 0 ? `min(t/${fadeInDuration},1)` : '1';
+
+    // Easing curves
+    const easeOutCubic = (p) => `(1-pow(1-${p},3))`;
+    const easeOutBack = (p) => `(1+2.70158*pow(${p}-1,3)+1.70158*pow(${p}-1,2))`;
+    const easeInOutSine = (p) => `((1-cos(PI*${p}))/2)`;
+
+    const staticCard = `${input}scale=${width}:${height},format=yuv420p[img]`;
+
+    switch (config.motion) {
+      case 'zoom-in': {
+        // Slow Ken Burns push-in to 108% over the whole video. zoompan works on
+        // the full-resolution (2x) screenshot, which keeps the motion smooth.
+        const progress = `min(on/${fps * duration},1)`;
+        return {
+          card: `${input}zoompan=z='1+0.08*${easeInOutSine(progress)}'` +
+            ':x=\'iw/2-(iw/zoom)/2\':y=\'ih/2-(ih/zoom)/2\'' +
+            `:d=1:s=${width}x${height}:fps=${fps},format=yuv420p[img]`,
+          overlay: '0:0',
+        };
+      }
+
+      case 'slide-up':
+        // Rise from below the frame and decelerate into place
+        return {
+          card: staticCard,
+          overlay: `x=0:y='H*(1-${easeOutCubic(entrance)})'`,
+        };
+
+      case 'pop-in': {
+        // Grow from 60% with a slight overshoot, centered over the background
+        const scale = `(0.6+0.4*${easeOutBack(entrance)})`;
+        return {
+          card: `${input}scale=w='2*trunc(${width}*${scale}/2)':h='2*trunc(${height}*${scale}/2)':eval=frame,` +
+            'format=yuv420p[img]',
+          overlay: 'x=\'(W-w)/2\':y=\'(H-h)/2\'',
+        };
+      }
+
+      case 'float': {
+        // Drift up by 1% of the frame and back every 4 seconds, starting at rest once faded in
+        const amplitude = Math.round(height * 0.01);
+        return {
+          card: staticCard,
+          overlay: `x=0:y='-${amplitude}*(1-cos(2*PI*max(t-${fadeInDuration},0)/4))/2'`,
+        };
+      }
+
+      default:
+        return { card: staticCard, overlay: '0:0' };
+    }
+  }
+
+  /**
+   * Build the thread card stream, labelled [cards]
+   * Each segment is held for its duration plus the overlap of the transition
+   * into the next one, so the joined stream lasts the sum of the holds.
+   * @private
+   * @param {Object} config - Configuration object (with segmentDurations)
+   * @param {Array<number>} segmentInputs - FFmpeg input index of each segment, in order
+   * @returns {string} Filter graph string
+   */
+  _buildSegmentFilter(config, segmentInputs) {
+    const { width, height, fps, segmentDurations } = config;
+    const xfade = config.transitionDuration > 0 ? TRANSITION_STYLES[config.transition] : null;
+
+    const chains = segmentInputs.map((input, index) =>
+      `[${input}:v]scale=${width}:${height},setsar=1,format=yuv420p,fps=${fps}[seg${index}]`);
+
+    if (!xfade) {
+      const labels = segmentInputs.map((input, index) => `[seg${index}]`).join('');
+      chains.push(`${labels}concat=n=${segmentInputs.length}:v=1:a=0[cards]`);
+      return chains.join(';');
+    }
+
+    if (segmentInputs.length === 1) {
+      chains.push('[seg0]null[cards]');
+      return chains.join(';');
+    }
+
+    // Each transition starts when the previous tweet's hold ends
+    let previous = '[seg0]';
+    let offset = 0;
+    for (let index = 1; index < segmentInputs.length; index++) {
+      offset += segmentDurations[index - 1];
+      const output = index === segmentInputs.length - 1 ? '[cards]' : `[thread${index}]`;
+      chains.push(`${previous}[seg${index}]xfade=transition=${xfade}:duration=${config.transitionDuration}:offset=${offset.toFixed(3)}${output}`);
+      previous = output;
+    }
+
+    return chains.join(';');
+  }
+
+  /**
+   * Input options for one thread segment: the screenshot looped for its hold,
+   * plus the transition overlap for all but the last
+   * @private
+   * @param {Object} config - Configuration object (with segmentDurations)
+   * @param {number} index - Segment index
+   * @returns {Array<string>}
+   */
+  _segmentInputOptions(config, index) {
+    const isLast = index === config.segmentDurations.length - 1;
+    const overlap = !isLast && TRANSITION_STYLES[config.transition] ? config.transitionDuration : 0;
+    const length = config.segmentDurations[index] + overlap;
+
+    return ['-loop 1', '-framerate', config.fps.toString(), '-t', length.toFixed(3)];
+  }
+
+  /**
+   * Build the chain that turns [v] into a silent animation, labelled [vout]
+   * Animations are downscaled and capped in frame rate; GIF frames are quantized
+   * to a palette generated from the whole video (palettegen/paletteuse).
+   * @private
+   * @param {Object} config - Configuration object
+   * @param {Object} format - Output format (gif or webp)
+   * @returns {string} Filter graph string
+   */
+  _buildAnimationFilter(config, format) {
+    // GIF and WebP have no even-dimension constraint, so keep the exact aspect ratio
+    const width = Math.round(config.width * format.scale);
+    const fps = Math.min(config.fps, format.maxFps);
+    const scaled = `[v]fps=${fps},scale=${width}:-1:flags=lanczos`;
+
+    if (format.name !== 'gif') {
+      return `${scaled}[vout]`;
+    }
+
+    return `${scaled},split[frames][palettesource];` +
+      '[palettesource]palettegen=stats_mode=diff[palette];' +
+      '[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[vout]';
+  }
+
+  /**
+   * Set the codecs and encoder options of an output format
+   * @private
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {Object} format - Output format
+   */
+  _applyEncoderSettings(command, format) {
+    switch (format.name) {
+      case 'mp4-hevc':
+        command
+          .videoCodec('libx265')
+          // hvc1 tagging lets Apple players open the file
+          .outputOptions(['-preset medium', '-crf 28', '-pix_fmt yuv420p', '-tag:v hvc1'])
+          .audioCodec('aac')
+          .audioBitrate('128k')
+          .outputOptions('-movflags +faststart');
+        break;
+
+      case 'webm-vp9':
+        command
+          .videoCodec('libvpx-vp9')
+          // Constant quality (-b:v 0 lifts the bitrate cap)
+          .outputOptions(['-crf 32', '-b:v 0', '-row-mt 1', '-deadline good', '-cpu-used 2', '-pix_fmt yuv420p'])
+          .audioCodec('libopus')
+          .audioBitrate('128k');
+        break;
+
+      case 'gif':
+        // Loop forever
+        command.outputOptions(['-loop 0']);
+        break;
+
+      case 'webp':
+        command
+          .videoCodec('libwebp')
+          .outputOptions(['-lossless 0', '-quality 75', '-compression_level 4', '-pix_fmt yuv420p', '-loop 0']);
+        break;
+
+      default:
+        command
+          .videoCodec('libx264')
+          .outputOptions([
+            '-preset medium',
+            '-crf 23',
+            '-pix_fmt yuv420p'
+          ])
+          .audioCodec('aac')
+          .audioBitrate('128k')
+          .outputOptions('-movflags +faststart');
+    }
+  }
+
+  /**
+   * Build the audio filter graph, labelled [aout]
    * @private
    * @param {Object} config - Configuration object
    * @param {number} fadeOutStart - When to start fade out
-   * @returns {string} Video filter string
+   * @param {boolean} useBackgroundAudio - Whether input 0 has audio to mix in
+   * @param {boolean} [useVoiceover=false] - Whether input 3 is a narration track
+   * @returns {string} Audio filter graph string
    */
-  _buildVideoFilter(config, fadeOutStart) {
-    // Video processing chain:
-    // 1. Scale to target dimensions
-    // 2. Set sample aspect ratio to 1:1
-    // 3. Convert to YUV420P pixel format
-    // 4. Apply fade in effect
-    // 5. Apply fade out effect
+  _buildAudioFilter(config, fadeOutStart, useBackgroundAudio, useVoiceover = false) {
+    const bed = this._buildMusicBedFilter(config, fadeOutStart, useBackgroundAudio, useVoiceover ? 'bed' : 'aout');
+
+    if (!useVoiceover) {
+      return bed;
+    }
+
+    // Narration (input 3) starts once the fade-in completes and is padded with
+    // silence to the video duration. It keys a compressor that ducks the bed.
+    const delayMs = Math.round(config.fadeInDuration * 1000);
     return [
-      `[0:v]scale=${config.width}:${config.height}:force_original_aspect_ratio=decrease`,
-  `pad=${config.width}:${config.height}:(ow-iw)/2:(oh-ih)/2:black`,
-  'setsar=1',
-  'format=yuv420p',
-  // Slow ken-burns zoom-in over the full duration
-  'zoompan=z=\'if(lte(zoom,1.0),1.5,max(1.0,zoom-0.0015))\':d=1+x=iw/2-(iw/zoom)/2:y=ih/2-(ih/zoom)/2',
-  `fade=t=in:st=0:d=${config.fadeInDuration}`,
-  `fade=t=out:st=${fadeOutStart}:d=${config.fadeOutDuration}[video_out]`
-].join(',');
+      bed,
+      `[3:a]adelay=${delayMs}:all=1,apad,atrim=0:${config.duration},asplit=2[voice][voicekey]`,
+      '[bed][voicekey]sidechaincompress=threshold=0.02:ratio=10:attack=10:release=500[duckedbed]',
+      '[duckedbed][voice]amix=inputs=2:duration=first:normalize=0[aout]'
+    ].join(';');
   }
 
   /**
-   * Build the audio filter chain
+   * Build the music graph (with the background clip's audio, if used)
    * @private
    * @param {Object} config - Configuration object
    * @param {number} fadeOutStart - When to start fade out
-   * @returns {string} Audio filter string
+   * @param {boolean} useBackgroundAudio - Whether input 0 has audio to mix in
+   * @param {string} outputLabel - Label of the resulting stream
+   * @returns {string} Audio filter graph string
    */
-  _buildAudioFilter(config, fadeOutStart) {
-    // Audio processing chain:
-    // 1. Apply fade in effect
-    // 2. Apply fade out effect
-    // 3. Adjust volume
-    return [
-      `[1:a]afade=t=in:st=0:d=${config.fadeInDuration}`,
+  _buildMusicBedFilter(config, fadeOutStart, useBackgroundAudio, outputLabel) {
+    // Music chain (input 2, already looped by -stream_loop):
+    // 1. Trim to the video duration
+    // 2. Apply fade in effect
+    // 3. Apply fade out effect
+    // 4. Adjust volume
+    const music = [
+      `[2:a]atrim=0:${config.duration}`,
+      'asetpts=PTS-STARTPTS',
+      `afade=t=in:st=0:d=${config.fadeInDuration}`,
       `afade=t=out:st=${fadeOutStart}:d=${config.fadeOutDuration}`,
-      `volume=${config.audioVolume}[audio_out]`
+      `volume=${config.audioVolume}`
+    ].join(',');
+
+    if (!useBackgroundAudio) {
+      return `${music}[${outputLabel}]`;
+    }
+
+    // The background video is looped by a filter, which leaves its audio alone,
+    // so loop the audio separately
+    const background = [
+      '[0:a]aloop=loop=-1:size=2147483647',
+      `atrim=0:${config.duration}`,
+      'asetpts=PTS-STARTPTS',
+      `volume=${config.backgroundVolume}`
     ].join(',');
+    const mix = 'amix=inputs=2:duration=first:normalize=0';
+
+    if (config.backgroundAudio === 'duck') {
+      // Lower the music while the background clip is audible
+      return [
+        `${music}[music]`,
+        `${background},asplit=2[bg][bgkey]`,
+        '[music][bgkey]sidechaincompress=threshold=0.05:ratio=8:attack=20:release=400[ducked]',
+        `[ducked][bg]${mix}[${outputLabel}]`
+      ].join(';');
+    }
+
+    return [
+      `${music}[music]`,
+      `${background}[bg]`,
+      `[music][bg]${mix}[${outputLabel}]`
+    ].join(';');
+  }
+
+  /**
+   * Write an ffconcat list that shows each reveal frame for its share of the
+   * reveal duration, then holds the final screenshot for the rest of the video
+   * @private
+   * @param {string} screenshotPath - Fully revealed screenshot
+   * @param {Array<{path: string, weight: number}>} revealFrames - Reveal states in order
+   * @param {Object} config - Configuration object
+   * @param {string} outputPath - Output video path; the list is written next to it
+   * @returns {Promise<string>} Path of the list file
+   */
+  async _writeRevealSequence(screenshotPath, revealFrames, config, outputPath) {
+    const totalWeight = revealFrames.reduce((sum, frame) => sum + frame.weight, 0);
+    const quote = (filePath) => `'${filePath.replace(/'/g, "'\\''")}'`;
+    const lines = ['ffconcat version 1.0'];
+
+    for (const frame of revealFrames) {
+      lines.push(`file ${quote(frame.path)}`);
+      lines.push(`duration ${((config.revealDuration * frame.weight) / totalWeight).toFixed(3)}`);
+    }
+
+    // Hold past the end (the output duration trims it); the concat demuxer
+    // ignores the last entry's duration, so the final frame is listed twice
+    lines.push(`file ${quote(screenshotPath)}`);
+    lines.push(`duration ${(config.duration - config.revealDuration + 1).toFixed(3)}`);
+    lines.push(`file ${quote(screenshotPath)}`);
+
+    const sequencePath = `${outputPath}.frames.txt`;
+    await fs.writeFile(sequencePath, lines.join('\n') + '\n');
+
+    console.log(`[VideoComposer] Typewriter reveal: ${revealFrames.length} frame(s) over ${config.revealDuration}s`);
+    return sequencePath;
+  }
+
+  /**
+   * Escape a file path for use as a filter option inside a filter graph
+   * Two levels apply: the option value (\ ' :) and then the graph itself (\ ' [ ] , ;)
+   * @private
+   * @param {string} filePath - Path to escape
+   * @returns {string}
+   */
+  _escapeFilterPath(filePath) {
+    return filePath
+      .replace(/[\\':]/g, '\\$&')
+      .replace(/[\\'[\],;]/g, '\\$&');
+  }
+
+  /**
+   * Remove a temporary file, ignoring errors
+   * @private
+   * @param {string|null} filePath - File to remove
+   */
+  _removeFile(filePath) {
+    if (filePath) {
+      fs.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Check whether a media file has an audio stream
+   * Failures to probe are treated as "no audio" so a clip can never break the music.
+   * @private
+   * @param {string} filePath - Media file path
+   * @returns {Promise<boolean>}
+   */
+  _hasAudioStream(filePath) {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, (error, metadata) => {
+        if (error) {
+          console.warn(`[VideoComposer] Could not probe ${filePath}, ignoring its audio: ${error.message}`);
+          resolve(false);
+          return;
+        }
+
+        const hasAudio = (metadata.streams || []).some(stream => stream.codec_type === 'audio');
+        if (!hasAudio) {
+          console.log('[VideoComposer] Background clip has no audio stream, using music only');
+        }
+        resolve(hasAudio);
+      });
+    });
+  }
+
+  /**
+   * Convert an FFmpeg timemark into a completion percentage
+   * fluent-ffmpeg's own percent is based on the input duration, which is
+   * meaningless for looped inputs, so measure against the output duration.
+   * @private
+   * @param {string} timemark - Timemark in HH:MM:SS.xx format
+   * @param {number} duration - Target output duration in seconds
+   * @returns {number} Percentage between 0 and 100
+   */
+  _calculateProgressPercent(timemark, duration) {
+    const [hours, minutes, seconds] = String(timemark).split(':').map(Number);
+    const elapsed = (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+
+    if (!duration || !Number.isFinite(elapsed)) {
+      return 0;
+    }
+
+    return Math.min(100, Math.max(0, (elapsed / duration) * 100));
   }
 
   /**
@@ -219,7 +837,10 @@ class VideoComposer {
       { name: 'fps', value: config.fps, min: 1, max: 120, integer: true },
       { name: 'fadeInDuration', value: config.fadeInDuration, min: 0, max: config.duration },
       { name: 'fadeOutDuration', value: config.fadeOutDuration, min: 0, max: config.duration },
-      { name: 'audioVolume', value: config.audioVolume, min: 0, max: 2 }
+      { name: 'audioVolume', value: config.audioVolume, min: 0, max: 2 },
+      { name: 'backgroundVolume', value: config.backgroundVolume, min: 0, max: 2 },
+      { name: 'revealDuration', value: config.revealDuration, min: 0.1, max: config.duration },
+      { name: 'transitionDuration', value: config.transitionDuration, min: 0, max: 5 }
     ];
 
     for (const validation of validations) {
@@ -247,6 +868,19 @@ class VideoComposer {
     }
   }
 
+  /**
+   * Abort an in-flight compose() call by killing the FFmpeg process
+   * compose() rejects with 'Video composition aborted'.
+   */
+  abort() {
+    this.aborted = true;
+
+    if (this.command) {
+      console.log('[VideoComposer] Aborting: killing FFmpeg process...');
+      this.command.kill('SIGKILL');
+    }
+  }
+
   /**
    * Check if the composer is initialized
    * @returns {boolean}
@@ -0,0 +1,292 @@
+const axios = require('axios');
+const { generateSignature, getClientSecret, DEFAULT_CLIENT_ID } = require('./signature-verifier');
+const { getCallbackUrlError, callbackHttpAgent, callbackHttpsAgent } = require('./callback-url');
+
+/**
+ * WebhookNotifier - Delivers job completion/failure callbacks
+ *
+ * Listens to JobManager 'job:completed' and 'job:failed' events and POSTs a
+ * JSON payload to the job's callbackUrl. Payloads are signed with the same
+ * HMAC-SHA256 scheme used for incoming requests (see signature-verifier.js):
+ *
+ *   X-Timestamp: Unix timestamp (seconds)
+ *   X-Signature: HMAC-SHA256(timestamp:jsonBody, secret)
+ *
+ * The secret is the key of the client that submitted the job (its
+ * HMAC_CLIENT_SECRETS entry), so each client verifies its callbacks with its
+ * own key; jobs of the default client are signed with HMAC_SECRET.
+ *
+ * Failed deliveries (network errors or non-2xx responses) are retried with
+ * exponential backoff. Every attempt is recorded on the job's
+ * webhookDeliveries log. Callbacks to loopback, private or link-local
+ * addresses are refused and not retried (see callback-url.js).
+ */
+class WebhookNotifier {
+  /**
+   * Creates a WebhookNotifier instance
+   * @param {Object} dependencies - Notifier dependencies
+   * @param {Object} dependencies.jobManager - JobManager instance to subscribe to
+   * @param {string} dependencies.secret - HMAC secret used to sign payloads of the default client
+   * @param {number} [dependencies.maxAttempts=5] - Delivery attempts per event
+   * @param {number} [dependencies.retryDelayMs=2000] - Backoff before the first retry; doubles on each further attempt
+   * @param {number} [dependencies.timeoutMs=10000] - Request timeout per attempt
+   */
+  constructor(dependencies) {
+    if (!dependencies) {
+      throw new Error('Dependencies object is required');
+    }
+
+    if (!dependencies.jobManager) {
+      throw new Error('jobManager is required');
+    }
+
+    if (!dependencies.secret) {
+      throw new Error('secret is required');
+    }
+
+    this.jobManager = dependencies.jobManager;
+    this.secret = dependencies.secret;
+    this.maxAttempts = dependencies.maxAttempts || 5;
+    this.retryDelayMs = dependencies.retryDelayMs || 2000;
+    this.timeoutMs = dependencies.timeoutMs || 10000;
+
+    this.isRunning = false;
+    this.retryTimers = new Set();
+
+    this._onCompleted = (job) => this._handleEvent('job.completed', job);
+    this._onFailed = (job) => this._handleEvent('job.failed', job);
+
+    console.log('[WebhookNotifier] Initialized with configuration:');
+    console.log(`  - Max attempts: ${this.maxAttempts}`);
+    console.log(`  - Retry delay: ${this.retryDelayMs}ms`);
+    console.log(`  - Timeout: ${this.timeoutMs}ms`);
+  }
+
+  /**
+   * Subscribes to job lifecycle events
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('[WebhookNotifier] Notifier is already running');
+      return;
+    }
+
+    this.jobManager.on('job:completed', this._onCompleted);
+    this.jobManager.on('job:failed', this._onFailed);
+    this.isRunning = true;
+    console.log('[WebhookNotifier] Subscribed to job events');
+  }
+
+  /**
+   * Unsubscribes from job events and drops scheduled retries
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.jobManager.off('job:completed', this._onCompleted);
+    this.jobManager.off('job:failed', this._onFailed);
+
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+
+    this.isRunning = false;
+    console.log('[WebhookNotifier] Stopped');
+  }
+
+  /**
+   * Builds the callback payload for a job event
+   * @param {string} event - 'job.completed' | 'job.failed'
+   * @param {Object} job - The job object
+   * @returns {Object} JSON payload
+   */
+  buildPayload(event, job) {
+    const payload = {
+      event,
+      jobId: job.jobId,
+      type: job.type || 'video',
+      status: job.status,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+    };
+
+    if (event === 'job.completed' && job.result) {
+      payload.result = {
+        downloadUrl: job.result.downloadUrl,
+        thumbnailUrl: job.result.thumbnailUrl,
+        expiresAt: job.result.expiresAt,
+        fileSize: job.result.fileSize,
+        duration: job.result.duration,
+        resolution: job.result.resolution,
+        preset: job.result.preset,
+        outputFormat: job.result.outputFormat,
+        background: job.result.background,
+        music: job.result.music,
+        video: job.result.video,
+        voiceover: job.result.voiceover,
+        captions: job.result.captions,
+        thread: job.result.thread,
+        poster: job.result.poster,
+        image: job.result.image,
+      };
+    }
+
+    if (event === 'job.failed' && job.error) {
+      payload.error = {
+        message: job.error.message,
+        failedAt: job.error.failedAt,
+      };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Event handler: starts delivery for jobs with a callback URL
+   * Never throws, so a broken webhook cannot affect the job itself.
+   * @private
+   * @param {string} event - Webhook event name
+   * @param {Object} job - The job object
+   */
+  _handleEvent(event, job) {
+    const callbackUrl = job.request && job.request.callbackUrl;
+    if (!callbackUrl) {
+      return;
+    }
+
+    const payload = this.buildPayload(event, job);
+    const secret = this._getSecret(job);
+    this._deliver(job.jobId, callbackUrl, event, payload, secret, 1).catch(error => {
+      console.error(`[WebhookNotifier] Unexpected delivery error for job ${job.jobId}:`, error);
+    });
+  }
+
+  /**
+   * Performs one delivery attempt and schedules a retry on failure
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {string} url - Callback URL
+   * @param {string} event - Webhook event name
+   * @param {Object} payload - JSON payload
+   * @param {string} secret - HMAC secret to sign with
+   * @param {number} attempt - Attempt number (1-based)
+   */
+  async _deliver(jobId, url, event, payload, secret, attempt) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify(payload);
+    const signature = generateSignature(timestamp, body, secret);
+
+    const delivery = {
+      event,
+      attempt,
+      url,
+      statusCode: null,
+      error: null,
+      success: false,
+      deliveredAt: new Date().toISOString(),
+    };
+
+    // Re-checked here: IP literals do not go through the agents' lookup
+    let retryable = true;
+    const urlError = getCallbackUrlError(url);
+
+    try {
+      if (urlError) {
+        retryable = false;
+        throw new Error(urlError);
+      }
+
+      const response = await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signature': signature,
+          'X-Timestamp': timestamp.toString(),
+          'X-Webhook-Event': event,
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        httpAgent: callbackHttpAgent,
+        httpsAgent: callbackHttpsAgent,
+        proxy: false,
+        validateStatus: () => true,
+      });
+
+      delivery.statusCode = response.status;
+      delivery.success = response.status >= 200 && response.status < 300;
+      if (!delivery.success) {
+        delivery.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      delivery.error = error.message;
+      if (error.code === 'CALLBACK_ADDRESS_BLOCKED' || (error.cause && error.cause.code === 'CALLBACK_ADDRESS_BLOCKED')) {
+        retryable = false;
+      }
+    }
+
+    try {
+      this.jobManager.recordWebhookDelivery(jobId, delivery);
+    } catch (error) {
+      // The job may have been cleaned up in the meantime
+      console.warn(`[WebhookNotifier] Could not record delivery for job ${jobId}: ${error.message}`);
+    }
+
+    if (delivery.success) {
+      console.log(`[WebhookNotifier] Delivered ${event} for job ${jobId} to ${url} (HTTP ${delivery.statusCode})`);
+      return;
+    }
+
+    if (!retryable || attempt >= this.maxAttempts || !this.isRunning) {
+      console.error(`[WebhookNotifier] Giving up on ${event} for job ${jobId} after ${attempt} attempt(s): ${delivery.error}`);
+      return;
+    }
+
+    const delayMs = this.retryDelayMs * Math.pow(2, attempt - 1);
+    console.warn(`[WebhookNotifier] Delivery of ${event} for job ${jobId} failed (${delivery.error}), retrying in ${delayMs}ms`);
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this._deliver(jobId, url, event, payload, secret, attempt + 1).catch(error => {
+        console.error(`[WebhookNotifier] Unexpected delivery error for job ${jobId}:`, error);
+      });
+    }, delayMs);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Picks the secret that signs a job's callbacks: the submitting client's key
+   * @private
+   * @param {Object} job - The job object
+   * @returns {string} HMAC secret
+   */
+  _getSecret(job) {
+    if (!job.clientId || job.clientId === DEFAULT_CLIENT_ID) {
+      return this.secret;
+    }
+
+    const secret = getClientSecret(job.clientId);
+    if (!secret) {
+      // The client's key was removed after the job was submitted
+      console.warn(`[WebhookNotifier] No key configured for client ${job.clientId}, signing job ${job.jobId} with the default secret`);
+      return this.secret;
+    }
+
+    return secret;
+  }
+
+  /**
+   * Gets the current notifier status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      pendingRetries: this.retryTimers.size,
+      maxAttempts: this.maxAttempts,
+    };
+  }
+}
+
+module.exports = { WebhookNotifier };
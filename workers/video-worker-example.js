@@ -9,6 +9,7 @@ const path = require('path');
 const { VideoGenerationWorker } = require('./video-worker.js');
 const { jobManager } = require('../utils/job-manager.js');
 const { createDefaultStorageProvider } = require('../utils/storage');
+const { assetLibrary } = require('../utils/asset-library.js');
 
 /**
  * Initialize and start the video generation worker
@@ -22,12 +23,11 @@ async function startWorker() {
     const storageProvider = createDefaultStorageProvider();
     console.log('Storage provider created\n');
 
-    // 2. Define paths to template and audio
+    // 2. Define the template path; backgrounds and music come from the asset library
     console.log('Step 2: Setting up paths...');
     const templatePath = path.join(__dirname, '../templates/tweet-template.html');
-    const audioPath = path.join(__dirname, '../assets/background-music.mp3');
     console.log(`Template path: ${templatePath}`);
-    console.log(`Audio path: ${audioPath}\n`);
+    console.log(`Assets path: ${assetLibrary.assetsPath}\n`);
 
     // 3. Create worker instance with configuration
     console.log('Step 3: Creating worker instance...');
@@ -35,9 +35,9 @@ async function startWorker() {
       jobManager: jobManager,
       storageProvider: storageProvider,
       templatePath: templatePath,
-      audioPath: audioPath,
+      assetLibrary: assetLibrary,
       maxConcurrentJobs: 2,        // Process up to 2 jobs concurrently
-      pollInterval: 5000,           // Check for new jobs every 5 seconds
+      pollInterval: 30000,         // Safety-net poll; new jobs start on 'job:created'
     });
     console.log('Worker instance created\n');
 
@@ -171,7 +171,7 @@ async function processMultipleJobs(worker) {
 if (require.main === module) {
   console.log('Note: This example requires the following to exist:');
   console.log('  - Template file at: ../templates/tweet-template.html');
-  console.log('  - Audio file at: ../assets/background-music.mp3');
+  console.log('  - Asset files listed in ../assets/manifest.json');
   console.log('  - Proper environment variables set (STORAGE_PATH, etc.)');
   console.log('');
 
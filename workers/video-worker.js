@@ -1,18 +1,65 @@
+// As the standalone entrypoint, load .env before the requires below: they
+// create the job manager and browser pool singletons from the environment
+if (require.main === module) {
+  require('dotenv').config();
+}
+
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
 const { TemplateRenderer } = require('../utils/rendering/template-renderer.js');
-const { ScreenshotGenerator } = require('../utils/rendering/screenshot-generator.js');
+const { ScreenshotGenerator, IMAGE_FORMATS } = require('../utils/rendering/screenshot-generator.js');
+const { browserPool } = require('../utils/rendering/browser-pool.js');
 const { VideoComposer } = require('../utils/video/video-composer.js');
 const { generateSecureFilename, generateDownloadUrl } = require('../utils/url-generator.js');
+const { JobScheduler } = require('../utils/job-scheduler.js');
+const { getOutputPreset } = require('../utils/output-presets.js');
+const { getOutputFormat } = require('../utils/video/output-formats.js');
+const { createDefaultTTSProvider } = require('../utils/tts');
+const { timeCaptionWords, groupCaptionCues, formatCaptions, buildAssSubtitles } = require('../utils/video/captions.js');
+
+// Sidecar caption formats -> Content-Type
+const CAPTION_CONTENT_TYPES = {
+  vtt: 'text/vtt',
+  srt: 'application/x-subrip',
+};
+
+// Failures worth retrying: timeouts (e.g. slow avatar URLs under networkidle0),
+// Chromium crashes/disconnects and dropped network connections
+const RETRYABLE_ERROR_PATTERNS = [
+  /timeout/i,
+  /timed out/i,
+  /target closed/i,
+  /session closed/i,
+  /protocol error/i,
+  /browser has disconnected/i,
+  /crash/i,
+  /ECONNRESET/,
+  /ETIMEDOUT/,
+  /EAI_AGAIN/,
+  /socket hang up/i,
+];
+
+// Upper bound for the exponential retry backoff
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
 
 /**
  * VideoGenerationWorker - Background worker for processing video generation jobs
  *
- * This worker continuously monitors the job queue and processes pending video generation jobs.
+ * This worker processes pending video generation jobs as they arrive. It is woken by the
+ * JobManager 'job:created' event and whenever one of its own jobs frees a slot; a slow
+ * poll remains as a safety net (e.g. for retries whose backoff has elapsed).
  * It handles the complete pipeline from HTML rendering to video composition and storage.
  *
+ * Jobs are claimed with a lease that is renewed by a heartbeat while the job runs.
+ * With a file-backed job store, several workers can therefore share one queue:
+ * the embedded worker in server.js and/or standalone processes started with
+ * `node workers/video-worker.js --standalone`. If a worker dies, its leases
+ * expire and another worker re-queues the jobs.
+ *
  * Features:
  * - Concurrent job processing with configurable limits
+ * - Priority ordering with round-robin fairness across API clients
  * - Comprehensive error handling and recovery
  * - Detailed progress tracking at each step
  * - Automatic cleanup of temporary files
@@ -25,9 +72,12 @@ class VideoGenerationWorker {
    * @param {Object} dependencies.jobManager - JobManager instance for job lifecycle management
    * @param {Object} dependencies.storageProvider - Storage provider instance for file persistence
    * @param {string} dependencies.templatePath - Absolute path to the HTML template file
-   * @param {string} dependencies.audioPath - Absolute path to the background music file
+   * @param {Object} dependencies.assetLibrary - AssetLibrary resolving the job's background and music by name
    * @param {number} [dependencies.maxConcurrentJobs=2] - Maximum number of jobs to process concurrently
-   * @param {number} [dependencies.pollInterval=5000] - Polling interval in milliseconds
+   * @param {number} [dependencies.pollInterval=30000] - Safety-net polling interval in milliseconds
+   * @param {number} [dependencies.retryBaseDelayMs=5000] - Backoff before the first retry; doubles on each further attempt
+   * @param {string} [dependencies.workerId] - Unique worker identifier used for leases (default: hostname-pid)
+   * @param {number} [dependencies.leaseMs=30000] - Job lease duration; renewed every leaseMs/3 while a job runs
    */
   constructor(dependencies) {
     // Validate required dependencies
@@ -47,36 +97,49 @@ class VideoGenerationWorker {
       throw new Error('templatePath is required');
     }
 
-    if (!dependencies.audioPath) {
-      throw new Error('audioPath is required');
+    if (!dependencies.assetLibrary) {
+      throw new Error('assetLibrary is required');
     }
 
     // Store dependencies
     this.jobManager = dependencies.jobManager;
     this.storageProvider = dependencies.storageProvider;
     this.templatePath = dependencies.templatePath;
-    this.audioPath = dependencies.audioPath;
+    this.assetLibrary = dependencies.assetLibrary;
     this.maxConcurrentJobs = dependencies.maxConcurrentJobs || 2;
-    this.pollInterval = dependencies.pollInterval || 5000;
+    this.pollInterval = dependencies.pollInterval || 30000;
+    this.retryBaseDelayMs = dependencies.retryBaseDelayMs || 5000;
+    this.workerId = dependencies.workerId || `${os.hostname()}-${process.pid}`;
+    this.leaseMs = dependencies.leaseMs || 30000;
 
     // Worker state
     this.isRunning = false;
     this.intervalId = null;
+    this.retryTimer = null; // Wakes the worker when the earliest retry backoff elapses
+    this.dispatchScheduled = false;
     this.currentJobCount = 0;
     this.processingJobs = new Set(); // Track jobs currently being processed
+    this.activeJobs = new Map(); // jobId -> { screenshotGenerator, videoComposer } for aborting
+    this.scheduler = new JobScheduler();
+
+    this._onJobCreated = () => this._scheduleDispatch();
 
     // Get storage TTL from environment
     this.storageTtlHours = parseInt(process.env.STORAGE_TTL_HOURS || '1', 10); // 1 hour = 3600 seconds
+    this.imageTtlHours = parseFloat(process.env.IMAGE_TTL_HOURS) || this.storageTtlHours;
 
     // Get base URL for download URLs
     this.baseUrl = process.env.BASE_URL || 'http://localhost:3000';
 
     console.log('[VideoGenerationWorker] Worker initialized with configuration:');
     console.log(`  - Template path: ${this.templatePath}`);
-    console.log(`  - Audio path: ${this.audioPath}`);
+    console.log(`  - Assets path: ${this.assetLibrary.assetsPath}`);
     console.log(`  - Max concurrent jobs: ${this.maxConcurrentJobs}`);
     console.log(`  - Poll interval: ${this.pollInterval}ms`);
-    console.log(`  - Storage TTL: ${this.storageTtlHours} hours`);
+    console.log(`  - Retry base delay: ${this.retryBaseDelayMs}ms`);
+    console.log(`  - Worker ID: ${this.workerId}`);
+    console.log(`  - Lease duration: ${this.leaseMs}ms`);
+    console.log(`  - Storage TTL: ${this.storageTtlHours} hours (images: ${this.imageTtlHours} hours)`);
     console.log(`  - Base URL: ${this.baseUrl}`);
   }
 
@@ -93,8 +156,15 @@ class VideoGenerationWorker {
     console.log('[VideoGenerationWorker] Starting worker...');
     this.isRunning = true;
 
-    // Start the polling loop
+    // Jobs left in 'processing' by a stopped worker will never finish on their own
+    this._recoverInterruptedJobs();
+
+    // Start new jobs as soon as they are created
+    this.jobManager.on('job:created', this._onJobCreated);
+
+    // Safety-net polling loop, which also recovers jobs of dead workers
     this.intervalId = setInterval(() => {
+      this._recoverInterruptedJobs();
       this.processQueue().catch(error => {
         console.error('[VideoGenerationWorker] Error in processQueue:', error);
       });
@@ -121,12 +191,19 @@ class VideoGenerationWorker {
     console.log('[VideoGenerationWorker] Stopping worker...');
     this.isRunning = false;
 
-    // Clear the interval
+    // Stop reacting to new jobs and clear the timers
+    this.jobManager.off('job:created', this._onJobCreated);
+
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
 
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
     // Wait for currently processing jobs to complete
     const maxWaitTime = 60000; // 60 seconds
     const waitInterval = 1000; // 1 second
@@ -146,8 +223,64 @@ class VideoGenerationWorker {
   }
 
   /**
-   * Checks for pending jobs and processes them
-   * Respects maxConcurrentJobs limit
+   * Re-queues processing jobs whose worker lease has expired
+   * @private
+   */
+  _recoverInterruptedJobs() {
+    try {
+      const requeued = this.jobManager.requeueInterruptedJobs();
+      if (requeued > 0) {
+        console.log(`[VideoGenerationWorker] Re-queued ${requeued} job(s) whose worker stopped`);
+      }
+    } catch (error) {
+      console.error('[VideoGenerationWorker] Failed to re-queue interrupted jobs:', error);
+    }
+  }
+
+  /**
+   * Coalesces wake-ups (e.g. one per job of a batch) into a single processQueue run
+   * @private
+   */
+  _scheduleDispatch() {
+    if (!this.isRunning || this.dispatchScheduled) {
+      return;
+    }
+
+    this.dispatchScheduled = true;
+    setImmediate(() => {
+      this.dispatchScheduled = false;
+      this.processQueue().catch(error => {
+        console.error('[VideoGenerationWorker] Error in processQueue:', error);
+      });
+    });
+  }
+
+  /**
+   * Arms a timer for the earliest retry whose backoff has not elapsed yet
+   * @private
+   * @param {Array<Object>} deferredJobs - Pending jobs with a future nextAttemptAt
+   */
+  _scheduleRetryWakeup(deferredJobs) {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    if (!this.isRunning || deferredJobs.length === 0) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...deferredJobs.map(job => new Date(job.nextAttemptAt).getTime()));
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this._scheduleDispatch();
+    }, Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  /**
+   * Checks for pending jobs and starts as many as there are free slots
+   * Respects maxConcurrentJobs limit. Jobs are claimed synchronously and run in
+   * the background; each one triggers another dispatch when it finishes.
    */
   async processQueue() {
     try {
@@ -156,8 +289,23 @@ class VideoGenerationWorker {
         return;
       }
 
-      // Get pending jobs
-      const pendingJobs = this.jobManager.getJobsByStatus('pending');
+      // Get pending jobs, holding back retries whose backoff has not elapsed yet
+      const now = Date.now();
+      const pendingJobs = [];
+      const deferredJobs = [];
+      for (const job of this.jobManager.getJobsByStatus('pending')) {
+        if (this.processingJobs.has(job.jobId)) {
+          continue;
+        }
+
+        if (job.nextAttemptAt && new Date(job.nextAttemptAt).getTime() > now) {
+          deferredJobs.push(job);
+        } else {
+          pendingJobs.push(job);
+        }
+      }
+
+      this._scheduleRetryWakeup(deferredJobs);
 
       if (pendingJobs.length === 0) {
         return;
@@ -165,27 +313,25 @@ class VideoGenerationWorker {
 
       console.log(`[VideoGenerationWorker] Found ${pendingJobs.length} pending job(s)`);
 
-      // Calculate how many jobs we can process
+      // Calculate how many jobs we can process, then pick them by priority and client fairness
       const availableSlots = this.maxConcurrentJobs - this.currentJobCount;
-      const jobsToProcess = pendingJobs.slice(0, availableSlots);
+      const jobsToProcess = this.scheduler.selectJobs(pendingJobs, availableSlots);
 
       console.log(`[VideoGenerationWorker] Processing ${jobsToProcess.length} job(s) (${availableSlots} slots available)`);
 
-      // Process jobs in parallel
-      const processingPromises = jobsToProcess.map(job => {
-        // Skip if already processing (race condition protection)
-        if (this.processingJobs.has(job.jobId)) {
-          console.warn(`[VideoGenerationWorker] Job ${job.jobId} is already being processed, skipping`);
-          return Promise.resolve();
-        }
-
+      // Start jobs in parallel. processJob claims its slot and the job's lease
+      // before its first await, so the next dispatch cannot pick it again.
+      for (const job of jobsToProcess) {
         this.processingJobs.add(job.jobId);
-        return this.processJob(job.jobId).finally(() => {
-          this.processingJobs.delete(job.jobId);
-        });
-      });
-
-      await Promise.allSettled(processingPromises);
+        this.processJob(job.jobId)
+          .catch(error => {
+            console.error(`[VideoGenerationWorker] Unexpected error processing job ${job.jobId}:`, error);
+          })
+          .finally(() => {
+            this.processingJobs.delete(job.jobId);
+            this._scheduleDispatch();
+          });
+      }
 
     } catch (error) {
       console.error('[VideoGenerationWorker] Error in processQueue:', error);
@@ -202,7 +348,16 @@ class VideoGenerationWorker {
     console.log(`[VideoGenerationWorker] Current job count: ${this.currentJobCount}/${this.maxConcurrentJobs}`);
 
     let screenshotPath = null;
+    let revealFrames = [];
+    const segments = [];
+    let voiceoverPath = null;
+    let captionsPath = null;
+    let posterPath = null;
     let videoPath = null;
+    const savedFilenames = [];
+    const handles = { screenshotGenerator: null, ttsProvider: null, videoComposer: null, heartbeat: null, leaseLost: false };
+    let claimed = false;
+    this.activeJobs.set(jobId, handles);
 
     try {
       // Get job details
@@ -213,64 +368,225 @@ class VideoGenerationWorker {
 
       console.log(`[VideoGenerationWorker] Job ${jobId} details:`, JSON.stringify(job.request, null, 2));
 
-      // Update status to processing
-      this.jobManager.updateJobStatus(jobId, 'processing');
-      console.log(`[VideoGenerationWorker] Job ${jobId} status updated to 'processing'`);
+      // The job may have been cancelled after it was picked from the queue
+      this._throwIfCancelled(jobId, handles);
+
+      // Take the job's lease, update status to processing and open a new attempt.
+      // Another worker sharing the queue may have claimed it first.
+      const attempt = this.jobManager.claimJob(jobId, this.workerId, this.leaseMs);
+      if (attempt === null) {
+        console.log(`[VideoGenerationWorker] Job ${jobId} was claimed by another worker, skipping`);
+        return;
+      }
+      claimed = true;
+      handles.heartbeat = setInterval(() => this._heartbeat(jobId, handles), Math.floor(this.leaseMs / 3));
+      console.log(`[VideoGenerationWorker] Job ${jobId} status updated to 'processing' (attempt ${attempt})`);
 
       // ============================================================
       // STEP 1: Generate screenshot (20%)
       // ============================================================
+      this._throwIfCancelled(jobId, handles);
       this.jobManager.updateJobProgress(jobId, 'generating_screenshot', 20);
       console.log(`[VideoGenerationWorker] Job ${jobId} - Step 1: Generating screenshot`);
 
-      // Create template renderer
-      const templateRenderer = new TemplateRenderer(this.templatePath);
+      // The output preset sizes the page, the screenshot viewport and the video frame
+      const preset = getOutputPreset(job.request.preset);
+      const frame = { width: preset.width, height: preset.height };
+      console.log(`[VideoGenerationWorker] Job ${jobId} - Output preset: ${preset.name} (${preset.width}x${preset.height})`);
 
-      // Render HTML with job data
-      const html = await templateRenderer.render({
-        theme: job.request.theme || 'dark',
-        profilePhotoUrl: job.request.profilePhotoUrl,
-        profileName: job.request.profileName,
-        username: job.request.username,
-        tweetBody: job.request.tweetBody,
-      });
+      // The typewriter reveal needs one screenshot per reveal state
+      const reveal = (job.request.video || {}).reveal === 'typewriter';
 
-      console.log(`[VideoGenerationWorker] Job ${jobId} - HTML rendered successfully`);
+      // A thread is rendered as one card per tweet
+      const thread = Array.isArray(job.request.tweets) && job.request.tweets.length > 0 ? job.request.tweets : null;
+
+      // Create template renderer
+      const templateRenderer = new TemplateRenderer(this.templatePath);
 
-      // Generate screenshot
       screenshotPath = `/tmp/${jobId}-screenshot.png`;
       const screenshotGenerator = new ScreenshotGenerator();
-      await screenshotGenerator.generate(html, screenshotPath);
+      handles.screenshotGenerator = screenshotGenerator;
+
+      // Image jobs stop at the card
+      if (job.type === 'image') {
+        const image = job.request.image || {};
+        const imageFormat = IMAGE_FORMATS[image.format] || IMAGE_FORMATS.png;
+        screenshotPath = `/tmp/${jobId}-screenshot.${imageFormat.extension}`;
+
+        const html = await templateRenderer.render({
+          theme: job.request.theme || 'dark',
+          profilePhotoUrl: job.request.profilePhotoUrl,
+          profileName: job.request.profileName,
+          username: job.request.username,
+          tweetBody: job.request.tweetBody,
+          media: job.request.media,
+          linkCard: job.request.linkCard,
+          quoteTweet: job.request.quoteTweet,
+        }, frame);
+
+        await screenshotGenerator.generate(html, screenshotPath, { ...frame, ...image });
+        console.log(`[VideoGenerationWorker] Job ${jobId} - Image saved to: ${screenshotPath}`);
+
+        await this._completeImageJob(jobId, job, screenshotPath, preset, handles, savedFilenames);
+        await this._cleanupTempFiles(jobId, screenshotPath, null);
+
+        console.log(`[VideoGenerationWorker] ===== Job ${jobId} finished successfully =====`);
+        return;
+      }
+
+      if (thread) {
+        // Thread cards are written next to screenshotPath, in order
+        for (let index = 0; index < thread.length; index++) {
+          this._throwIfCancelled(jobId, handles);
+          const tweet = thread[index];
+
+          const html = await templateRenderer.render({
+            theme: job.request.theme || 'dark',
+            profilePhotoUrl: tweet.profilePhotoUrl,
+            profileName: tweet.profileName,
+            username: tweet.username,
+            tweetBody: tweet.tweetBody,
+            media: tweet.media,
+            linkCard: tweet.linkCard,
+            quoteTweet: tweet.quoteTweet,
+          }, frame);
+
+          const segmentPath = `/tmp/${jobId}-screenshot-tweet-${String(index).padStart(2, '0')}.png`;
+          await screenshotGenerator.generate(html, segmentPath, frame);
+          segments.push({ path: segmentPath, duration: tweet.duration });
+
+          console.log(`[VideoGenerationWorker] Job ${jobId} - Thread tweet ${index + 1}/${thread.length} saved to: ${segmentPath}`);
+        }
+      } else {
+        // Render HTML with job data
+        const html = await templateRenderer.render({
+          theme: job.request.theme || 'dark',
+          profilePhotoUrl: job.request.profilePhotoUrl,
+          profileName: job.request.profileName,
+          username: job.request.username,
+          tweetBody: job.request.tweetBody,
+          media: job.request.media,
+          linkCard: job.request.linkCard,
+          quoteTweet: job.request.quoteTweet,
+        }, { ...frame, reveal });
+
+        console.log(`[VideoGenerationWorker] Job ${jobId} - HTML rendered successfully`);
+
+        // Generate screenshot
+        if (reveal) {
+          ({ revealFrames } = await screenshotGenerator.generateRevealFrames(html, screenshotPath, frame));
+        } else {
+          await screenshotGenerator.generate(html, screenshotPath, frame);
+        }
+
+        console.log(`[VideoGenerationWorker] Job ${jobId} - Screenshot saved to: ${screenshotPath}` +
+          (reveal ? ` (+${revealFrames.length} reveal frames)` : ''));
+      }
 
-      console.log(`[VideoGenerationWorker] Job ${jobId} - Screenshot saved to: ${screenshotPath}`);
+      // ============================================================
+      // STEP 1b: Generate voiceover (40%, optional)
+      // ============================================================
+      let voiceover = null;
+      if (job.request.voiceover) {
+        this._throwIfCancelled(jobId, handles);
+        this.jobManager.updateJobProgress(jobId, 'generating_voiceover', 40);
+        console.log(`[VideoGenerationWorker] Job ${jobId} - Step 1b: Generating voiceover`);
+
+        const ttsProvider = createDefaultTTSProvider();
+        handles.ttsProvider = ttsProvider;
+        voiceoverPath = `/tmp/${jobId}-voiceover.wav`;
+        voiceover = await ttsProvider.synthesize(job.request.tweetBody, voiceoverPath, {
+          voice: job.request.voiceover.voice,
+          rate: job.request.voiceover.rate,
+        });
+        voiceover.voice = job.request.voiceover.voice || ttsProvider.voice;
+        voiceover.rate = job.request.voiceover.rate || ttsProvider.rate;
+
+        console.log(`[VideoGenerationWorker] Job ${jobId} - Voiceover ready: ${voiceover.duration.toFixed(2)}s`);
+      }
 
       // ============================================================
       // STEP 2: Compose video (60%)
       // ============================================================
+      this._throwIfCancelled(jobId, handles);
       this.jobManager.updateJobProgress(jobId, 'composing_video', 60);
       console.log(`[VideoGenerationWorker] Job ${jobId} - Step 2: Composing video`);
 
       // Initialize video composer
       const videoComposer = new VideoComposer();
+      handles.videoComposer = videoComposer;
       await videoComposer.initialize();
 
-      // Generate video
-      videoPath = `/tmp/${jobId}-video.mp4`;
-      await videoComposer.compose(screenshotPath, this.audioPath, videoPath, {
-        duration: 3600,
-        width: 1080,
-        height: 1920,
-        fps: 30,
-        fadeInDuration: 0.5,
-        fadeOutDuration: 0.5,
-        audioVolume: 0.3,
+      // Resolve the job's assets now rather than at creation, so a missing file fails the attempt
+      const background = this.assetLibrary.resolve('background', job.request.background);
+      const music = this.assetLibrary.resolve('music', job.request.music);
+      console.log(`[VideoGenerationWorker] Job ${jobId} - Assets: background "${background.name}", music "${music.name}"`);
+
+      // Generate video with the job's composition options (validated when the job was created)
+      const outputFormat = getOutputFormat(job.request.outputFormat);
+      videoPath = `/tmp/${jobId}-video.${outputFormat.extension}`;
+      // A voiceover stretches the duration to fit the narration
+      const videoOptions = videoComposer.resolveOptions({
+        ...(job.request.video || {}),
+        ...frame,
+        voiceoverDuration: voiceover ? voiceover.duration : null,
+        segmentDurations: segments.length > 0 ? segments.map(segment => segment.duration) : null,
+        format: outputFormat.name,
+      });
+
+      // Captions follow the narration when there is one, otherwise the typewriter reveal
+      const captionOptions = job.request.captions || null;
+      let captionCues = null;
+      if (captionOptions) {
+        const span = voiceover
+          ? { start: videoOptions.fadeInDuration, duration: voiceover.duration }
+          : { start: 0, duration: videoOptions.revealDuration };
+        captionCues = groupCaptionCues(timeCaptionWords(job.request.tweetBody, span.start, span.duration));
+
+        if (captionOptions.mode !== 'sidecar') {
+          captionsPath = `/tmp/${jobId}-captions.ass`;
+          await fs.writeFile(captionsPath, buildAssSubtitles(captionCues, captionOptions, frame));
+        }
+
+        console.log(`[VideoGenerationWorker] Job ${jobId} - Captions: ${captionCues.length} cue(s) timed to the ${voiceover ? 'voiceover' : 'reveal'}`);
+      }
+      await videoComposer.compose(segments.length > 0 ? segments[0].path : screenshotPath, music.path, videoPath, {
+        ...videoOptions,
+        backgroundPath: background.path,
+        voiceoverPath,
+        captionsPath,
+        revealFrames,
+        segments,
+        // Map encoding progress onto the 60-80% band of the job
+        onProgress: (percent) => this._reportComposeProgress(jobId, percent),
       });
 
       console.log(`[VideoGenerationWorker] Job ${jobId} - Video composed successfully: ${videoPath}`);
 
+      // Animated formats are downscaled from the frame
+      const outputScale = outputFormat.scale || 1;
+      const outputWidth = Math.round(videoOptions.width * outputScale);
+      const outputHeight = Math.round(videoOptions.height * outputScale);
+      const resolution = `${outputWidth}x${outputHeight}`;
+
+      // ============================================================
+      // STEP 2b: Extract poster frame
+      // ============================================================
+      // The fully rendered card (a thread's first tweet), or a moment of the video if the job asked for one
+      this._throwIfCancelled(jobId, handles);
+      const posterTime = job.request.poster ? job.request.poster.time : null;
+      posterPath = `/tmp/${jobId}-poster.jpg`;
+      await videoComposer.extractPoster(
+        typeof posterTime === 'number' ? videoPath : (segments.length > 0 ? segments[0].path : screenshotPath),
+        posterPath,
+        { time: posterTime, width: outputWidth, height: outputHeight }
+      );
+      console.log(`[VideoGenerationWorker] Job ${jobId} - Poster extracted: ${posterPath}`);
+
       // ============================================================
       // STEP 3: Save to storage (80%)
       // ============================================================
+      this._throwIfCancelled(jobId, handles);
       this.jobManager.updateJobProgress(jobId, 'saving_file', 80);
       console.log(`[VideoGenerationWorker] Job ${jobId} - Step 3: Saving to storage`);
 
@@ -279,7 +595,7 @@ class VideoGenerationWorker {
       console.log(`[VideoGenerationWorker] Job ${jobId} - Video file read: ${videoBuffer.length} bytes`);
 
       // Generate secure filename
-      const filename = generateSecureFilename(jobId, 'mp4');
+      const filename = generateSecureFilename(jobId, outputFormat.extension);
       console.log(`[VideoGenerationWorker] Job ${jobId} - Secure filename: ${filename}`);
 
       // Calculate expiration time
@@ -288,10 +604,11 @@ class VideoGenerationWorker {
       // Save to storage
       const saveResult = await this.storageProvider.save(filename, videoBuffer, {
         jobId,
-        contentType: 'video/mp4',
-        duration: 3600,  // 1 hour - plenty of time to download
-        resolution: '1080x1920',
+        contentType: outputFormat.contentType,
+        duration: videoOptions.duration,
+        resolution,
       });
+      savedFilenames.push(filename);
 
       console.log(`[VideoGenerationWorker] Job ${jobId} - File saved to storage:`, saveResult);
 
@@ -302,18 +619,87 @@ class VideoGenerationWorker {
       // Get file size
       const fileSize = videoBuffer.length;
 
+      // Save the poster next to the video, under the same name
+      const posterFilename = filename.replace(/\.[^.]+$/, '.jpg');
+      await this.storageProvider.save(posterFilename, await fs.readFile(posterPath), {
+        jobId,
+        contentType: 'image/jpeg',
+        resolution,
+      });
+      savedFilenames.push(posterFilename);
+      const thumbnailUrl = generateDownloadUrl(this.baseUrl, posterFilename);
+      console.log(`[VideoGenerationWorker] Job ${jobId} - Poster saved to storage: ${posterFilename}`);
+
+      // Save sidecar captions next to the video, under the same name
+      let captions = null;
+      if (captionOptions) {
+        captions = {
+          mode: captionOptions.mode,
+          format: captionOptions.format,
+          timing: voiceover ? 'voiceover' : 'reveal',
+          cues: captionCues.length,
+          downloadUrl: null,
+        };
+
+        if (captionOptions.mode !== 'burn') {
+          const captionsFilename = filename.replace(/\.[^.]+$/, `.${captionOptions.format}`);
+          await this.storageProvider.save(captionsFilename, Buffer.from(formatCaptions(captionCues, captionOptions)), {
+            jobId,
+            contentType: CAPTION_CONTENT_TYPES[captionOptions.format],
+          });
+          savedFilenames.push(captionsFilename);
+          captions.downloadUrl = generateDownloadUrl(this.baseUrl, captionsFilename);
+
+          console.log(`[VideoGenerationWorker] Job ${jobId} - Captions saved to storage: ${captionsFilename}`);
+        }
+      }
+
       // ============================================================
       // STEP 4: Complete job
       // ============================================================
       console.log(`[VideoGenerationWorker] Job ${jobId} - Step 4: Marking job as completed`);
+      this._throwIfCancelled(jobId, handles);
 
       this.jobManager.setJobCompleted(jobId, {
         filename,
         downloadUrl,
+        thumbnailUrl,
         expiresAt,
         fileSize,
-        duration: 3600,
-        resolution: '1080x1920',
+        duration: videoOptions.duration,
+        resolution,
+        preset: preset.name,
+        outputFormat: outputFormat.name,
+        background: background.name,
+        music: music.name,
+        video: {
+          duration: videoOptions.duration,
+          fps: videoOptions.fps,
+          fadeInDuration: videoOptions.fadeInDuration,
+          fadeOutDuration: videoOptions.fadeOutDuration,
+          audioVolume: videoOptions.audioVolume,
+          backgroundAudio: videoOptions.backgroundAudio,
+          backgroundVolume: videoOptions.backgroundVolume,
+          motion: videoOptions.motion,
+          reveal: videoOptions.reveal,
+          revealDuration: videoOptions.revealDuration,
+          transition: videoOptions.transition,
+          transitionDuration: videoOptions.transitionDuration,
+        },
+        thread: segments.length > 0 ? {
+          tweets: segments.length,
+          durations: segments.map(segment => segment.duration),
+        } : null,
+        voiceover: voiceover ? {
+          voice: voiceover.voice,
+          rate: voiceover.rate,
+          duration: Math.round(voiceover.duration * 100) / 100,
+        } : null,
+        captions,
+        poster: {
+          source: typeof posterTime === 'number' ? 'frame' : 'card',
+          time: typeof posterTime === 'number' ? posterTime : null,
+        },
       });
 
       console.log(`[VideoGenerationWorker] Job ${jobId} - Completed successfully`);
@@ -321,44 +707,318 @@ class VideoGenerationWorker {
       // ============================================================
       // STEP 5: Cleanup temporary files
       // ============================================================
-      await this._cleanupTempFiles(jobId, screenshotPath, videoPath);
+      await this._cleanupTempFiles(jobId, screenshotPath, videoPath, voiceoverPath, captionsPath, posterPath);
 
       console.log(`[VideoGenerationWorker] ===== Job ${jobId} finished successfully =====`);
 
     } catch (error) {
+      if (error.code === 'JOB_LEASE_LOST' || handles.leaseLost) {
+        // The job has been re-queued for another worker; leave its state alone
+        console.warn(`[VideoGenerationWorker] Job ${jobId} - Lease lost, abandoning this attempt`);
+
+        await this._deleteStoredFiles(jobId, savedFilenames);
+
+        await this._cleanupTempFiles(jobId, screenshotPath, videoPath, voiceoverPath, captionsPath, posterPath);
+        return;
+      }
+
+      if (error.code === 'JOB_CANCELLED' || this.jobManager.isJobCancelled(jobId)) {
+        console.log(`[VideoGenerationWorker] Job ${jobId} was cancelled, stopping pipeline`);
+
+        // Don't leave an orphaned video behind for a cancelled job
+        await this._deleteStoredFiles(jobId, savedFilenames);
+
+        await this._cleanupTempFiles(jobId, screenshotPath, videoPath, voiceoverPath, captionsPath, posterPath);
+        console.log(`[VideoGenerationWorker] ===== Job ${jobId} cancelled =====`);
+        return;
+      }
+
       console.error(`[VideoGenerationWorker] Job ${jobId} failed with error:`, error);
       console.error(`[VideoGenerationWorker] Error stack:`, error.stack);
 
-      // Set job as failed
-      try {
-        this.jobManager.setJobFailed(jobId, error.message, error.stack);
-        console.log(`[VideoGenerationWorker] Job ${jobId} marked as failed in job manager`);
-      } catch (managerError) {
-        console.error(`[VideoGenerationWorker] Failed to update job status for ${jobId}:`, managerError);
-      }
+      this._recordJobFailure(jobId, error);
 
       // Cleanup temporary files even on failure
-      await this._cleanupTempFiles(jobId, screenshotPath, videoPath);
+      await this._cleanupTempFiles(jobId, screenshotPath, videoPath, voiceoverPath, captionsPath, posterPath);
 
       console.error(`[VideoGenerationWorker] ===== Job ${jobId} finished with error =====`);
 
     } finally {
+      if (handles.heartbeat) {
+        clearInterval(handles.heartbeat);
+      }
+      if (claimed && !handles.leaseLost) {
+        try {
+          this.jobManager.releaseJobLease(jobId, this.workerId);
+        } catch (error) {
+          console.error(`[VideoGenerationWorker] Job ${jobId} - Failed to release lease:`, error.message);
+        }
+      }
+      this.activeJobs.delete(jobId);
       this.currentJobCount--;
       console.log(`[VideoGenerationWorker] Job ${jobId} - Released job slot. Current count: ${this.currentJobCount}/${this.maxConcurrentJobs}`);
     }
   }
 
+  /**
+   * Aborts a job that this worker is currently processing
+   * Kills the running Chromium or FFmpeg process; processJob then notices the
+   * cancellation and cleans up. The job must already be marked cancelled in
+   * the JobManager.
+   * @param {string} jobId - The job ID to abort
+   * @returns {Promise<boolean>} True if the job was running on this worker
+   */
+  async cancelJob(jobId) {
+    const handles = this.activeJobs.get(jobId);
+
+    if (!handles) {
+      return false;
+    }
+
+    console.log(`[VideoGenerationWorker] Aborting job ${jobId}`);
+
+    if (handles.screenshotGenerator) {
+      await handles.screenshotGenerator.abort();
+    }
+
+    if (handles.ttsProvider) {
+      handles.ttsProvider.abort();
+    }
+
+    if (handles.videoComposer) {
+      handles.videoComposer.abort();
+    }
+
+    return true;
+  }
+
+  /**
+   * Renews the lease on a running job and reacts to changes made elsewhere
+   * Aborts the job if the lease was lost (it has been re-queued for another
+   * worker) or if the job was cancelled through another process, e.g. the API
+   * server cancelling a job that a standalone worker is running.
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Object} handles - The job's entry in activeJobs
+   */
+  _heartbeat(jobId, handles) {
+    let renewed = false;
+    try {
+      renewed = this.jobManager.renewJobLease(jobId, this.workerId, this.leaseMs);
+    } catch (error) {
+      console.error(`[VideoGenerationWorker] Job ${jobId} - Lease renewal failed:`, error.message);
+      return;
+    }
+
+    if (!renewed) {
+      console.warn(`[VideoGenerationWorker] Job ${jobId} - Lease is no longer held by ${this.workerId}, aborting`);
+      handles.leaseLost = true;
+    } else if (!this.jobManager.isJobCancelled(jobId)) {
+      return;
+    }
+
+    clearInterval(handles.heartbeat);
+    handles.heartbeat = null;
+    this.cancelJob(jobId).catch(error => {
+      console.error(`[VideoGenerationWorker] Job ${jobId} - Failed to abort:`, error.message);
+    });
+  }
+
+  /**
+   * Forwards FFmpeg encoding progress as sub-step progress between 60% and 80%
+   * Only whole-percent changes are written to avoid flooding the job store.
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {number} encodePercent - Encoding progress (0-100)
+   */
+  _reportComposeProgress(jobId, encodePercent) {
+    const progress = 60 + Math.floor((encodePercent / 100) * 20);
+    const job = this.jobManager.getJob(jobId);
+
+    if (!job || job.status !== 'processing' || progress <= job.progress || progress >= 80) {
+      return;
+    }
+
+    try {
+      this.jobManager.updateJobProgress(jobId, 'composing_video', progress);
+    } catch (error) {
+      // Called from FFmpeg's progress events, so nothing may escape; a
+      // cancellation is picked up by the heartbeat
+      console.warn(`[VideoGenerationWorker] Job ${jobId} - Progress update skipped: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-queues a failed attempt with backoff if the error is transient and the
+   * job has attempts left, otherwise marks the job as failed
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Error} error - The error thrown by the pipeline
+   */
+  _recordJobFailure(jobId, error) {
+    try {
+      const job = this.jobManager.getJob(jobId);
+      const retryable = this._isRetryableError(error);
+
+      if (job && retryable && job.attempts < job.maxAttempts) {
+        const delayMs = this._getRetryDelay(job.attempts);
+        this.jobManager.scheduleJobRetry(jobId, error.message, delayMs);
+        console.log(`[VideoGenerationWorker] Job ${jobId} will be retried in ${delayMs}ms (attempt ${job.attempts}/${job.maxAttempts})`);
+      } else {
+        this.jobManager.setJobFailed(jobId, error.message, error.stack);
+        console.log(`[VideoGenerationWorker] Job ${jobId} marked as failed in job manager (retryable: ${retryable})`);
+      }
+    } catch (managerError) {
+      console.error(`[VideoGenerationWorker] Failed to update job status for ${jobId}:`, managerError);
+    }
+  }
+
+  /**
+   * Classifies an error as transient (worth retrying) or permanent
+   * @private
+   * @param {Error} error - The error thrown by the pipeline
+   * @returns {boolean} True if the job should be retried
+   */
+  _isRetryableError(error) {
+    if (!error) {
+      return false;
+    }
+
+    if (error.name === 'TimeoutError') {
+      return true;
+    }
+
+    const text = `${error.code || ''} ${error.message || ''}`;
+    return RETRYABLE_ERROR_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Calculates the exponential backoff before the next attempt
+   * @private
+   * @param {number} attempts - Attempts made so far (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  _getRetryDelay(attempts) {
+    const delay = this.retryBaseDelayMs * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Throws if the job has been cancelled or this worker lost its lease,
+   * stopping the pipeline between steps
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Object} [handles] - The job's entry in activeJobs
+   * @throws {Error} Error with code 'JOB_LEASE_LOST' or 'JOB_CANCELLED'
+   */
+  _throwIfCancelled(jobId, handles = null) {
+    if (handles && handles.leaseLost) {
+      const error = new Error(`Job ${jobId} lease lost`);
+      error.code = 'JOB_LEASE_LOST';
+      throw error;
+    }
+
+    if (this.jobManager.isJobCancelled(jobId)) {
+      const error = new Error(`Job ${jobId} was cancelled`);
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * Stores the card of an image job and marks the job completed
+   * Images are kept for IMAGE_TTL_HOURS rather than the video TTL.
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Object} job - The job
+   * @param {string} imagePath - Path to the captured image
+   * @param {Object} preset - Output preset the card was laid out for
+   * @param {Object} handles - In-flight handles of the job (for cancellation checks)
+   * @param {Array<string>} savedFilenames - Receives the stored filename
+   */
+  async _completeImageJob(jobId, job, imagePath, preset, handles, savedFilenames) {
+    this._throwIfCancelled(jobId, handles);
+    this.jobManager.updateJobProgress(jobId, 'saving_file', 80);
+    console.log(`[VideoGenerationWorker] Job ${jobId} - Saving image to storage`);
+
+    const image = job.request.image || {};
+    const format = image.format || 'png';
+    const scale = image.scale || 2;
+    const imageFormat = IMAGE_FORMATS[format];
+    const resolution = `${Math.round(preset.width * scale)}x${Math.round(preset.height * scale)}`;
+
+    const imageBuffer = await fs.readFile(imagePath);
+    const filename = generateSecureFilename(jobId, imageFormat.extension);
+    const expiresAt = new Date(Date.now() + this.imageTtlHours * 60 * 60 * 1000).toISOString();
+
+    await this.storageProvider.save(filename, imageBuffer, {
+      jobId,
+      contentType: imageFormat.contentType,
+      resolution,
+      ttlHours: this.imageTtlHours,
+    });
+    savedFilenames.push(filename);
+
+    const downloadUrl = generateDownloadUrl(this.baseUrl, filename);
+    console.log(`[VideoGenerationWorker] Job ${jobId} - Image stored: ${downloadUrl}`);
+
+    this._throwIfCancelled(jobId, handles);
+    this.jobManager.setJobCompleted(jobId, {
+      filename,
+      downloadUrl,
+      expiresAt,
+      fileSize: imageBuffer.length,
+      resolution,
+      preset: preset.name,
+      image: {
+        format,
+        scale,
+        quality: image.quality || null,
+      },
+    });
+  }
+
+  /**
+   * Deletes files an abandoned attempt already saved to storage
+   * @private
+   * @param {string} jobId - The job ID
+   * @param {Array<string>} filenames - Stored filenames (video and sidecar captions)
+   */
+  async _deleteStoredFiles(jobId, filenames) {
+    for (const filename of filenames) {
+      try {
+        await this.storageProvider.delete(filename);
+      } catch (deleteError) {
+        console.error(`[VideoGenerationWorker] Job ${jobId} - Failed to delete stored file ${filename}:`, deleteError.message);
+      }
+    }
+  }
+
   /**
    * Cleans up temporary files created during job processing
    * @private
    * @param {string} jobId - The job ID
    * @param {string} screenshotPath - Path to screenshot file
    * @param {string} videoPath - Path to video file
+   * @param {...string} otherPaths - Other intermediate files (voiceover, captions script, poster)
    */
-  async _cleanupTempFiles(jobId, screenshotPath, videoPath) {
+  async _cleanupTempFiles(jobId, screenshotPath, videoPath, ...otherPaths) {
     console.log(`[VideoGenerationWorker] Job ${jobId} - Cleaning up temporary files`);
 
-    const filesToDelete = [screenshotPath, videoPath].filter(Boolean);
+    const filesToDelete = [screenshotPath, videoPath, ...otherPaths].filter(Boolean);
+
+    // Typewriter reveal frames and thread cards are written next to the screenshot
+    if (screenshotPath) {
+      const framePrefix = `${path.basename(screenshotPath, path.extname(screenshotPath))}-`;
+      try {
+        const entries = await fs.readdir(path.dirname(screenshotPath));
+        entries
+          .filter(entry => entry.startsWith(framePrefix))
+          .forEach(entry => filesToDelete.push(path.join(path.dirname(screenshotPath), entry)));
+      } catch (error) {
+        console.error(`[VideoGenerationWorker] Job ${jobId} - Failed to list screenshot frames:`, error.message);
+      }
+    }
 
     for (const filePath of filesToDelete) {
       try {
@@ -384,6 +1044,7 @@ class VideoGenerationWorker {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      workerId: this.workerId,
       currentJobCount: this.currentJobCount,
       maxConcurrentJobs: this.maxConcurrentJobs,
       pollInterval: this.pollInterval,
@@ -392,4 +1053,81 @@ class VideoGenerationWorker {
   }
 }
 
+
+/**
+ * Runs the worker as its own process: node workers/video-worker.js --standalone
+ *
+ * Standalone workers share the queue with the API server through the file job
+ * store (JOB_STORE=file, same JOB_STORE_PATH and STORAGE_PATH), so renderers
+ * can be scaled separately from the HTTP tier. Start the API server with
+ * WORKER_MODE=standalone to keep encodes out of its process entirely.
+ */
+async function runStandalone() {
+  const { jobManager } = require('../utils/job-manager.js');
+  const { FileJobStore } = require('../utils/job-store');
+  const { createDefaultStorageProvider } = require('../utils/storage');
+  const { WebhookNotifier } = require('../utils/webhook-notifier.js');
+  const { assetLibrary } = require('../utils/asset-library.js');
+
+  if (!(jobManager.store instanceof FileJobStore)) {
+    console.error('[VideoGenerationWorker] Standalone mode requires JOB_STORE=file so the queue is shared with the API server');
+    process.exit(1);
+  }
+
+  const worker = new VideoGenerationWorker({
+    jobManager,
+    storageProvider: createDefaultStorageProvider(),
+    templatePath: process.env.TWEET_TEMPLATE_PATH || path.join(__dirname, '..', 'claude', 'twitter-post-template.html'),
+    assetLibrary,
+    maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 2,
+    // No 'job:created' events cross processes, so poll the shared queue more often
+    pollInterval: parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 2000,
+    retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+    workerId: process.env.WORKER_ID,
+    leaseMs: parseInt(process.env.WORKER_LEASE_MS) || 30000,
+  });
+
+  // Completion events fire in this process, so callbacks are delivered from here
+  let webhookNotifier = null;
+  if (process.env.HMAC_SECRET) {
+    webhookNotifier = new WebhookNotifier({
+      jobManager,
+      secret: process.env.HMAC_SECRET,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    });
+    webhookNotifier.start();
+  } else {
+    console.warn('[VideoGenerationWorker] HMAC_SECRET not set, webhook callbacks disabled');
+  }
+
+  const shutdown = async (signal) => {
+    console.log(`[VideoGenerationWorker] ${signal} received, stopping standalone worker...`);
+    await worker.stop();
+    if (webhookNotifier) {
+      webhookNotifier.stop();
+    }
+    await browserPool.shutdown();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  worker.start();
+  console.log(`[VideoGenerationWorker] Standalone worker ${worker.workerId} running`);
+}
+
+if (require.main === module) {
+  if (!process.argv.includes('--standalone')) {
+    console.error('Usage: node workers/video-worker.js --standalone');
+    process.exit(1);
+  }
+
+  runStandalone().catch(error => {
+    console.error('[VideoGenerationWorker] Standalone worker failed to start:', error);
+    process.exit(1);
+  });
+}
+
 module.exports = { VideoGenerationWorker };
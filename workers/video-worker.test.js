@@ -0,0 +1,184 @@
+/**
+ * Test suite for the worker's retry handling
+ * Covers error classification, backoff and what happens once a job runs out
+ * of attempts. No browser or FFmpeg is needed: only the failure path is run.
+ * Run with: node workers/video-worker.test.js
+ */
+
+const { VideoGenerationWorker } = require('./video-worker');
+const { JobManager } = require('../utils/job-manager');
+const { MemoryJobStore } = require('../utils/job-store');
+const { createTestSuite, assert, runIfMain } = require('../utils/test-harness');
+
+const { test, printHeader, printResults } = createTestSuite('Video Worker Retry Test Suite');
+
+const sampleRequest = {
+  tweetBody: 'Retry me',
+  profilePhotoUrl: 'https://example.com/avatar.jpg',
+  profileName: 'Test User',
+  username: 'testuser',
+};
+
+/**
+ * Creates a worker around a fresh in-memory JobManager
+ * The pipeline is never run, so the other dependencies are placeholders.
+ */
+function createWorker(maxAttempts = 3) {
+  const jobManager = new JobManager(new MemoryJobStore(), { maxAttempts });
+  const worker = new VideoGenerationWorker({
+    jobManager,
+    storageProvider: {},
+    templatePath: 'unused.html',
+    assetLibrary: { assetsPath: 'unused' },
+    retryBaseDelayMs: 1000,
+    workerId: 'test-worker',
+  });
+  return { jobManager, worker };
+}
+
+function namedError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function runTests() {
+  printHeader();
+
+  // Test 1: Transient failures are retryable
+  await test('Timeouts, browser crashes and dropped connections are retryable', async () => {
+    const { worker } = createWorker();
+    for (const error of [
+      namedError('TimeoutError', 'Waiting failed'),
+      new Error('Navigation timeout of 30000 ms exceeded'),
+      new Error('Request timed out'),
+      new Error('Protocol error (Runtime.callFunctionOn): Target closed.'),
+      new Error('Protocol error: Session closed. Most likely the page has been closed.'),
+      new Error('Browser has disconnected!'),
+      new Error('Page crashed!'),
+      codedError('ECONNRESET', 'read ECONNRESET'),
+      codedError('ETIMEDOUT', 'connect failed'),
+      codedError('EAI_AGAIN', 'getaddrinfo failed'),
+      new Error('socket hang up'),
+    ]) {
+      assert(worker._isRetryableError(error) === true, `Should be retryable: ${error.message}`);
+    }
+  });
+
+  // Test 2: Everything else fails the job at once
+  await test('Validation, file and encoding errors are fatal', async () => {
+    const { worker } = createWorker();
+    for (const error of [
+      new Error('Template not found'),
+      codedError('ENOENT', "ENOENT: no such file or directory, open 'missing.mp3'"),
+      new Error('FFmpeg exited with code 1: Invalid data found when processing input'),
+      new Error('Unknown background: forest'),
+    ]) {
+      assert(worker._isRetryableError(error) === false, `Should be fatal: ${error.message}`);
+    }
+    assert(worker._isRetryableError(null) === false, 'A missing error is not retryable');
+  });
+
+  // Test 3: Exponential backoff with a cap
+  await test('Retry delay doubles per attempt and is capped at 5 minutes', async () => {
+    const { worker } = createWorker();
+    assert(worker._getRetryDelay(1) === 1000, 'First retry waits the base delay');
+    assert(worker._getRetryDelay(2) === 2000, 'Second retry waits twice as long');
+    assert(worker._getRetryDelay(3) === 4000, 'Third retry waits four times as long');
+    assert(worker._getRetryDelay(0) === 1000, 'Attempt counts below 1 use the base delay');
+    assert(worker._getRetryDelay(20) === 5 * 60 * 1000, 'Delay should be capped');
+  });
+
+  // Test 4: scheduleJobRetry puts the job back in the queue with a backoff
+  await test('scheduleJobRetry re-queues the job and closes the attempt', async () => {
+    const { jobManager } = createWorker();
+    const jobId = jobManager.createJob(sampleRequest);
+    jobManager.claimJob(jobId, 'test-worker', 60000);
+    jobManager.updateJobProgress(jobId, 'composing_video', 60);
+
+    const before = Date.now();
+    const nextAttemptAt = jobManager.scheduleJobRetry(jobId, 'Navigation timeout', 2000);
+    const delay = new Date(nextAttemptAt).getTime() - before;
+
+    const job = jobManager.getJob(jobId);
+    assert(job.status === 'pending', `Expected pending, got ${job.status}`);
+    assert(job.nextAttemptAt === nextAttemptAt, 'nextAttemptAt should be stored');
+    assert(delay >= 2000 && delay < 3000, `Expected a ~2000ms backoff, got ${delay}ms`);
+    assert(job.progress === 0 && job.currentStep === null, 'Progress should be reset');
+    assert(job.attemptHistory[0].retryable === true, 'Attempt should be marked retryable');
+    assert(job.attemptHistory[0].error === 'Navigation timeout', 'Attempt should record the error');
+
+    for (const delayMs of [-1, '5', undefined]) {
+      try {
+        jobManager.scheduleJobRetry(jobId, 'x', delayMs);
+        throw new Error('Should have thrown');
+      } catch (error) {
+        assert(error.message.startsWith('Invalid delayMs'), `Wrong error for ${delayMs}: ${error.message}`);
+      }
+    }
+  });
+
+  // Test 5: A transient failure with attempts left is retried with backoff
+  await test('Retryable failures are re-queued with growing delays', async () => {
+    const { jobManager, worker } = createWorker(3);
+    const jobId = jobManager.createJob(sampleRequest);
+
+    for (const [attempt, expectedDelay] of [[1, 1000], [2, 2000]]) {
+      assert(jobManager.claimJob(jobId, 'test-worker', 60000) === attempt, `Attempt ${attempt} should be claimed`);
+      const before = Date.now();
+      worker._recordJobFailure(jobId, new Error('Navigation timeout of 30000 ms exceeded'));
+
+      const job = jobManager.getJob(jobId);
+      const delay = new Date(job.nextAttemptAt).getTime() - before;
+      assert(job.status === 'pending', `Attempt ${attempt}: expected pending, got ${job.status}`);
+      assert(delay >= expectedDelay && delay < expectedDelay + 1000, `Attempt ${attempt}: expected ~${expectedDelay}ms, got ${delay}ms`);
+    }
+  });
+
+  // Test 6: The last attempt fails the job even for transient errors
+  await test('Retryable failures fail the job once attempts are exhausted', async () => {
+    const { jobManager, worker } = createWorker(2);
+    const jobId = jobManager.createJob(sampleRequest);
+    const failedEvents = [];
+    jobManager.on('job:failed', job => failedEvents.push(job.jobId));
+
+    jobManager.claimJob(jobId, 'test-worker', 60000);
+    worker._recordJobFailure(jobId, new Error('socket hang up'));
+    jobManager.claimJob(jobId, 'test-worker', 60000);
+    worker._recordJobFailure(jobId, new Error('socket hang up'));
+
+    const job = jobManager.getJob(jobId);
+    assert(job.status === 'failed', `Expected failed, got ${job.status}`);
+    assert(job.attempts === 2, `Expected 2 attempts, got ${job.attempts}`);
+    assert(job.nextAttemptAt === null, 'A failed job has no next attempt');
+    assert(job.error.message === 'socket hang up', 'Error should be recorded');
+    assert(job.attemptHistory.map(entry => entry.retryable).join() === 'true,false', 'Only the last attempt is final');
+    assert(failedEvents.length === 1, 'job:failed should be emitted once');
+  });
+
+  // Test 7: A fatal error fails the job on its first attempt
+  await test('Fatal failures are not retried', async () => {
+    const { jobManager, worker } = createWorker(3);
+    const jobId = jobManager.createJob(sampleRequest);
+
+    jobManager.claimJob(jobId, 'test-worker', 60000);
+    worker._recordJobFailure(jobId, new Error('Unknown background: forest'));
+
+    const job = jobManager.getJob(jobId);
+    assert(job.status === 'failed', `Expected failed, got ${job.status}`);
+    assert(job.attempts === 1, 'No further attempt should be made');
+    assert(job.attemptHistory[0].retryable === false, 'Attempt should be marked fatal');
+  });
+
+  return printResults();
+}
+
+runIfMain(module, runTests);
+
+module.exports = { runTests };